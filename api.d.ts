@@ -0,0 +1,65 @@
+/**
+ * Types of the API Simple Scopes returns from `activate`. Copy this file into
+ * your extension and cast the exports:
+ *
+ * ```ts
+ * import type { ProjectScopesApi } from "./simple-scopes";
+ * const extension = vscode.extensions.getExtension<ProjectScopesApi>("DevShedLabs.simple-scopes");
+ * const scopes = await extension?.activate();
+ * ```
+ *
+ * `version` goes up when members are removed or change meaning; added members keep it.
+ */
+import type { Disposable, Event, Uri, WorkspaceFolder } from "vscode";
+
+export interface ScopeInfo {
+  name: string;
+  description?: string;
+  /** True for scopes computed at runtime (git, registered providers) */
+  dynamic: boolean;
+  /** Where a static scope is stored */
+  location?: "shared" | "settings" | "personal";
+  /** Copy of a static scope's definition: folders, include, exclude, ... */
+  definition?: Record<string, unknown>;
+}
+
+export interface ActiveScopeChangeEvent {
+  /** Scope active before, null for none */
+  previous: string | null;
+  /** Scope active now, null for none */
+  current: string | null;
+  /** File whose focused editor made the scope follow it, when that caused the switch */
+  followedUri?: Uri;
+}
+
+export interface DynamicScopeProvider {
+  /** Unique scope name, shown in Switch Scope and the scopes panel */
+  name: string;
+  description?: string;
+  /** Codicon id, e.g. "beaker" */
+  icon?: string;
+  /** Files of the scope inside the workspace folder, as paths relative to it */
+  compute(workspaceFolder: WorkspaceFolder): Promise<string[]>;
+}
+
+export interface ProjectScopesApi {
+  readonly version: 1;
+  /** All scopes, static ones in slot order */
+  getScopes(): ScopeInfo[];
+  getActiveScope(): string | null;
+  /**
+   * Files of the scope (default: the active scope), leaving out excluded files.
+   * Resolves to an empty list when no scope is active; rejects for unknown scopes.
+   */
+  resolveFiles(scopeName?: string): Promise<Uri[]>;
+  /** Whether the file is in the scope (default: the active scope); false when no scope is active */
+  isInScope(uri: Uri, scopeName?: string): boolean;
+  /** Activate a scope, or clear the active scope with null */
+  setActiveScope(scopeName: string | null): Promise<void>;
+  readonly onDidChangeActiveScope: Event<ActiveScopeChangeEvent>;
+  /** Fires when scope definitions or the active scope's files change */
+  readonly onDidChangeScopes: Event<void>;
+  registerDynamicScopeProvider(provider: DynamicScopeProvider): Disposable;
+  /** Recompute a registered dynamic scope after its files changed */
+  refreshDynamicScope(scopeName: string): Promise<void>;
+}
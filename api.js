@@ -0,0 +1,114 @@
+/**
+ * Version of the API returned from `activate`. It goes up when members are
+ * removed or change meaning; added members keep the version.
+ */
+const API_VERSION = 1;
+
+// Types of the API are published in api.d.ts for other extensions to use
+/** @typedef {import("./api").ProjectScopesApi} ProjectScopesApi */
+
+function copyDefinition(definition) {
+  return JSON.parse(JSON.stringify(definition));
+}
+
+/**
+ * API handed to other extensions through
+ * `vscode.extensions.getExtension("DevShedLabs.simple-scopes").exports`
+ * @returns {ProjectScopesApi}
+ */
+function createApi(scopeManager) {
+  const requireScope = (scopeName) => {
+    if (!scopeManager.hasScope(scopeName)) {
+      throw new Error(`Scope "${scopeName}" not found`);
+    }
+  };
+
+  return Object.freeze({
+    version: API_VERSION,
+
+    getScopes() {
+      const scopes = scopeManager.getScopes();
+      // A static scope hides a dynamic scope of the same name
+      const scopeNames = [...new Set(scopeManager.getOrderedScopeNames())];
+      return scopeNames.map((scopeName) => {
+        if (scopeManager.isDynamicScope(scopeName)) {
+          const dynamicScope = scopeManager.dynamicScopes.get(scopeName);
+          return {
+            name: scopeName,
+            description: dynamicScope.description,
+            dynamic: true,
+          };
+        }
+        return {
+          name: scopeName,
+          description: scopes[scopeName].description,
+          dynamic: false,
+          location: scopeManager.scopeSources[scopeName] || "settings",
+          definition: copyDefinition(scopes[scopeName]),
+        };
+      });
+    },
+
+    getActiveScope() {
+      const activeScope = scopeManager.getActiveScope();
+      return scopeManager.hasScope(activeScope) ? activeScope : null;
+    },
+
+    async resolveFiles(scopeName = scopeManager.getActiveScope()) {
+      if (!scopeName) return [];
+      requireScope(scopeName);
+      return scopeManager.resolveFiles(scopeName);
+    },
+
+    isInScope(uri, scopeName = scopeManager.getActiveScope()) {
+      if (!scopeName) return false;
+      requireScope(scopeName);
+      return scopeManager.isInScope(uri, scopeName);
+    },
+
+    async setActiveScope(scopeName) {
+      if (scopeName === null) {
+        if (scopeManager.getActiveScope()) {
+          await scopeManager.clearActiveScope({ quiet: true });
+        }
+        return;
+      }
+      requireScope(scopeName);
+      if (scopeManager.getActiveScope() !== scopeName) {
+        await scopeManager.setActiveScope(scopeName, { quiet: true });
+      }
+    },
+
+    onDidChangeActiveScope: scopeManager.onDidChangeActiveScope,
+    onDidChangeScopes: scopeManager.onScopeChanged,
+
+    registerDynamicScopeProvider(provider) {
+      if (!provider || typeof provider.name !== "string" || !provider.name) {
+        throw new Error("Dynamic scope providers need a name");
+      }
+      if (typeof provider.compute !== "function") {
+        throw new Error(`Dynamic scope "${provider.name}" needs a compute()`);
+      }
+      if (scopeManager.hasScope(provider.name)) {
+        throw new Error(`Scope "${provider.name}" already exists`);
+      }
+
+      console.log("Registering dynamic scope from API:", provider.name);
+      return scopeManager.registerDynamicScope({
+        name: provider.name,
+        description: provider.description,
+        icon: provider.icon,
+        compute: (workspaceFolder) => provider.compute(workspaceFolder),
+      });
+    },
+
+    async refreshDynamicScope(scopeName) {
+      if (!scopeManager.isDynamicScope(scopeName)) {
+        throw new Error(`"${scopeName}" is not a dynamic scope`);
+      }
+      await scopeManager.refreshComputedScopes([scopeName]);
+    },
+  });
+}
+
+module.exports = { createApi, API_VERSION };
@@ -0,0 +1,222 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+const {
+  GlobPattern,
+  splitPath,
+  escapeGlob,
+  expandBraces,
+} = require("./scopeMatcher");
+const { getUserExcludes } = require("./scopeExcludeSync");
+
+const MAX_DIRECTORIES = 100000;
+
+/**
+ * Rules of one .gitignore file, matched against workspace-relative paths
+ * Patterns without a slash match at any depth below the file's directory,
+ * the others are anchored to it. Only directories are indexed, so the
+ * trailing "/" of directory-only patterns can simply be dropped.
+ */
+function parseGitignore(content, baseDir) {
+  const base = baseDir ? `${escapeGlob(baseDir)}/` : "";
+  const rules = [];
+
+  for (let line of content.split(/\r?\n/)) {
+    line = line.replace(/(?<!\\)\s+$/, "");
+    if (!line || line.startsWith("#")) continue;
+
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\([#!])/, "$1").replace(/\/+$/, "");
+    if (!line) continue;
+
+    const anchored = line.includes("/");
+    const pattern = anchored
+      ? base + line.replace(/^\/+/, "")
+      : `${base}**/${line}`;
+    rules.push({ pattern: new GlobPattern(pattern), negate: negate });
+  }
+
+  return rules;
+}
+
+/**
+ * Cached directory listing of the workspace folders for the folder picker
+ * Directories are listed lazily as the picker drills down, and a full index
+ * for type-to-filter is built in the background on first use. Whatever
+ * .gitignore and the user's files.exclude hide is left out.
+ */
+class DirectoryIndex {
+  constructor(context) {
+    this.context = context;
+    this._folders = new Map();
+
+    context.subscriptions.push(
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("files.exclude")) this.reset();
+      }),
+      vscode.workspace.onDidChangeWorkspaceFolders(() => this.reset()),
+      new vscode.Disposable(() => this.reset())
+    );
+  }
+
+  reset() {
+    for (const state of this._folders.values()) {
+      state.watcher.dispose();
+    }
+    this._folders.clear();
+  }
+
+  _getState(workspaceFolder) {
+    const key = workspaceFolder.uri.toString();
+    let state = this._folders.get(key);
+    if (state) return state;
+
+    const excludes = getUserExcludes(this.context, "files", workspaceFolder);
+    state = {
+      workspaceFolder: workspaceFolder,
+      children: new Map(),
+      ignoreRules: new Map(),
+      excludes: Object.keys(excludes)
+        .filter((pattern) => excludes[pattern] === true)
+        .flatMap((pattern) => expandBraces(pattern))
+        .map((pattern) => new GlobPattern(pattern)),
+      all: null,
+      watcher: vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(workspaceFolder, "**"),
+        false,
+        true,
+        false
+      ),
+    };
+    state.watcher.onDidCreate((uri) => this._invalidate(state, uri));
+    state.watcher.onDidDelete((uri) => this._invalidate(state, uri));
+
+    this._folders.set(key, state);
+    return state;
+  }
+
+  _invalidate(state, uri) {
+    const relativePath = path
+      .relative(state.workspaceFolder.uri.fsPath, uri.fsPath)
+      .replace(/\\/g, "/");
+    if (relativePath.startsWith("..")) return;
+
+    // New ignore rules can change anything below them
+    if (path.basename(relativePath) === ".gitignore") {
+      this._folders.delete(state.workspaceFolder.uri.toString());
+      state.watcher.dispose();
+      return;
+    }
+
+    const parent = path.posix.dirname(relativePath);
+    state.children.delete(parent === "." ? "" : parent);
+    for (const dir of [...state.children.keys()]) {
+      if (dir === relativePath || dir.startsWith(`${relativePath}/`)) {
+        state.children.delete(dir);
+      }
+    }
+    state.all = null;
+  }
+
+  _isIgnored(state, relativePath) {
+    const segments = splitPath(relativePath);
+    if (segments[segments.length - 1] === ".git") return true;
+    if (state.excludes.some((pattern) => pattern.matches(segments))) {
+      return true;
+    }
+
+    // Rules of deeper .gitignore files come later, and the last match wins
+    let ignored = false;
+    for (let length = 0; length < segments.length; length++) {
+      const rules = state.ignoreRules.get(segments.slice(0, length).join("/"));
+      for (const rule of rules || []) {
+        if (rule.pattern.matches(segments)) ignored = !rule.negate;
+      }
+    }
+    return ignored;
+  }
+
+  async _loadIgnoreRules(state, relativeDir) {
+    if (state.ignoreRules.has(relativeDir)) return;
+
+    let content = "";
+    try {
+      content = await fs.promises.readFile(
+        path.join(state.workspaceFolder.uri.fsPath, relativeDir, ".gitignore"),
+        "utf8"
+      );
+    } catch {
+      // No .gitignore here
+    }
+    state.ignoreRules.set(relativeDir, parseGitignore(content, relativeDir));
+  }
+
+  /**
+   * Visible subdirectories of relativeDir ("" for the folder root), sorted
+   * Returns workspace-relative posix paths.
+   */
+  async listChildren(workspaceFolder, relativeDir = "") {
+    const state = this._getState(workspaceFolder);
+    const cached = state.children.get(relativeDir);
+    if (cached) return cached;
+
+    await this._loadIgnoreRules(state, relativeDir);
+
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(
+        path.join(workspaceFolder.uri.fsPath, relativeDir),
+        { withFileTypes: true }
+      );
+    } catch (error) {
+      console.warn("Error reading directory:", relativeDir, error.message);
+    }
+
+    const children = entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) =>
+        relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+      )
+      .filter((relativePath) => !this._isIgnored(state, relativePath))
+      .sort((a, b) => a.localeCompare(b));
+
+    state.children.set(relativeDir, children);
+    return children;
+  }
+
+  /**
+   * Every visible directory of the folder, breadth first
+   * The walk runs once and is shared by concurrent callers until something
+   * on disk changes.
+   */
+  getAllDirectories(workspaceFolder) {
+    const state = this._getState(workspaceFolder);
+    if (state.all) return state.all;
+
+    state.all = (async () => {
+      const directories = [];
+      // Directories double as the queue: each is listed after its parent
+      let next = -1;
+      while (
+        next < directories.length &&
+        directories.length < MAX_DIRECTORIES
+      ) {
+        const relativeDir = next < 0 ? "" : directories[next];
+        directories.push(
+          ...(await this.listChildren(workspaceFolder, relativeDir))
+        );
+        next++;
+      }
+      if (directories.length >= MAX_DIRECTORIES) {
+        console.warn(
+          `Directory index for ${workspaceFolder.name} stopped at ${MAX_DIRECTORIES} folders`
+        );
+      }
+      return directories.slice(0, MAX_DIRECTORIES);
+    })();
+    return state.all;
+  }
+}
+
+module.exports = { DirectoryIndex, parseGitignore };
@@ -0,0 +1,202 @@
+const vscode = require("vscode");
+
+const SESSIONS_KEY = "projectScopes.editorSessions";
+// Session of the editors open while no scope is active
+const NO_SCOPE = "";
+
+/**
+ * Remembers the open editors per scope and brings them back when the scope
+ * is activated again, in place of the editors that were open. Sessions are
+ * kept in workspace state so they survive reloads. Only text editors are
+ * tracked; diff, webview and other custom editors are left alone.
+ */
+class EditorSessions {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this.context = context;
+    this._queue = Promise.resolve();
+
+    context.subscriptions.push(
+      scopeManager.onDidChangeActiveScope((event) =>
+        this.switchSession(event.previous, event.current, event.followedUri)
+      ),
+      scopeManager.onDidRenameScope((event) =>
+        this.renameSession(event.oldName, event.newName)
+      )
+    );
+  }
+
+  getConfig() {
+    const config = vscode.workspace.getConfiguration("projectScopes");
+    return {
+      remember: config.get("rememberEditors", true),
+      closeOutside: config.get("closeEditorsOutsideScope", false),
+    };
+  }
+
+  switchSession(previous, current, followedUri) {
+    this._queue = this._queue
+      .then(() => this._switchSession(previous, current, followedUri))
+      .catch((error) => {
+        console.error("Error switching editor session:", error);
+        vscode.window.showErrorMessage(
+          `Error restoring editors for scope: ${error.message}`
+        );
+      });
+    return this._queue;
+  }
+
+  // The session moves along with a renamed scope and goes with a deleted one
+  renameSession(oldName, newName) {
+    this._queue = this._queue
+      .then(async () => {
+        const sessions = {
+          ...this.context.workspaceState.get(SESSIONS_KEY, {}),
+        };
+        if (!(oldName in sessions)) return;
+        if (newName) sessions[newName] = sessions[oldName];
+        delete sessions[oldName];
+        await this.context.workspaceState.update(SESSIONS_KEY, sessions);
+      })
+      .catch((error) => {
+        console.error("Error updating editor sessions:", error);
+      });
+    return this._queue;
+  }
+
+  // When the switch follows a focused editor, that file belongs to the new
+  // scope: it is left out of the old session and keeps focus after the restore
+  async _switchSession(previous, current, followedUri) {
+    const { remember, closeOutside } = this.getConfig();
+
+    if (remember) {
+      const followed = followedUri ? followedUri.toString() : null;
+      await this.saveSession(previous || NO_SCOPE, followed);
+      await this.restoreSession(current || NO_SCOPE, followed);
+    }
+    if (closeOutside && current) {
+      await this.closeEditorsOutside(current);
+    }
+  }
+
+  // Snapshot of the text editors in every editor group, but the excluded one
+  captureSession(excludedUri) {
+    const activeGroup = vscode.window.tabGroups.activeTabGroup;
+    return {
+      activeViewColumn: activeGroup ? activeGroup.viewColumn : undefined,
+      groups: vscode.window.tabGroups.all.map((group) => ({
+        viewColumn: group.viewColumn,
+        tabs: group.tabs
+          .filter(
+            (tab) =>
+              tab.input instanceof vscode.TabInputText &&
+              tab.input.uri.toString() !== excludedUri
+          )
+          .map((tab) => ({
+            uri: tab.input.uri.toString(),
+            pinned: tab.isPinned,
+            active: tab.isActive,
+          })),
+      })),
+    };
+  }
+
+  async saveSession(scopeName, excludedUri) {
+    const sessions = this.context.workspaceState.get(SESSIONS_KEY, {});
+    await this.context.workspaceState.update(SESSIONS_KEY, {
+      ...sessions,
+      [scopeName]: this.captureSession(excludedUri),
+    });
+    console.log("Saved editor session for scope:", scopeName || "(none)");
+  }
+
+  // Swap the open editors for the scope's, keeping unsaved ones and the
+  // focused one open
+  async restoreSession(scopeName, focusedUri) {
+    const session = this.context.workspaceState.get(SESSIONS_KEY, {})[
+      scopeName
+    ];
+    if (!session) return;
+
+    const focusedEditor = vscode.window.activeTextEditor;
+    const focused =
+      focusedUri &&
+      focusedEditor &&
+      focusedEditor.document.uri.toString() === focusedUri
+        ? { uri: focusedUri, viewColumn: focusedEditor.viewColumn }
+        : null;
+    const sessionUris = new Set(
+      session.groups.flatMap((group) => group.tabs.map((tab) => tab.uri))
+    );
+    if (focused) sessionUris.add(focused.uri);
+    const replaced = vscode.window.tabGroups.all
+      .flatMap((group) => group.tabs)
+      .filter(
+        (tab) =>
+          tab.input instanceof vscode.TabInputText &&
+          !tab.isDirty &&
+          !sessionUris.has(tab.input.uri.toString())
+      );
+    if (replaced.length > 0) {
+      await vscode.window.tabGroups.close(replaced, true);
+    }
+
+    const activeEditors = [];
+    for (const group of session.groups) {
+      for (const tab of group.tabs) {
+        const editor = await this.openTab(tab, group.viewColumn);
+        if (!editor) continue;
+        if (tab.pinned) {
+          await vscode.commands.executeCommand("workbench.action.pinEditor");
+        }
+        if (tab.active) {
+          activeEditors.push({ tab: tab, viewColumn: group.viewColumn });
+        }
+      }
+    }
+
+    // Bring each group's active editor to the front, the active group last
+    activeEditors.sort(
+      (a, b) =>
+        (a.viewColumn === session.activeViewColumn) -
+        (b.viewColumn === session.activeViewColumn)
+    );
+    for (const { tab, viewColumn } of activeEditors) {
+      await this.openTab(tab, viewColumn);
+    }
+    if (focused) await this.openTab(focused, focused.viewColumn);
+    console.log("Restored editor session for scope:", scopeName || "(none)");
+  }
+
+  async openTab(tab, viewColumn) {
+    try {
+      return await vscode.window.showTextDocument(vscode.Uri.parse(tab.uri), {
+        viewColumn: viewColumn,
+        preview: false,
+      });
+    } catch (error) {
+      // Files deleted since the session was saved are skipped
+      console.warn("Could not reopen editor:", tab.uri, error.message);
+      return null;
+    }
+  }
+
+  // Unsaved editors stay open so nothing is lost
+  async closeEditorsOutside(scopeName) {
+    await this.scopeManager.whenComputed(scopeName);
+    const outside = vscode.window.tabGroups.all
+      .flatMap((group) => group.tabs)
+      .filter(
+        (tab) =>
+          tab.input instanceof vscode.TabInputText &&
+          tab.input.uri.scheme === "file" &&
+          !tab.isDirty &&
+          !this.scopeManager.isInScope(tab.input.uri, scopeName)
+      );
+    if (outside.length > 0) {
+      await vscode.window.tabGroups.close(outside, true);
+    }
+  }
+}
+
+module.exports = { EditorSessions };
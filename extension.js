@@ -3,6 +3,78 @@
 const vscode = require("vscode");
 const path = require("path");
 const fs = require("fs");
+const {
+  ScopeMatcher,
+  parsePatternList,
+  escapeGlob,
+  expandBraces,
+  parseScopeEntry,
+  formatScopeEntry,
+  UnionMatcher,
+  IntersectionMatcher,
+  DifferenceMatcher,
+  FileSetMatcher,
+} = require("./scopeMatcher");
+
+// Order of the scopes in the tree and their slot numbers, kept per user
+const SCOPE_ORDER_KEY = "projectScopes.scopeOrder";
+// Scope active before the current one, for toggling back; null for no scope
+const PREVIOUS_SCOPE_KEY = "projectScopes.previousScope";
+// Tree drag and drop data; VS Code expects the view id in lower case
+const SCOPE_TREE_MIME_TYPE = "application/vnd.code.tree.projectscopes";
+
+// Keys of a scope definition that reference other scopes
+const COMPOSITION_KEYS = {
+  extends: "Scopes to include (union)",
+  intersect: "Scopes to intersect with",
+  minus: "Scopes to subtract",
+};
+const { ScopeExcludeSync, getUserExcludes } = require("./scopeExcludeSync");
+const {
+  ScopeFileSystemProvider,
+  SCOPE_SCHEME,
+  getWatcherDelay,
+} = require("./scopeFileSystemProvider");
+const { ScopeStore, LOCATIONS } = require("./scopeStore");
+const { findWorkspacePackages } = require("./workspacePackages");
+const { DirectoryIndex } = require("./directoryIndex");
+const { pickFolders } = require("./folderPicker");
+const { GitScopes } = require("./git");
+const { ImportScopes, IMPORTS_SCOPE_TYPE } = require("./importGraph");
+const { EditorSessions } = require("./editorSessions");
+const { ScopeTerminals } = require("./scopeTerminals");
+const { ScopeSearch } = require("./scopeSearch");
+const {
+  ScopeDiagnostics,
+  ScopeProblemsProvider,
+  formatProblemCounts,
+} = require("./scopeDiagnostics");
+const { ScopeDecorationProvider } = require("./scopeDecorations");
+const { ScopeOverviewPanel } = require("./scopeOverview");
+const { ScopeRepair } = require("./scopeRepair");
+const { ScopeInterop } = require("./scopeInterop");
+const { ScopeChangesProvider } = require("./scopeChanges");
+const { ScopeSettingsSync } = require("./scopeSettings");
+const { ScopeFollower } = require("./scopeFollow");
+const { createApi } = require("./api");
+
+// Kept at module level so deactivate() can hand the exclude settings back
+let excludeSync = null;
+let settingsSync = null;
+
+// Explorer menus pass (uri, selectedUris), tree views (element, selectedElements)
+function getSelectedUris(item, selectedItems) {
+  const items =
+    Array.isArray(selectedItems) && selectedItems.length > 0
+      ? selectedItems
+      : [item];
+  return items
+    .filter(Boolean)
+    .map((selected) =>
+      selected instanceof vscode.Uri ? selected : selected.uri
+    )
+    .filter(Boolean);
+}
 
 // This method is called when your extension is activated
 // Your extension is activated the very first time the command is executed
@@ -21,20 +93,91 @@ function activate(context) {
     // Initialize tree data provider
     console.log("Registering projectScopes TreeDataProvider...");
     const treeDataProvider = new ScopeTreeDataProvider(scopeManager);
-    const treeDisposable = vscode.window.registerTreeDataProvider(
-      "projectScopes",
-      treeDataProvider
-    );
+    const treeDisposable = vscode.window.createTreeView("projectScopes", {
+      treeDataProvider: treeDataProvider,
+      dragAndDropController: treeDataProvider,
+    });
     context.subscriptions.push(treeDisposable);
 
     // Initialize scoped file explorer
     console.log("Registering scopedFileExplorer TreeDataProvider...");
     const fileExplorerProvider = new FileExplorerTreeDataProvider(scopeManager);
-    const fileExplorerDisposable = vscode.window.registerTreeDataProvider(
+    const fileExplorerView = vscode.window.createTreeView(
       "scopedFileExplorer",
+      { treeDataProvider: fileExplorerProvider }
+    );
+    context.subscriptions.push(fileExplorerView, fileExplorerProvider);
+
+    // Diagnostics of the active scope
+    console.log("Registering scopeProblems view...");
+    context.subscriptions.push(new ScopeProblemsProvider(scopeManager));
+
+    // Git changes inside the active scope
+    console.log("Registering scopeChanges view...");
+    const scopeChanges = new ScopeChangesProvider(scopeManager, context);
+
+    // Serve the active scope as a virtual file system under the scope: scheme
+    console.log("Registering ScopeFileSystemProvider...");
+    const scopeFileSystemProvider = new ScopeFileSystemProvider(scopeManager);
+    context.subscriptions.push(
+      vscode.workspace.registerFileSystemProvider(
+        SCOPE_SCHEME,
+        scopeFileSystemProvider,
+        { isCaseSensitive: process.platform === "linux" }
+      ),
+      scopeFileSystemProvider
+    );
+
+    // Badge the active scope's files in the built-in Explorer
+    console.log("Registering ScopeDecorationProvider...");
+    new ScopeDecorationProvider(scopeManager, context);
+
+    // Mirror the active scope into files.exclude / search.exclude when enabled
+    console.log("Initializing ScopeExcludeSync...");
+    excludeSync = new ScopeExcludeSync(scopeManager, context);
+
+    // Apply the active scope's settings block as workspace settings
+    console.log("Initializing ScopeSettingsSync...");
+    settingsSync = new ScopeSettingsSync(scopeManager, context);
+
+    // Dynamic scopes computed from the git repository state
+    console.log("Registering git scopes...");
+    new GitScopes(scopeManager, context);
+
+    // Scopes following the imports of seed files
+    console.log("Registering import scopes...");
+    new ImportScopes(scopeManager, context);
+
+    // Remember open editors per scope
+    console.log("Initializing EditorSessions...");
+    new EditorSessions(scopeManager, context);
+
+    // Terminals and tasks running in the scope's working directory
+    console.log("Initializing ScopeTerminals...");
+    const scopeTerminals = new ScopeTerminals(scopeManager, context);
+
+    // Search and replace limited to a scope's files
+    console.log("Initializing ScopeSearch...");
+    const scopeSearch = new ScopeSearch(scopeManager, context);
+
+    // Keep scope folders pointing at existing paths
+    console.log("Initializing ScopeRepair...");
+    const scopeRepair = new ScopeRepair(scopeManager, context);
+
+    // JetBrains scope files and JSON for sharing scopes
+    const scopeInterop = new ScopeInterop(scopeManager);
+
+    // Activate the focused file's scope and reveal it in Scoped Files
+    console.log("Initializing ScopeFollower...");
+    const scopeFollower = new ScopeFollower(
+      scopeManager,
+      context,
+      fileExplorerView,
       fileExplorerProvider
     );
-    context.subscriptions.push(fileExplorerDisposable);
+
+    // Statistics of every scope, scanned in the background
+    const overviewPanel = new ScopeOverviewPanel(scopeManager, context);
 
     // Register commands
     console.log("Registering commands...");
@@ -58,6 +201,94 @@ function activate(context) {
       )
     );
 
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.generateScopes",
+        async () => {
+          console.log("generateScopes command called");
+          try {
+            await scopeManager.generateScopesFromWorkspaces();
+            treeDataProvider.refresh();
+          } catch (error) {
+            console.error("Error in generateScopes:", error);
+            vscode.window.showErrorMessage(
+              `Error generating scopes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.importJetBrainsScopes",
+        async () => {
+          console.log("importJetBrainsScopes command called");
+          try {
+            await scopeInterop.importJetBrains();
+            treeDataProvider.refresh();
+          } catch (error) {
+            console.error("Error in importJetBrainsScopes:", error);
+            vscode.window.showErrorMessage(
+              `Error importing JetBrains scopes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.exportJetBrainsScopes",
+        async () => {
+          console.log("exportJetBrainsScopes command called");
+          try {
+            await scopeInterop.exportJetBrains();
+          } catch (error) {
+            console.error("Error in exportJetBrainsScopes:", error);
+            vscode.window.showErrorMessage(
+              `Error exporting JetBrains scopes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.importScopesJson",
+        async () => {
+          console.log("importScopesJson command called");
+          try {
+            await scopeInterop.importJson();
+            treeDataProvider.refresh();
+          } catch (error) {
+            console.error("Error in importScopesJson:", error);
+            vscode.window.showErrorMessage(
+              `Error importing scopes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.exportScopesJson",
+        async () => {
+          console.log("exportScopesJson command called");
+          try {
+            await scopeInterop.exportJson();
+          } catch (error) {
+            console.error("Error in exportScopesJson:", error);
+            vscode.window.showErrorMessage(
+              `Error exporting scopes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
     context.subscriptions.push(
       vscode.commands.registerCommand(
         "project-scopes.editScope",
@@ -149,490 +380,2417 @@ function activate(context) {
     );
 
     context.subscriptions.push(
-      vscode.commands.registerCommand("project-scopes.debugScope", () => {
-        console.log("debugScope command called");
+      vscode.commands.registerCommand("project-scopes.showOverview", () => {
+        console.log("showOverview command called");
         try {
-          scopeManager.debugCurrentScope();
+          overviewPanel.show();
         } catch (error) {
-          console.error("Error in debugScope:", error);
+          console.error("Error in showOverview:", error);
           vscode.window.showErrorMessage(
-            `Error debugging scope: ${error.message}`
+            `Error showing scope overview: ${error.message}`
           );
         }
       })
     );
 
-    // Connect tree data provider to scope manager events
-    scopeManager.onScopeChanged(() => {
-      treeDataProvider.refresh();
-      fileExplorerProvider.refresh();
-    });
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.toggleExcludeMode",
+        async () => {
+          console.log("toggleExcludeMode command called");
+          try {
+            const config = vscode.workspace.getConfiguration("projectScopes");
+            const mode =
+              config.get("excludeMode", "off") === "off" ? "all" : "off";
+            await config.update(
+              "excludeMode",
+              mode,
+              vscode.ConfigurationTarget.Workspace
+            );
+            vscode.window.showInformationMessage(
+              mode === "off"
+                ? "Explorer and search show the whole workspace"
+                : "Explorer and search are limited to the active scope"
+            );
+          } catch (error) {
+            console.error("Error in toggleExcludeMode:", error);
+            vscode.window.showErrorMessage(
+              `Error toggling exclude mode: ${error.message}`
+            );
+          }
+        }
+      )
+    );
 
-    console.log("Project Scopes extension setup complete!");
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.openScopeWorkspace",
+        async () => {
+          console.log("openScopeWorkspace command called");
+          try {
+            await scopeManager.openScopeWorkspace();
+          } catch (error) {
+            console.error("Error in openScopeWorkspace:", error);
+            vscode.window.showErrorMessage(
+              `Error opening scope workspace folder: ${error.message}`
+            );
+          }
+        }
+      )
+    );
 
-    // Show activation message
-    if (
-      !vscode.workspace.workspaceFolders ||
-      vscode.workspace.workspaceFolders.length === 0
-    ) {
-      console.log("No workspace folders found - some features will be limited");
-      vscode.window.showInformationMessage(
-        "Project Scopes extension is ready! Open a workspace to use all features."
-      );
-    } else {
-      console.log(
-        "Workspace folders found:",
-        vscode.workspace.workspaceFolders.length
-      );
-      vscode.window.showInformationMessage(
-        "Project Scopes extension is ready!"
-      );
-    }
-  } catch (error) {
-    console.error("Error during extension activation:", error);
-    vscode.window.showErrorMessage(
-      `Project Scopes extension failed to activate: ${error.message}`
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.closeScopeWorkspace",
+        async () => {
+          console.log("closeScopeWorkspace command called");
+          try {
+            await scopeManager.closeScopeWorkspace();
+          } catch (error) {
+            console.error("Error in closeScopeWorkspace:", error);
+            vscode.window.showErrorMessage(
+              `Error closing scope workspace folder: ${error.message}`
+            );
+          }
+        }
+      )
     );
-  }
-}
 
-// This method is called when your extension is deactivated
-function deactivate() {
-  console.log("Project Scopes extension deactivated");
-}
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.addToScope",
+        async (item, selectedItems) => {
+          console.log("addToScope command called", item);
+          try {
+            await scopeManager.addToScope(getSelectedUris(item, selectedItems));
+          } catch (error) {
+            console.error("Error in addToScope:", error);
+            vscode.window.showErrorMessage(
+              `Error adding to scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
 
-module.exports = {
-  activate,
-  deactivate,
-};
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.removeFromScope",
+        async (item, selectedItems) => {
+          console.log("removeFromScope command called", item);
+          try {
+            await scopeManager.removeFromScope(
+              getSelectedUris(item, selectedItems)
+            );
+          } catch (error) {
+            console.error("Error in removeFromScope:", error);
+            vscode.window.showErrorMessage(
+              `Error removing from scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
 
-class ScopeManager {
-  constructor(context) {
-    console.log("ScopeManager constructor called");
-    this.context = context;
-    this.scopes = {};
-    this.activeScope = null;
-    this.statusBarItem = null;
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.newScopeFromSelection",
+        async (item, selectedItems) => {
+          console.log("newScopeFromSelection command called", item);
+          try {
+            await scopeManager.createScopeFromSelection(
+              getSelectedUris(item, selectedItems)
+            );
+          } catch (error) {
+            console.error("Error in newScopeFromSelection:", error);
+            vscode.window.showErrorMessage(
+              `Error creating scope from selection: ${error.message}`
+            );
+          }
+        }
+      )
+    );
 
-    // Event emitter for scope changes
-    this._onScopeChanged = new vscode.EventEmitter();
-    this.onScopeChanged = this._onScopeChanged.event;
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.newImportScope",
+        async (item, selectedItems) => {
+          console.log("newImportScope command called", item);
+          try {
+            const uris = getSelectedUris(item, selectedItems);
+            // From the command palette, start at the file being edited
+            if (uris.length === 0 && vscode.window.activeTextEditor) {
+              uris.push(vscode.window.activeTextEditor.document.uri);
+            }
+            await scopeManager.createImportScope(uris);
+          } catch (error) {
+            console.error("Error in newImportScope:", error);
+            vscode.window.showErrorMessage(
+              `Error creating import scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
 
-    // Initialize
-    this.loadScopes();
-    this.createStatusBarItem();
-    console.log("ScopeManager initialization complete");
-  }
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.runInScope",
+        async (item) => {
+          console.log("runInScope command called", item);
+          try {
+            const scopeName = item
+              ? item.label.replace(/^[●○] /, "")
+              : undefined;
+            await scopeTerminals.runInScope(scopeName);
+          } catch (error) {
+            console.error("Error in runInScope:", error);
+            vscode.window.showErrorMessage(
+              `Error running in scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
 
-  createStatusBarItem() {
-    try {
-      this.statusBarItem = vscode.window.createStatusBarItem(
-        vscode.StatusBarAlignment.Left,
-        100
+    // Keyboard switching: slots 1-9 in tree order, cycling and toggling back
+    for (let slot = 1; slot <= 9; slot++) {
+      context.subscriptions.push(
+        vscode.commands.registerCommand(
+          `project-scopes.activateSlot${slot}`,
+          async () => {
+            console.log(`activateSlot${slot} command called`);
+            try {
+              await scopeManager.activateSlot(slot);
+            } catch (error) {
+              console.error(`Error in activateSlot${slot}:`, error);
+              vscode.window.showErrorMessage(
+                `Error activating scope: ${error.message}`
+              );
+            }
+          }
+        )
       );
-      this.statusBarItem.command = "project-scopes.switchScope";
-      this.updateStatusBar();
-      this.statusBarItem.show();
-      this.context.subscriptions.push(this.statusBarItem);
-    } catch (error) {
-      console.error("Error creating status bar item:", error);
     }
-  }
 
-  loadScopes() {
-    try {
-      const config = vscode.workspace.getConfiguration("projectScopes");
-      this.scopes = config.get("scopes", {});
-      this.activeScope = config.get("activeScope", null);
-      this.updateStatusBar();
-      console.log("Loaded scopes:", Object.keys(this.scopes));
-      console.log("Active scope:", this.activeScope);
-    } catch (error) {
-      console.error("Error loading scopes:", error);
-      this.scopes = {};
-      this.activeScope = null;
-    }
-  }
+    context.subscriptions.push(
+      vscode.commands.registerCommand("project-scopes.nextScope", async () => {
+        console.log("nextScope command called");
+        try {
+          await scopeManager.cycleScope(1);
+        } catch (error) {
+          console.error("Error in nextScope:", error);
+          vscode.window.showErrorMessage(
+            `Error switching scope: ${error.message}`
+          );
+        }
+      })
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.previousScope",
+        async () => {
+          console.log("previousScope command called");
+          try {
+            await scopeManager.cycleScope(-1);
+          } catch (error) {
+            console.error("Error in previousScope:", error);
+            vscode.window.showErrorMessage(
+              `Error switching scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.toggleLastScope",
+        async () => {
+          console.log("toggleLastScope command called");
+          try {
+            await scopeManager.togglePreviousScope();
+          } catch (error) {
+            console.error("Error in toggleLastScope:", error);
+            vscode.window.showErrorMessage(
+              `Error switching scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.toggleScopeLock",
+        async () => {
+          console.log("toggleScopeLock command called");
+          try {
+            await scopeFollower.toggleLock();
+          } catch (error) {
+            console.error("Error in toggleScopeLock:", error);
+            vscode.window.showErrorMessage(
+              `Error locking scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.repairScope",
+        async (item) => {
+          console.log("repairScope command called", item);
+          try {
+            // Entries inside a scope know their scope; scope items carry it in the label
+            const scopeName = item
+              ? item.scopeName || item.label.replace(/^[●○] /, "")
+              : undefined;
+            await scopeRepair.repairScope(scopeName);
+          } catch (error) {
+            console.error("Error in repairScope:", error);
+            vscode.window.showErrorMessage(
+              `Error repairing scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.stageChange",
+        async (item, selection) => {
+          console.log("stageChange command called", item);
+          try {
+            const changes = scopeChanges.resolveChanges(item, selection);
+            await scopeChanges.stage(changes);
+          } catch (error) {
+            console.error("Error in stageChange:", error);
+            vscode.window.showErrorMessage(
+              `Error staging changes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.unstageChange",
+        async (item, selection) => {
+          console.log("unstageChange command called", item);
+          try {
+            const changes = scopeChanges.resolveChanges(item, selection);
+            await scopeChanges.unstage(changes);
+          } catch (error) {
+            console.error("Error in unstageChange:", error);
+            vscode.window.showErrorMessage(
+              `Error unstaging changes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.discardChange",
+        async (item, selection) => {
+          console.log("discardChange command called", item);
+          try {
+            const changes = scopeChanges.resolveChanges(item, selection);
+            await scopeChanges.discard(changes);
+          } catch (error) {
+            console.error("Error in discardChange:", error);
+            vscode.window.showErrorMessage(
+              `Error discarding changes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.openChangeDiff",
+        async (item) => {
+          console.log("openChangeDiff command called", item);
+          try {
+            if (item && item.change) await scopeChanges.openDiff(item.change);
+          } catch (error) {
+            console.error("Error in openChangeDiff:", error);
+            vscode.window.showErrorMessage(
+              `Error opening changes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.openChangeFile",
+        async (item) => {
+          console.log("openChangeFile command called", item);
+          try {
+            if (item && item.change) await scopeChanges.openFile(item.change);
+          } catch (error) {
+            console.error("Error in openChangeFile:", error);
+            vscode.window.showErrorMessage(
+              `Error opening file: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.refreshScopeChanges",
+        async () => {
+          console.log("refreshScopeChanges command called");
+          try {
+            await scopeChanges.refresh();
+          } catch (error) {
+            console.error("Error in refreshScopeChanges:", error);
+            vscode.window.showErrorMessage(
+              `Error refreshing scope changes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.commitScopeChanges",
+        async () => {
+          console.log("commitScopeChanges command called");
+          try {
+            await scopeChanges.commitScopeChanges();
+          } catch (error) {
+            console.error("Error in commitScopeChanges:", error);
+            vscode.window.showErrorMessage(
+              `Error committing scope changes: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.searchInScope",
+        async (item) => {
+          console.log("searchInScope command called", item);
+          try {
+            const scopeName = item
+              ? item.label.replace(/^[●○] /, "")
+              : undefined;
+            await scopeSearch.search(scopeName);
+          } catch (error) {
+            console.error("Error in searchInScope:", error);
+            vscode.window.showErrorMessage(
+              `Error searching in scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.replaceInScope",
+        async (item) => {
+          console.log("replaceInScope command called", item);
+          try {
+            const scopeName = item
+              ? item.label.replace(/^[●○] /, "")
+              : undefined;
+            await scopeSearch.replace(scopeName);
+          } catch (error) {
+            console.error("Error in replaceInScope:", error);
+            vscode.window.showErrorMessage(
+              `Error replacing in scope: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.refreshSearchResults",
+        async () => {
+          console.log("refreshSearchResults command called");
+          try {
+            await scopeSearch.refresh();
+          } catch (error) {
+            console.error("Error in refreshSearchResults:", error);
+            vscode.window.showErrorMessage(
+              `Error refreshing search results: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    context.subscriptions.push(
+      vscode.commands.registerCommand(
+        "project-scopes.clearSearchResults",
+        async () => {
+          console.log("clearSearchResults command called");
+          try {
+            await scopeSearch.clear();
+          } catch (error) {
+            console.error("Error in clearSearchResults:", error);
+            vscode.window.showErrorMessage(
+              `Error clearing search results: ${error.message}`
+            );
+          }
+        }
+      )
+    );
+
+    // Connect tree data provider to scope manager events
+    scopeManager.onScopeChanged(() => {
+      treeDataProvider.refresh();
+      fileExplorerProvider.refresh();
+    });
+    scopeManager.onDynamicScopesChanged(() => treeDataProvider.refresh());
+    scopeManager.onDidValidateScopes(() => {
+      treeDataProvider.refresh();
+      fileExplorerProvider.refresh();
+    });
+
+    // Scopes may point at folders that were moved while the workspace was closed
+    scopeRepair
+      .promptRepair()
+      .catch((error) => console.error("Error repairing scopes:", error));
+
+    console.log("Project Scopes extension setup complete!");
+
+    // Show activation message
+    if (
+      !vscode.workspace.workspaceFolders ||
+      vscode.workspace.workspaceFolders.length === 0
+    ) {
+      console.log("No workspace folders found - some features will be limited");
+      vscode.window.showInformationMessage(
+        "Project Scopes extension is ready! Open a workspace to use all features."
+      );
+    } else {
+      console.log(
+        "Workspace folders found:",
+        vscode.workspace.workspaceFolders.length
+      );
+      vscode.window.showInformationMessage(
+        "Project Scopes extension is ready!"
+      );
+    }
+
+    // Other extensions reach the scopes through getExtension(...).exports
+    return createApi(scopeManager);
+  } catch (error) {
+    console.error("Error during extension activation:", error);
+    vscode.window.showErrorMessage(
+      `Project Scopes extension failed to activate: ${error.message}`
+    );
+  }
+}
+
+// This method is called when your extension is deactivated
+function deactivate() {
+  console.log("Project Scopes extension deactivated");
+
+  // Put the user's own exclude and scope-overridden settings back
+  return Promise.all([
+    excludeSync && excludeSync.restore(),
+    settingsSync && settingsSync.restore(),
+  ]);
+}
+
+module.exports = {
+  activate,
+  deactivate,
+};
+
+class ScopeManager {
+  constructor(context) {
+    console.log("ScopeManager constructor called");
+    this.context = context;
+    this.scopes = {};
+    this.scopeSources = {};
+    this.activeScope = null;
+    this.statusBarItem = null;
+    this._matchers = new Map();
+    this.scopeErrors = {};
+    // Scopes whose files are computed at runtime (git, ...), by name
+    this.dynamicScopes = new Map();
+    // Providers for scope definitions with a `type`, e.g. "imports"
+    this.scopeTypes = new Map();
+    // Files of dynamic and typed scopes once computed, by scope name
+    this._computed = new Map();
+    this.store = new ScopeStore(context, () => this.getWorkspaceFolders());
+    this.directoryIndex = new DirectoryIndex(context);
+    // Diagnostics counted per scope for the tree, status bar and Scope Problems
+    this.diagnostics = new ScopeDiagnostics(this);
+
+    // Event emitter for scope changes
+    this._onScopeChanged = new vscode.EventEmitter();
+    this.onScopeChanged = this._onScopeChanged.event;
+
+    // Fires with { previous, current } when another scope is activated or cleared
+    this._onDidChangeActiveScope = new vscode.EventEmitter();
+    this.onDidChangeActiveScope = this._onDidChangeActiveScope.event;
+
+    // Fires when recomputed dynamic scopes leave the active scope untouched
+    this._onDynamicScopesChanged = new vscode.EventEmitter();
+    this.onDynamicScopesChanged = this._onDynamicScopesChanged.event;
+
+    // Fires with { oldName, newName } after a rename; newName is null when deleted
+    this._onDidRenameScope = new vscode.EventEmitter();
+    this.onDidRenameScope = this._onDidRenameScope.event;
+
+    // Folder and seed entries that no longer exist on disk, by scope name
+    this.missingEntries = {};
+    this._onDidValidateScopes = new vscode.EventEmitter();
+    this.onDidValidateScopes = this._onDidValidateScopes.event;
+
+    // Initialize
+    this.loadScopes();
+    this.createStatusBarItem();
+
+    // Pick up teammates' edits to the shared scopes file
+    context.subscriptions.push(
+      this.diagnostics,
+      this.diagnostics.onDidChange(() => this.updateStatusBar()),
+      this.onScopeChanged(() => this.updateContextKeys()),
+      this.onDidChangeActiveScope(() => this.updateContextKeys()),
+      this.store.watchSharedFile(() => {
+        console.log("Shared scopes file changed, reloading scopes");
+        this.loadScopes();
+        this._onScopeChanged.fire();
+      })
+    );
+    console.log("ScopeManager initialization complete");
+  }
+
+  createStatusBarItem() {
+    try {
+      this.statusBarItem = vscode.window.createStatusBarItem(
+        vscode.StatusBarAlignment.Left,
+        100
+      );
+      this.statusBarItem.command = "project-scopes.switchScope";
+      this.updateStatusBar();
+      this.statusBarItem.show();
+      this.context.subscriptions.push(this.statusBarItem);
+    } catch (error) {
+      console.error("Error creating status bar item:", error);
+    }
+  }
+
+  loadScopes() {
+    const previousScope = this.activeScope;
+    try {
+      const { scopes, sources, activeScope } = this.store.load();
+      this.scopes = scopes;
+      this.scopeSources = sources;
+      this.activeScope = activeScope;
+      this._invalidate();
+      this.validateScopes();
+      this.updateStatusBar();
+      console.log("Loaded scopes:", Object.keys(this.scopes));
+      console.log("Active scope:", this.activeScope);
+    } catch (error) {
+      console.error("Error loading scopes:", error);
+      this.scopes = {};
+      this.scopeSources = {};
+      this.activeScope = null;
+    }
+
+    // A reload that drops the active scope clears it
+    if (previousScope && !this.hasScope(this.activeScope)) {
+      this.activeScope = null;
+      this.updateStatusBar();
+      this._activeScopeCleared(previousScope).catch((error) => {
+        console.error("Error clearing removed active scope:", error);
+      });
+    }
+  }
+
+  async saveScopes() {
+    this._invalidate();
+    this.validateScopes();
+    try {
+      const saved = await this.store.save(
+        this.scopes,
+        this.scopeSources,
+        this.activeScope
+      );
+      const uncovered = Object.keys(saved.scopes).filter(
+        (name) => !(name in this.scopes)
+      );
+      for (const name of uncovered) {
+        console.log("Scope uncovered by removing a same-named scope:", name);
+        this.scopes[name] = saved.scopes[name];
+        this.scopeSources[name] = saved.sources[name];
+      }
+      if (uncovered.length > 0) {
+        this._invalidate();
+        this.validateScopes();
+      }
+      console.log("Scopes saved successfully");
+    } catch (error) {
+      console.error("Error saving scopes:", error);
+      throw error;
+    }
+  }
+
+  // Context keys for `when` clauses of keybindings and menus
+  updateContextKeys() {
+    const activeScope = this.hasScope(this.activeScope) ? this.activeScope : "";
+    vscode.commands.executeCommand(
+      "setContext",
+      "projectScopes.activeScope",
+      activeScope
+    );
+    vscode.commands.executeCommand(
+      "setContext",
+      "projectScopes.hasActiveScope",
+      Boolean(activeScope)
+    );
+    // Scopes reachable from the slot keys, and whether Toggle Previous Scope has a target
+    vscode.commands.executeCommand(
+      "setContext",
+      "projectScopes.scopeCount",
+      new Set(this.getOrderedScopeNames()).size
+    );
+    const previousScope = this.context.workspaceState.get(PREVIOUS_SCOPE_KEY);
+    vscode.commands.executeCommand(
+      "setContext",
+      "projectScopes.hasPreviousScope",
+      previousScope !== undefined && previousScope !== this.activeScope
+    );
+  }
+
+  updateStatusBar() {
+    this.updateContextKeys();
+    if (!this.statusBarItem) return;
+
+    try {
+      if (this.hasScope(this.activeScope)) {
+        const counts = this.diagnostics.getCounts(this.activeScope);
+        const problems = formatProblemCounts(counts);
+        this.statusBarItem.text = `$(folder) ${this.activeScope}${
+          problems
+            ? ` $(error) ${counts.errors} $(warning) ${counts.warnings}`
+            : ""
+        }`;
+        this.statusBarItem.tooltip = [
+          `Active scope: ${this.activeScope}`,
+          ...this.describeScope(this.activeScope),
+          problems ? `Problems: ${problems}` : "",
+        ]
+          .filter(Boolean)
+          .join("\n");
+      } else {
+        this.statusBarItem.text = "$(folder) No Scope";
+        this.statusBarItem.tooltip = "No active scope - showing all folders";
+      }
+    } catch (error) {
+      console.error("Error updating status bar:", error);
+    }
+  }
+
+  promptNewScopeName() {
+    return vscode.window.showInputBox({
+      prompt: "Enter scope name",
+      placeHolder: "e.g., Frontend, Backend, Tests",
+      validateInput: (value) => {
+        if (!value.trim()) return "Scope name cannot be empty";
+        if (this.hasScope(value)) return "Scope name already exists";
+        return null;
+      },
+    });
+  }
+
+  async createScope() {
+    const scopeName = await this.promptNewScopeName();
+    if (!scopeName) return;
+
+    const folders = await this.selectFolders();
+    if (!folders) return;
+
+    // A scope without folders needs include patterns or other scopes to build on
+    let include = [];
+    let composition = {};
+    if (folders.length === 0) {
+      include = await this.promptPatterns("include");
+      if (!include) return;
+      if (include.length === 0 && Object.keys(this.scopes).length > 0) {
+        composition = await this.promptComposition(scopeName);
+        if (!composition) return;
+      }
+      if (include.length === 0 && !(composition.extends || []).length) return;
+    }
+
+    await this.addNewScope(scopeName, {
+      folders: folders,
+      include: include,
+      exclude: [],
+      ...composition,
+    });
+  }
+
+  // Store a freshly created scope where new scopes go and offer to activate it
+  async addNewScope(scopeName, definition) {
+    this.scopes[scopeName] = {
+      ...definition,
+      created: new Date().toISOString(),
+      description: "",
+    };
+    this.scopeSources[scopeName] = vscode.workspace
+      .getConfiguration("projectScopes")
+      .get("newScopeLocation", "settings");
+
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+    vscode.window.showInformationMessage(
+      `Scope "${scopeName}" created successfully!`
+    );
+
+    // Ask if user wants to activate this scope
+    const activate = await vscode.window.showQuickPick(["Yes", "No"], {
+      placeHolder: "Activate this scope now?",
+    });
+
+    if (activate === "Yes") {
+      await this.setActiveScope(scopeName);
+    }
+  }
+
+  // Propose one scope per monorepo package, plus "package + local dependencies"
+  async generateScopesFromWorkspaces() {
+    const workspaceFolders = this.getWorkspaceFolders();
+    if (workspaceFolders.length === 0) {
+      vscode.window.showErrorMessage("No workspace folders found");
+      return;
+    }
+
+    const multiRoot = workspaceFolders.length > 1;
+    const packageItems = [];
+    const dependencyItems = [];
+
+    await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Reading workspace manifests...",
+      },
+      async () => {
+        for (const workspaceFolder of workspaceFolders) {
+          const packages = await findWorkspacePackages(
+            workspaceFolder.uri.fsPath
+          );
+          const entry = (dir) =>
+            multiRoot ? formatScopeEntry(workspaceFolder.name, dir) : dir;
+
+          for (const pkg of packages) {
+            // Packages sharing a name get their folder in the scope name
+            const scopeName = pkg.duplicate
+              ? `${pkg.name} (${entry(pkg.dir)})`
+              : pkg.name;
+            packageItems.push({
+              label: scopeName,
+              description: entry(pkg.dir),
+              detail: pkg.duplicate
+                ? `Another package is also named "${pkg.name}"`
+                : this.scopes[scopeName]
+                ? "A scope with this name exists and will be replaced"
+                : undefined,
+              picked: !this.scopes[scopeName],
+              scope: {
+                folders: [entry(pkg.dir)],
+                description: `Generated from ${pkg.manifest}`,
+              },
+            });
+
+            if (pkg.localDependencies.length > 0) {
+              const name = `${scopeName} + dependencies`;
+              dependencyItems.push({
+                label: name,
+                description: pkg.localDependencies
+                  .map((dep) => dep.name)
+                  .join(", "),
+                picked: false,
+                scope: {
+                  folders: [
+                    entry(pkg.dir),
+                    ...pkg.localDependencies.map((dep) => entry(dep.dir)),
+                  ],
+                  description: `${pkg.name} and its local dependencies`,
+                },
+              });
+            }
+          }
+        }
+      }
+    );
+
+    if (packageItems.length === 0) {
+      vscode.window.showWarningMessage(
+        "No workspace packages found in package.json, pnpm-workspace.yaml, lerna.json or nx.json"
+      );
+      return;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+      [
+        { label: "Packages", kind: vscode.QuickPickItemKind.Separator },
+        ...packageItems,
+        ...(dependencyItems.length > 0
+          ? [
+              {
+                label: "Packages with their local dependencies",
+                kind: vscode.QuickPickItemKind.Separator,
+              },
+              ...dependencyItems,
+            ]
+          : []),
+      ],
+      {
+        placeHolder: `Found ${packageItems.length} packages - select the scopes to create`,
+        canPickMany: true,
+        matchOnDescription: true,
+      }
+    );
+    if (!selected || selected.length === 0) return;
+
+    const definitions = {};
+    for (const item of selected) {
+      definitions[item.label] = { ...item.scope, include: [], exclude: [] };
+    }
+    await this.addScopes(definitions);
+    vscode.window.showInformationMessage(
+      `Generated ${selected.length} scope${selected.length === 1 ? "" : "s"}`
+    );
+  }
+
+  // Add or replace several scopes; new ones go where new scopes go
+  async addScopes(definitions) {
+    const location = vscode.workspace
+      .getConfiguration("projectScopes")
+      .get("newScopeLocation", "settings");
+    for (const [scopeName, definition] of Object.entries(definitions)) {
+      this.scopes[scopeName] = {
+        ...definition,
+        created: new Date().toISOString(),
+      };
+      this.scopeSources[scopeName] = this.scopeSources[scopeName] || location;
+    }
+
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+  }
+
+  async editScope(scopeName) {
+    if (!scopeName) {
+      const scopes = Object.keys(this.scopes);
+      if (scopes.length === 0) {
+        vscode.window.showWarningMessage("No scopes defined");
+        return;
+      }
+
+      scopeName = await vscode.window.showQuickPick(scopes, {
+        placeHolder: "Select scope to edit",
+      });
+    }
+
+    if (!scopeName || !this.scopes[scopeName]) return;
+
+    // Import scopes are defined by their seeds rather than folders and patterns
+    const definitionActions =
+      this.scopes[scopeName].type === IMPORTS_SCOPE_TYPE
+        ? ["Edit Imports"]
+        : ["Edit Folders", "Edit Include Patterns", "Edit Exclude Patterns"];
+    const action = await vscode.window.showQuickPick(
+      [
+        "Edit Name",
+        ...definitionActions,
+        "Edit Composition",
+        "Edit Description",
+        "Edit Terminal Settings",
+        "Edit Explorer Badge",
+        "Change Storage Location",
+      ],
+      { placeHolder: "What would you like to edit?" }
+    );
+
+    if (!action) return;
+
+    switch (action) {
+      case "Edit Name":
+        await this.editScopeName(scopeName);
+        break;
+      case "Edit Folders":
+        await this.editScopeFolders(scopeName);
+        break;
+      case "Edit Imports":
+        await this.editScopeImports(scopeName);
+        break;
+      case "Edit Include Patterns":
+        await this.editScopePatterns(scopeName, "include");
+        break;
+      case "Edit Exclude Patterns":
+        await this.editScopePatterns(scopeName, "exclude");
+        break;
+      case "Edit Composition":
+        await this.editScopeComposition(scopeName);
+        break;
+      case "Edit Description":
+        await this.editScopeDescription(scopeName);
+        break;
+      case "Edit Terminal Settings":
+        await this.editScopeTerminal(scopeName);
+        break;
+      case "Edit Explorer Badge":
+        await this.editScopeDecoration(scopeName);
+        break;
+      case "Change Storage Location":
+        await this.editScopeLocation(scopeName);
+        break;
+    }
+  }
+
+  async editScopeName(oldName) {
+    const newName = await vscode.window.showInputBox({
+      prompt: "Enter new scope name",
+      value: oldName,
+      validateInput: (value) => {
+        if (!value.trim()) return "Scope name cannot be empty";
+        if (value !== oldName && this.hasScope(value))
+          return "Scope name already exists";
+        return null;
+      },
+    });
+
+    if (!newName || newName === oldName) return;
+
+    this.scopes[newName] = { ...this.scopes[oldName] };
+    this.scopeSources[newName] = this.scopeSources[oldName];
+    delete this.scopes[oldName];
+    delete this.scopeSources[oldName];
+
+    // Keep composite scopes pointing at the renamed scope
+    for (const [name, scope] of Object.entries(this.scopes)) {
+      for (const key of Object.keys(COMPOSITION_KEYS)) {
+        if ((scope[key] || []).includes(oldName)) {
+          this.scopes[name] = {
+            ...this.scopes[name],
+            [key]: scope[key].map((reference) =>
+              reference === oldName ? newName : reference
+            ),
+          };
+        }
+      }
+    }
+
+    // Update active scope if it was the renamed one
+    if (this.activeScope === oldName) {
+      this.activeScope = newName;
+    }
+
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+    this._onDidRenameScope.fire({ oldName: oldName, newName: newName });
+    vscode.window.showInformationMessage(
+      `Scope renamed from "${oldName}" to "${newName}"`
+    );
+  }
+
+  async editScopeFolders(scopeName) {
+    const folders = await this.selectFolders(
+      this.scopes[scopeName].folders || []
+    );
+    if (!folders) return;
+
+    this.scopes[scopeName] = {
+      ...this.scopes[scopeName],
+      folders: folders,
+    };
+
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+    vscode.window.showInformationMessage(
+      `Folders updated for scope "${scopeName}"`
+    );
+  }
 
-  async saveScopes() {
-    try {
-      const config = vscode.workspace.getConfiguration("projectScopes");
-      await config.update(
-        "scopes",
-        this.scopes,
-        vscode.ConfigurationTarget.Workspace
+  async editScopePatterns(scopeName, kind) {
+    const patterns = await this.promptPatterns(
+      kind,
+      this.scopes[scopeName][kind] || []
+    );
+    if (!patterns) return;
+
+    this.scopes[scopeName] = {
+      ...this.scopes[scopeName],
+      [kind]: patterns,
+    };
+
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+    vscode.window.showInformationMessage(
+      `${
+        kind === "include" ? "Include" : "Exclude"
+      } patterns updated for scope "${scopeName}"`
+    );
+  }
+
+  async editScopeComposition(scopeName) {
+    const composition = await this.promptComposition(
+      scopeName,
+      this.scopes[scopeName]
+    );
+    if (!composition) return;
+
+    this.scopes[scopeName] = {
+      ...this.scopes[scopeName],
+      ...composition,
+    };
+
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+
+    const error = this.getScopeError(scopeName);
+    if (error) {
+      vscode.window.showWarningMessage(
+        `Scope "${scopeName}": ${error.message}`
+      );
+    } else {
+      vscode.window.showInformationMessage(
+        `Composition updated for scope "${scopeName}"`
       );
-      await config.update(
-        "activeScope",
-        this.activeScope,
-        vscode.ConfigurationTarget.Workspace
+    }
+  }
+
+  // Pick the scopes to union, intersect and subtract, one step each
+  async promptComposition(scopeName, current = {}) {
+    const otherScopes = [
+      ...Object.keys(this.scopes),
+      ...this.dynamicScopes.keys(),
+    ].filter((name) => name !== scopeName);
+    if (otherScopes.length === 0) {
+      vscode.window.showWarningMessage(
+        "Create other scopes first to compose them"
+      );
+      return null;
+    }
+
+    const composition = {};
+    for (const [key, label] of Object.entries(COMPOSITION_KEYS)) {
+      const selected = await vscode.window.showQuickPick(
+        otherScopes.map((name) => ({
+          label: name,
+          picked: (current[key] || []).includes(name),
+        })),
+        { placeHolder: label, canPickMany: true }
+      );
+      if (!selected) return null;
+      composition[key] = selected.map((item) => item.label);
+    }
+    return composition;
+  }
+
+  async promptPatterns(kind, currentPatterns = []) {
+    const value = await vscode.window.showInputBox({
+      prompt:
+        kind === "include"
+          ? "Enter glob patterns of files to include (comma separated)"
+          : "Enter glob patterns of files to exclude (comma separated)",
+      value: currentPatterns.join(", "),
+      placeHolder:
+        kind === "include"
+          ? "e.g., src/**/*.ts, packages/*/api/**"
+          : "e.g., **/__generated__/**, **/*.snap",
+    });
+
+    if (value === undefined) return null;
+    return parsePatternList(value);
+  }
+
+  async editScopeDescription(scopeName) {
+    const description = await vscode.window.showInputBox({
+      prompt: "Enter scope description",
+      value: this.scopes[scopeName].description || "",
+      placeHolder: "Optional description for this scope",
+    });
+
+    if (description === undefined) return;
+
+    this.scopes[scopeName] = {
+      ...this.scopes[scopeName],
+      description: description,
+    };
+
+    await this.saveScopes();
+    vscode.window.showInformationMessage(
+      `Description updated for scope "${scopeName}"`
+    );
+  }
+
+  async editScopeTerminal(scopeName) {
+    const scope = this.scopes[scopeName];
+
+    const cwd = await vscode.window.showInputBox({
+      prompt: "Working directory for terminals and tasks",
+      value: scope.cwd || "",
+      placeHolder: "Defaults to the first scope folder (e.g., packages/api)",
+    });
+    if (cwd === undefined) return;
+
+    // One variable per entry, split at the first "=" so values may hold "," or "="
+    const env = await this.editList(
+      "Environment variables (KEY=value)",
+      Object.entries(scope.env || {}).map(([key, value]) => `${key}=${value}`),
+      {
+        placeHolder: "e.g., NODE_OPTIONS=--inspect --max-old-space-size=4096",
+        validate: (value) => (/^[^=\s]+=/.test(value) ? null : "Use KEY=value"),
+      }
+    );
+    if (env === undefined) return;
+
+    // Scripts with a separate name are only editable in JSON
+    const named = (scope.scripts || []).filter(
+      (script) => typeof script !== "string"
+    );
+    const commands = await this.editList(
+      "Commands (package.json scripts are added automatically)",
+      (scope.scripts || []).filter((script) => typeof script === "string"),
+      { placeHolder: "e.g., docker compose up -d; docker compose logs -f" }
+    );
+    if (commands === undefined) return;
+
+    const updated = { ...scope };
+    delete updated.cwd;
+    delete updated.env;
+    delete updated.scripts;
+    if (cwd.trim()) updated.cwd = cwd.trim();
+
+    if (env.length > 0) {
+      updated.env = {};
+      for (const pair of env) {
+        const separator = pair.indexOf("=");
+        updated.env[pair.slice(0, separator)] = pair.slice(separator + 1);
+      }
+    }
+
+    if (commands.length + named.length > 0) {
+      updated.scripts = [...commands, ...named];
+    }
+
+    this.scopes[scopeName] = updated;
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+    vscode.window.showInformationMessage(
+      `Terminal settings updated for scope "${scopeName}"`
+    );
+  }
+
+  // Edit a list one entry at a time; resolves to undefined when cancelled
+  async editList(title, entries, { placeHolder, validate = () => null }) {
+    const list = [...entries];
+    for (;;) {
+      const choice = await vscode.window.showQuickPick(
+        [
+          { label: "$(check) Done", action: "done" },
+          { label: "$(add) Add...", action: "add" },
+          ...list.map((entry, index) => ({
+            label: entry,
+            description: "Edit or remove",
+            index: index,
+          })),
+        ],
+        { placeHolder: title }
+      );
+      if (!choice) return undefined;
+      if (choice.action === "done") return list;
+
+      const adding = choice.action === "add";
+      const value = await vscode.window.showInputBox({
+        prompt: adding ? title : `${title} - leave empty to remove`,
+        value: adding ? "" : list[choice.index],
+        placeHolder: placeHolder,
+        validateInput: (value) =>
+          value.trim() ? validate(value.trim()) : null,
+      });
+      if (value === undefined) continue;
+
+      if (adding) {
+        if (value.trim()) list.push(value.trim());
+      } else if (value.trim()) {
+        list[choice.index] = value.trim();
+      } else {
+        list.splice(choice.index, 1);
+      }
+    }
+  }
+
+  async editScopeDecoration(scopeName) {
+    const decoration = this.scopes[scopeName].decoration || {};
+
+    const badge = await vscode.window.showInputBox({
+      prompt:
+        "Badge shown on the scope's files in the Explorer (1-2 characters)",
+      value: decoration.badge || "",
+      placeHolder: `Defaults to "${scopeName.charAt(0).toUpperCase()}"`,
+      validateInput: (value) =>
+        value.trim().length > 2 ? "Use at most two characters" : null,
+    });
+    if (badge === undefined) return;
+
+    const colors = [
+      { label: "Default", color: undefined },
+      ...["blue", "green", "yellow", "orange", "red", "purple"].map((name) => ({
+        label: name.charAt(0).toUpperCase() + name.slice(1),
+        description: `charts.${name}`,
+        color: `charts.${name}`,
+      })),
+    ];
+    const color = await vscode.window.showQuickPick(colors, {
+      placeHolder: "Color of the scope's files in the Explorer",
+    });
+    if (!color) return;
+
+    const updated = { ...this.scopes[scopeName] };
+    delete updated.decoration;
+    if (badge.trim() || color.color) {
+      updated.decoration = {};
+      if (badge.trim()) updated.decoration.badge = badge.trim();
+      if (color.color) updated.decoration.color = color.color;
+    }
+
+    this.scopes[scopeName] = updated;
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+  }
+
+  async editScopeLocation(scopeName) {
+    const current = this.scopeSources[scopeName] || "settings";
+    const items = Object.keys(LOCATIONS).map((location) => ({
+      label: LOCATIONS[location],
+      description: location === current ? "(current)" : "",
+      location: location,
+    }));
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: `Where should scope "${scopeName}" be stored?`,
+    });
+    if (!selected || selected.location === current) return;
+
+    this.scopeSources[scopeName] = selected.location;
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+    vscode.window.showInformationMessage(
+      `Scope "${scopeName}" moved to ${selected.label.toLowerCase()}`
+    );
+  }
+
+  getScopeLocation(scopeName) {
+    return LOCATIONS[this.scopeSources[scopeName] || "settings"];
+  }
+
+  async deleteScope(scopeName) {
+    if (!scopeName) {
+      const scopes = Object.keys(this.scopes);
+      if (scopes.length === 0) {
+        vscode.window.showWarningMessage("No scopes defined");
+        return;
+      }
+
+      scopeName = await vscode.window.showQuickPick(scopes, {
+        placeHolder: "Select scope to delete",
+      });
+    }
+
+    if (!scopeName || !this.scopes[scopeName]) return;
+
+    const confirmation = await vscode.window.showWarningMessage(
+      `Are you sure you want to delete scope "${scopeName}"?`,
+      "Delete",
+      "Cancel"
+    );
+
+    if (confirmation !== "Delete") return;
+
+    delete this.scopes[scopeName];
+    delete this.scopeSources[scopeName];
+
+    // Clear active scope if it was the deleted one
+    const wasActive = this.activeScope === scopeName;
+    if (wasActive) {
+      this.activeScope = null;
+    }
+
+    await this.saveScopes();
+    this.updateStatusBar();
+    this._onScopeChanged.fire();
+    if (wasActive) await this._activeScopeCleared(scopeName);
+    this._onDidRenameScope.fire({ oldName: scopeName, newName: null });
+    vscode.window.showInformationMessage(`Scope "${scopeName}" deleted`);
+  }
+
+  async switchScope() {
+    const scopes = Object.keys(this.scopes);
+    if (scopes.length === 0 && this.dynamicScopes.size === 0) {
+      vscode.window.showWarningMessage(
+        "No scopes defined. Create a scope first."
+      );
+      return;
+    }
+
+    const items = [
+      {
+        label: "$(clear-all) Clear Active Scope",
+        description: "Show all folders",
+        scopeName: null,
+      },
+      ...this.getOrderedScopeNames()
+        .filter((scopeName) => this.scopes[scopeName])
+        .map((scopeName) => ({
+          label: `$(folder) ${scopeName}`,
+          description:
+            this.scopes[scopeName].description ||
+            this.describeScope(scopeName).join("; "),
+          scopeName: scopeName,
+        })),
+    ];
+
+    if (this.dynamicScopes.size > 0) {
+      items.push({
+        label: "Dynamic",
+        kind: vscode.QuickPickItemKind.Separator,
+      });
+      for (const dynamicScope of this.dynamicScopes.values()) {
+        items.push({
+          label: `$(${dynamicScope.icon || "sync"}) ${dynamicScope.name}`,
+          description: dynamicScope.description,
+          scopeName: dynamicScope.name,
+        });
+      }
+    }
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: "Select a scope to activate",
+    });
+
+    if (selected === undefined) return;
+
+    if (selected.scopeName) {
+      await this.setActiveScope(selected.scopeName);
+    } else {
+      await this.clearActiveScope();
+    }
+  }
+
+  async setActiveScope(scopeName, options = {}) {
+    if (!this.hasScope(scopeName)) {
+      vscode.window.showErrorMessage(`Scope "${scopeName}" not found`);
+      return;
+    }
+
+    const previousScope = this.activeScope;
+    this.activeScope = scopeName;
+    await this.saveScopes();
+    this.updateStatusBar();
+    this._onScopeChanged.fire();
+    if (previousScope !== scopeName) {
+      await this.context.workspaceState.update(
+        PREVIOUS_SCOPE_KEY,
+        previousScope
+      );
+      this._onDidChangeActiveScope.fire({
+        previous: previousScope,
+        current: scopeName,
+        followedUri: options.followedUri,
+      });
+    }
+
+    console.log(`Activated scope: ${scopeName}`);
+    // Keyboard switching only flashes the status bar instead of a toast
+    if (options.quiet) {
+      vscode.window.setStatusBarMessage(`Activated scope: ${scopeName}`, 2000);
+    } else {
+      vscode.window.showInformationMessage(`Activated scope: ${scopeName}`);
+    }
+  }
+
+  async clearActiveScope(options = {}) {
+    if (!this.activeScope) {
+      vscode.window.showInformationMessage("No active scope to clear");
+      return;
+    }
+
+    const previousScope = this.activeScope;
+    this.activeScope = null;
+    await this.saveScopes();
+    this.updateStatusBar();
+    this._onScopeChanged.fire();
+    await this._activeScopeCleared(previousScope);
+
+    console.log(`Cleared scope: ${previousScope}`);
+    if (options.quiet) {
+      vscode.window.setStatusBarMessage(
+        `Cleared scope: ${previousScope}`,
+        2000
+      );
+    } else {
+      vscode.window.showInformationMessage(`Cleared scope: ${previousScope}`);
+    }
+  }
+
+  // Toggle Previous Scope and onDidChangeActiveScope learn the scope is gone
+  async _activeScopeCleared(previousScope) {
+    await this.context.workspaceState.update(PREVIOUS_SCOPE_KEY, previousScope);
+    this._onDidChangeActiveScope.fire({
+      previous: previousScope,
+      current: null,
+    });
+  }
+
+  /**
+   * Scope names in slot order: static scopes as arranged in the tree, then
+   * the dynamic scopes. Scopes never arranged keep their definition order.
+   */
+  getOrderedScopeNames() {
+    const order = this.context.workspaceState.get(SCOPE_ORDER_KEY, []);
+    const position = (scopeName) => {
+      const index = order.indexOf(scopeName);
+      return index === -1 ? order.length : index;
+    };
+    const staticNames = Object.keys(this.scopes)
+      .map((scopeName, index) => ({ scopeName, index }))
+      .sort(
+        (a, b) =>
+          position(a.scopeName) - position(b.scopeName) || a.index - b.index
+      )
+      .map(({ scopeName }) => scopeName);
+    return [...staticNames, ...this.dynamicScopes.keys()];
+  }
+
+  async setScopeOrder(scopeNames) {
+    await this.context.workspaceState.update(SCOPE_ORDER_KEY, scopeNames);
+  }
+
+  // Slot 1-9, counting in tree order
+  async activateSlot(slot) {
+    const scopeName = this.getOrderedScopeNames()[slot - 1];
+    if (!scopeName) {
+      vscode.window.setStatusBarMessage(`No scope in slot ${slot}`, 2000);
+      return;
+    }
+    if (scopeName !== this.activeScope) {
+      await this.setActiveScope(scopeName, { quiet: true });
+    }
+  }
+
+  // Next (1) or previous (-1) scope in slot order, wrapping around
+  async cycleScope(direction) {
+    const scopeNames = this.getOrderedScopeNames();
+    if (scopeNames.length === 0) {
+      vscode.window.showWarningMessage(
+        "No scopes defined. Create a scope first."
+      );
+      return;
+    }
+
+    const index = scopeNames.indexOf(this.activeScope);
+    const next =
+      index === -1
+        ? direction > 0
+          ? 0
+          : scopeNames.length - 1
+        : (index + direction + scopeNames.length) % scopeNames.length;
+    if (scopeNames[next] !== this.activeScope) {
+      await this.setActiveScope(scopeNames[next], { quiet: true });
+    }
+  }
+
+  // Back to the scope active before this one, like `cd -`
+  async togglePreviousScope() {
+    const previousScope = this.context.workspaceState.get(PREVIOUS_SCOPE_KEY);
+    if (previousScope === undefined) {
+      vscode.window.setStatusBarMessage("No previous scope", 2000);
+      return;
+    }
+
+    if (previousScope === null) {
+      if (this.activeScope) await this.clearActiveScope({ quiet: true });
+    } else if (this.hasScope(previousScope)) {
+      await this.setActiveScope(previousScope, { quiet: true });
+    } else {
+      vscode.window.showWarningMessage(
+        `Previous scope "${previousScope}" no longer exists`
       );
-      console.log("Scopes saved successfully");
-    } catch (error) {
-      console.error("Error saving scopes:", error);
-      throw error;
     }
   }
 
-  updateStatusBar() {
-    if (!this.statusBarItem) return;
+  async selectFolders(currentFolders = []) {
+    const workspaceFolders = this.getWorkspaceFolders();
+    if (workspaceFolders.length === 0) {
+      vscode.window.showErrorMessage("No workspace folders found");
+      return null;
+    }
 
-    try {
-      if (this.activeScope && this.scopes[this.activeScope]) {
-        this.statusBarItem.text = `$(folder) ${this.activeScope}`;
-        this.statusBarItem.tooltip = `Active scope: ${
-          this.activeScope
-        }\nFolders: ${this.scopes[this.activeScope].folders.join(", ")}`;
-      } else {
-        this.statusBarItem.text = "$(folder) No Scope";
-        this.statusBarItem.tooltip = "No active scope - showing all folders";
+    return pickFolders(this.directoryIndex, workspaceFolders, currentFolders);
+  }
+
+  // Scope entries for files and folders picked in the Explorer or Scoped Files view
+  async resolveSelection(uris) {
+    const multiRoot = this.getWorkspaceFolders().length > 1;
+    const selection = [];
+
+    for (const uri of uris) {
+      const resolved = this.resolvePath(uri.fsPath);
+      if (!resolved) continue;
+
+      let isDirectory;
+      try {
+        isDirectory = (await fs.promises.stat(uri.fsPath)).isDirectory();
+      } catch (error) {
+        console.warn("Error reading selected path:", uri.fsPath, error.message);
+        continue;
       }
-    } catch (error) {
-      console.error("Error updating status bar:", error);
+
+      // Folders are stored as written, files and workspace roots as globs
+      const { workspaceFolder, relativePath } = resolved;
+      const root = multiRoot ? workspaceFolder.name : null;
+      const pattern = relativePath ? escapeGlob(relativePath) : "**";
+      const isFolderEntry = isDirectory && Boolean(relativePath);
+      selection.push({
+        workspaceFolder: workspaceFolder,
+        relativePath: relativePath,
+        isDirectory: isDirectory,
+        root: root,
+        key: isFolderEntry ? "folders" : "include",
+        entry: formatScopeEntry(root, isFolderEntry ? relativePath : pattern),
+        excludeEntry: formatScopeEntry(root, pattern),
+      });
     }
+
+    return selection;
   }
 
-  async createScope() {
-    const scopeName = await vscode.window.showInputBox({
-      prompt: "Enter scope name",
-      placeHolder: "e.g., Frontend, Backend, Tests",
-      validateInput: (value) => {
-        if (!value.trim()) return "Scope name cannot be empty";
-        if (this.scopes[value]) return "Scope name already exists";
-        return null;
-      },
+  // Is every file below the selected item part of the scope
+  _selectionCovered(scopeName, item) {
+    const matcher = this.getScopeMatcher(scopeName, item.workspaceFolder);
+    if (!matcher) return false;
+    return item.isDirectory
+      ? matcher.coversDirectory(item.relativePath)
+      : matcher.matches(item.relativePath);
+  }
+
+  // Is anything of the selected item visible in the scope
+  _selectionVisible(scopeName, item) {
+    const matcher = this.getScopeMatcher(scopeName, item.workspaceFolder);
+    return matcher
+      ? matcher.shouldShow(item.relativePath, item.isDirectory)
+      : false;
+  }
+
+  async pickScopeForSelection(action, selection) {
+    const scopeNames = Object.keys(this.scopes).filter(
+      (scopeName) =>
+        action === "add" ||
+        selection.some((item) => this._selectionVisible(scopeName, item))
+    );
+
+    if (action === "remove" && scopeNames.length === 0) {
+      vscode.window.showInformationMessage(
+        "The selection is not part of any scope"
+      );
+      return undefined;
+    }
+
+    const items = scopeNames.map((scopeName) => ({
+      label: `$(folder) ${scopeName}`,
+      description: scopeName === this.activeScope ? "Active" : "",
+      scopeName: scopeName,
+    }));
+    if (action === "add") {
+      items.push({
+        label: "$(add) New Scope from Selection",
+        scopeName: null,
+      });
+    }
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder:
+        action === "add"
+          ? "Add the selection to which scope?"
+          : "Remove the selection from which scope?",
     });
+    return selected ? selected.scopeName : undefined;
+  }
 
-    if (!scopeName) return;
+  async addToScope(uris, scopeName) {
+    const selection = await this.resolveSelection(uris);
+    if (selection.length === 0) {
+      vscode.window.showWarningMessage(
+        "The selection is not inside a workspace folder"
+      );
+      return;
+    }
 
-    const folders = await this.selectFolders();
-    if (!folders || folders.length === 0) return;
+    if (!scopeName) {
+      scopeName = await this.pickScopeForSelection("add", selection);
+      if (scopeName === undefined) return;
+      if (scopeName === null) {
+        await this.createScopeFromSelection(uris);
+        return;
+      }
+    }
 
+    // Lift earlier exclusions of the selection first, it may already be covered then
+    const excluded = new Set(selection.map((item) => item.excludeEntry));
     this.scopes[scopeName] = {
-      folders: folders,
-      created: new Date().toISOString(),
-      description: "",
+      ...this.scopes[scopeName],
+      exclude: (this.scopes[scopeName].exclude || []).filter(
+        (entry) => !excluded.has(entry)
+      ),
     };
+    this._invalidate();
+
+    for (const item of selection) {
+      if (this._selectionCovered(scopeName, item)) continue;
+
+      const scope = this.scopes[scopeName];
+      this.scopes[scopeName] = {
+        ...scope,
+        [item.key]: [...(scope[item.key] || []), item.entry],
+      };
+      this._invalidate();
+    }
 
     await this.saveScopes();
     this._onScopeChanged.fire();
     vscode.window.showInformationMessage(
-      `Scope "${scopeName}" created successfully!`
+      `Added ${selection.length} item(s) to scope "${scopeName}"`
     );
+  }
 
-    // Ask if user wants to activate this scope
-    const activate = await vscode.window.showQuickPick(["Yes", "No"], {
-      placeHolder: "Activate this scope now?",
-    });
-
-    if (activate === "Yes") {
-      await this.setActiveScope(scopeName);
+  async removeFromScope(uris, scopeName) {
+    const selection = await this.resolveSelection(uris);
+    if (selection.length === 0) {
+      vscode.window.showWarningMessage(
+        "The selection is not inside a workspace folder"
+      );
+      return;
     }
-  }
 
-  async editScope(scopeName) {
     if (!scopeName) {
-      const scopes = Object.keys(this.scopes);
-      if (scopes.length === 0) {
-        vscode.window.showWarningMessage("No scopes defined");
-        return;
-      }
-
-      scopeName = await vscode.window.showQuickPick(scopes, {
-        placeHolder: "Select scope to edit",
-      });
+      scopeName = await this.pickScopeForSelection("remove", selection);
+      if (!scopeName) return;
     }
 
-    if (!scopeName || !this.scopes[scopeName]) return;
+    for (const item of selection) {
+      // Drop entries for the item and anything inside it that name its root
+      const isInside = (entry, literal) => {
+        const parsed = parseScopeEntry(entry, this.getRootNames());
+        if (parsed.root !== item.root) return false;
+        const own = literal ? item.relativePath : escapeGlob(item.relativePath);
+        return (
+          !item.relativePath ||
+          parsed.path === own ||
+          (item.isDirectory && parsed.path.startsWith(`${own}/`))
+        );
+      };
+
+      const scope = this.scopes[scopeName];
+      this.scopes[scopeName] = {
+        ...scope,
+        folders: (scope.folders || []).filter(
+          (entry) => !isInside(entry, true)
+        ),
+        include: (scope.include || []).filter(
+          (entry) => !isInside(entry, false)
+        ),
+      };
+      this._invalidate();
+
+      // Still reachable through a parent folder, a pattern or another scope
+      if (this._selectionVisible(scopeName, item)) {
+        const updated = this.scopes[scopeName];
+        this.scopes[scopeName] = {
+          ...updated,
+          exclude: [...(updated.exclude || []), item.excludeEntry],
+        };
+        this._invalidate();
+      }
+    }
 
-    const action = await vscode.window.showQuickPick(
-      ["Edit Name", "Edit Folders", "Edit Description"],
-      { placeHolder: "What would you like to edit?" }
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+    vscode.window.showInformationMessage(
+      `Removed ${selection.length} item(s) from scope "${scopeName}"`
     );
+  }
 
-    if (!action) return;
-
-    switch (action) {
-      case "Edit Name":
-        await this.editScopeName(scopeName);
-        break;
-      case "Edit Folders":
-        await this.editScopeFolders(scopeName);
-        break;
-      case "Edit Description":
-        await this.editScopeDescription(scopeName);
-        break;
+  async createScopeFromSelection(uris) {
+    const selection = await this.resolveSelection(uris);
+    if (selection.length === 0) {
+      vscode.window.showWarningMessage(
+        "The selection is not inside a workspace folder"
+      );
+      return;
     }
-  }
 
-  async editScopeName(oldName) {
-    const newName = await vscode.window.showInputBox({
-      prompt: "Enter new scope name",
-      value: oldName,
-      validateInput: (value) => {
-        if (!value.trim()) return "Scope name cannot be empty";
-        if (value !== oldName && this.scopes[value])
-          return "Scope name already exists";
-        return null;
-      },
+    const scopeName = await this.promptNewScopeName();
+    if (!scopeName) return;
+
+    const entries = (key) => [
+      ...new Set(
+        selection.filter((item) => item.key === key).map((item) => item.entry)
+      ),
+    ];
+    await this.addNewScope(scopeName, {
+      folders: entries("folders"),
+      include: entries("include"),
+      exclude: [],
     });
+  }
 
-    if (!newName || newName === oldName) return;
+  // Scope of the selected files plus what they import
+  async createImportScope(uris) {
+    const seeds = (await this.resolveSelection(uris))
+      .filter((item) => !item.isDirectory)
+      .map((item) => item.excludeEntry);
+    if (seeds.length === 0) {
+      vscode.window.showWarningMessage(
+        "Select one or more files inside the workspace to follow their imports"
+      );
+      return;
+    }
 
-    this.scopes[newName] = { ...this.scopes[oldName] };
-    delete this.scopes[oldName];
+    const scopeName = await this.promptNewScopeName();
+    if (!scopeName) return;
 
-    // Update active scope if it was the renamed one
-    if (this.activeScope === oldName) {
-      this.activeScope = newName;
-    }
+    const settings = await this.promptImportSettings({ seeds: seeds });
+    if (!settings) return;
 
-    await this.saveScopes();
-    this._onScopeChanged.fire();
-    vscode.window.showInformationMessage(
-      `Scope renamed from "${oldName}" to "${newName}"`
+    await this.addNewScope(scopeName, {
+      type: IMPORTS_SCOPE_TYPE,
+      ...settings,
+    });
+  }
+
+  // Seed files, depth and whether to add importers, one step each
+  async promptImportSettings(current = {}) {
+    const seedsValue = await vscode.window.showInputBox({
+      prompt: "Seed files whose imports make up the scope (comma separated)",
+      value: (current.seeds || []).join(", "),
+      validateInput: (value) =>
+        parsePatternList(value).length > 0
+          ? null
+          : "Enter at least one seed file",
+    });
+    if (seedsValue === undefined) return null;
+
+    const depthValue = await vscode.window.showInputBox({
+      prompt: "How many levels of imports to follow (empty for no limit)",
+      value: current.depth > 0 ? String(current.depth) : "",
+      validateInput: (value) =>
+        !value.trim() || /^[1-9]\d*$/.test(value.trim())
+          ? null
+          : "Enter a positive number or leave empty",
+    });
+    if (depthValue === undefined) return null;
+
+    const importers = await vscode.window.showQuickPick(
+      [
+        { label: "Only imported files", importers: false },
+        { label: "Also files importing the seeds", importers: true },
+      ],
+      { placeHolder: "Include files that import the seeds?" }
     );
+    if (!importers) return null;
+
+    return {
+      seeds: parsePatternList(seedsValue),
+      depth: depthValue.trim() ? Number(depthValue.trim()) : 0,
+      importers: importers.importers,
+    };
   }
 
-  async editScopeFolders(scopeName) {
-    const folders = await this.selectFolders(this.scopes[scopeName].folders);
-    if (!folders) return;
+  async editScopeImports(scopeName) {
+    const settings = await this.promptImportSettings(this.scopes[scopeName]);
+    if (!settings) return;
 
     this.scopes[scopeName] = {
       ...this.scopes[scopeName],
-      folders: folders,
+      ...settings,
     };
 
     await this.saveScopes();
     this._onScopeChanged.fire();
     vscode.window.showInformationMessage(
-      `Folders updated for scope "${scopeName}"`
+      `Imports updated for scope "${scopeName}"`
     );
   }
 
-  async editScopeDescription(scopeName) {
-    const description = await vscode.window.showInputBox({
-      prompt: "Enter scope description",
-      value: this.scopes[scopeName].description || "",
-      placeHolder: "Optional description for this scope",
-    });
+  getScopes() {
+    return this.scopes;
+  }
 
-    if (description === undefined) return;
+  // Replace the definitions of existing scopes: { scopeName: definition }
+  async updateScopes(definitions) {
+    for (const [scopeName, definition] of Object.entries(definitions)) {
+      this.scopes[scopeName] = definition;
+    }
+    await this.saveScopes();
+    this._onScopeChanged.fire();
+  }
 
-    this.scopes[scopeName] = {
-      ...this.scopes[scopeName],
-      description: description,
-    };
+  // Folder and seed entries of the scope that exist in none of their roots
+  findMissingEntries(scopeName) {
+    const scope = this.scopes[scopeName];
+    if (!scope) return [];
+
+    const workspaceFolders = this.getWorkspaceFolders();
+    if (workspaceFolders.length === 0) return [];
+    return [...(scope.folders || []), ...(scope.seeds || [])].filter(
+      (entry) => {
+        const { root, path: entryPath } = parseScopeEntry(
+          entry,
+          this.getRootNames()
+        );
+        return !workspaceFolders
+          .filter((folder) => !root || folder.name === root)
+          .some((folder) =>
+            fs.existsSync(path.join(folder.uri.fsPath, entryPath))
+          );
+      }
+    );
+  }
 
-    await this.saveScopes();
-    vscode.window.showInformationMessage(
-      `Description updated for scope "${scopeName}"`
+  getMissingEntries(scopeName) {
+    return this.missingEntries[scopeName] || [];
+  }
+
+  // Check every scope for missing entries; fires onDidValidateScopes on changes
+  validateScopes() {
+    const missingEntries = {};
+    for (const scopeName of Object.keys(this.scopes)) {
+      const missing = this.findMissingEntries(scopeName);
+      if (missing.length > 0) missingEntries[scopeName] = missing;
+    }
+
+    const changed =
+      JSON.stringify(missingEntries) !== JSON.stringify(this.missingEntries);
+    this.missingEntries = missingEntries;
+    if (changed) {
+      console.warn("Scope entries missing on disk:", missingEntries);
+      this._onDidValidateScopes.fire();
+    }
+    return changed;
+  }
+
+  getActiveScope() {
+    return this.activeScope;
+  }
+
+  // Real workspace folders, without the scope: folders mounted by openScopeWorkspace
+  getWorkspaceFolders() {
+    return (vscode.workspace.workspaceFolders || []).filter(
+      (folder) => folder.uri.scheme === "file"
     );
   }
 
-  async deleteScope(scopeName) {
-    if (!scopeName) {
-      const scopes = Object.keys(this.scopes);
-      if (scopes.length === 0) {
-        vscode.window.showWarningMessage("No scopes defined");
-        return;
-      }
+  // Names scope entries may be prefixed with ("api:src/routes")
+  getRootNames() {
+    return this.getWorkspaceFolders().map((folder) => folder.name);
+  }
 
-      scopeName = await vscode.window.showQuickPick(scopes, {
-        placeHolder: "Select scope to delete",
-      });
+  getScopeWorkspaceFolders() {
+    return (vscode.workspace.workspaceFolders || []).filter(
+      (folder) => folder.uri.scheme === SCOPE_SCHEME
+    );
+  }
+
+  async openScopeWorkspace() {
+    if (!this.hasScope(this.activeScope)) {
+      await this.switchScope();
+      if (!this.activeScope) return;
     }
 
-    if (!scopeName || !this.scopes[scopeName]) return;
+    if (this.getScopeWorkspaceFolders().length > 0) {
+      vscode.window.showInformationMessage(
+        "The active scope is already open as a workspace folder"
+      );
+      return;
+    }
 
-    const confirmation = await vscode.window.showWarningMessage(
-      `Are you sure you want to delete scope "${scopeName}"?`,
-      "Delete",
-      "Cancel"
+    const workspaceFolders = this.getWorkspaceFolders();
+    if (workspaceFolders.length === 0) {
+      vscode.window.showErrorMessage("No workspace folders found");
+      return;
+    }
+
+    // The mounted folders always show whichever scope is active
+    const added = vscode.workspace.updateWorkspaceFolders(
+      (vscode.workspace.workspaceFolders || []).length,
+      0,
+      ...workspaceFolders.map((folder) => ({
+        uri: folder.uri.with({ scheme: SCOPE_SCHEME }),
+        name: `Scope: ${folder.name}`,
+      }))
     );
 
-    if (confirmation !== "Delete") return;
+    if (!added) {
+      vscode.window.showErrorMessage(
+        "Could not add the scope workspace folder"
+      );
+    }
+  }
 
-    delete this.scopes[scopeName];
+  async closeScopeWorkspace() {
+    const scopeFolders = this.getScopeWorkspaceFolders();
+    if (scopeFolders.length === 0) {
+      vscode.window.showInformationMessage("No scope workspace folder is open");
+      return;
+    }
 
-    // Clear active scope if it was the deleted one
-    if (this.activeScope === scopeName) {
-      this.activeScope = null;
+    // VS Code accepts one folder update at a time, so wait for each to land
+    for (const folder of scopeFolders) {
+      const index = (vscode.workspace.workspaceFolders || []).findIndex(
+        (candidate) => candidate.uri.toString() === folder.uri.toString()
+      );
+      if (index === -1) continue;
+
+      await new Promise((resolve) => {
+        const listener = vscode.workspace.onDidChangeWorkspaceFolders(() => {
+          listener.dispose();
+          resolve();
+        });
+        if (!vscode.workspace.updateWorkspaceFolders(index, 1)) {
+          listener.dispose();
+          resolve();
+        }
+      });
     }
+  }
 
-    await this.saveScopes();
-    this._onScopeChanged.fire();
-    vscode.window.showInformationMessage(`Scope "${scopeName}" deleted`);
+  // Matcher for paths relative to the given workspace folder
+  getScopeMatcher(scopeName, workspaceFolder) {
+    if (!this.hasScope(scopeName) || !workspaceFolder) return null;
+
+    const key = `${scopeName}\u0000${workspaceFolder.name}`;
+    if (!this._matchers.has(key)) {
+      this._matchers.set(key, this._buildMatcher(scopeName, workspaceFolder));
+    }
+    return this._matchers.get(key);
   }
 
-  async switchScope() {
-    const scopes = Object.keys(this.scopes);
-    if (scopes.length === 0) {
-      vscode.window.showWarningMessage(
-        "No scopes defined. Create a scope first."
+  // Own entries united with `extends`, then narrowed by `intersect` and `minus`
+  _buildMatcher(scopeName, workspaceFolder) {
+    if (this.isDynamicScope(scopeName)) {
+      return this._buildComputedMatcher(scopeName, workspaceFolder);
+    }
+
+    const scope = this.scopes[scopeName];
+    const error = this.scopeErrors[scopeName];
+
+    // Scopes caught in a cycle match nothing until the cycle is broken
+    if (error && error.fatal) return new ScopeMatcher({});
+
+    const resolve = (names) =>
+      (names || [])
+        .filter((name) => this.hasScope(name))
+        .map((name) => this.getScopeMatcher(name, workspaceFolder));
+
+    let matcher = this.isComputedScope(scopeName)
+      ? this._buildComputedMatcher(scopeName, workspaceFolder)
+      : new ScopeMatcher(scope, workspaceFolder.name, this.getRootNames());
+    if ((scope.extends || []).length > 0) {
+      matcher = new UnionMatcher([matcher, ...resolve(scope.extends)]);
+    }
+    if ((scope.intersect || []).length > 0) {
+      matcher = new IntersectionMatcher([matcher, ...resolve(scope.intersect)]);
+    }
+    if ((scope.minus || []).length > 0) {
+      matcher = new DifferenceMatcher(
+        matcher,
+        new UnionMatcher(resolve(scope.minus))
       );
-      return;
     }
+    return matcher;
+  }
 
-    const items = [
-      {
-        label: "$(clear-all) Clear Active Scope",
-        description: "Show all folders",
-        scopeName: null,
-      },
-      ...scopes.map((scopeName) => ({
-        label: `$(folder) ${scopeName}`,
-        description:
-          this.scopes[scopeName].description ||
-          `Folders: ${this.scopes[scopeName].folders.join(", ")}`,
-        scopeName: scopeName,
-      })),
-    ];
+  getScopeReferences(scopeName) {
+    const scope = this.scopes[scopeName] || {};
+    return Object.keys(COMPOSITION_KEYS).flatMap((key) => scope[key] || []);
+  }
 
-    const selected = await vscode.window.showQuickPick(items, {
-      placeHolder: "Select a scope to activate",
-    });
+  // Drop cached matchers and re-check references between scopes
+  _invalidate() {
+    this._matchers.clear();
+    this.diagnostics.reset();
+    this.scopeErrors = {};
+
+    const state = {};
+    const visit = (scopeName, stack) => {
+      if (state[scopeName] === "done") return;
+      if (state[scopeName] === "visiting") {
+        const cycle = [...stack.slice(stack.indexOf(scopeName)), scopeName];
+        for (const name of cycle) {
+          this.scopeErrors[name] = {
+            fatal: true,
+            message: `Circular reference: ${cycle.join(" → ")}`,
+          };
+        }
+        return;
+      }
 
-    if (selected === undefined) return;
+      state[scopeName] = "visiting";
+      for (const reference of this.getScopeReferences(scopeName)) {
+        if (!this.hasScope(reference)) {
+          this.scopeErrors[scopeName] = this.scopeErrors[scopeName] || {
+            fatal: false,
+            message: `Unknown scope "${reference}"`,
+          };
+          continue;
+        }
+        visit(reference, [...stack, scopeName]);
+      }
+      state[scopeName] = "done";
+    };
 
-    if (selected.scopeName) {
-      await this.setActiveScope(selected.scopeName);
-    } else {
-      await this.clearActiveScope();
+    for (const scopeName of Object.keys(this.scopes)) {
+      visit(scopeName, []);
+    }
+
+    if (Object.keys(this.scopeErrors).length > 0) {
+      console.warn("Scope reference problems:", this.scopeErrors);
     }
   }
 
-  async setActiveScope(scopeName) {
-    if (!this.scopes[scopeName]) {
-      vscode.window.showErrorMessage(`Scope "${scopeName}" not found`);
-      return;
+  getScopeError(scopeName) {
+    const state = this._computed.get(scopeName);
+    if (state && state.error) {
+      return { fatal: false, message: state.error };
     }
+    return this.scopeErrors[scopeName] || null;
+  }
 
-    this.activeScope = scopeName;
-    await this.saveScopes();
-    this.updateStatusBar();
-    this._onScopeChanged.fire();
+  /**
+   * Register a scope whose files are computed at runtime
+   * definition: { name, description, icon, compute(workspaceFolder) } where
+   * compute resolves to the in-scope file paths relative to the folder.
+   */
+  registerDynamicScope(definition) {
+    this.dynamicScopes.set(definition.name, definition);
+    this._computedScopesChanged([definition.name]);
+
+    return new vscode.Disposable(() => {
+      this.dynamicScopes.delete(definition.name);
+      this._computed.delete(definition.name);
+      this._computedScopesChanged([definition.name]);
+    });
+  }
 
-    console.log(`Activated scope: ${scopeName}`);
-    vscode.window.showInformationMessage(`Activated scope: ${scopeName}`);
+  /**
+   * Register how scopes with { type } in their definition are computed
+   * provider: { describe(scope), compute(scope, workspaceFolders) } where
+   * compute resolves to { [folderName]: Map(relativePath → detail) }.
+   */
+  registerScopeType(type, provider) {
+    this.scopeTypes.set(type, provider);
+    this._computedScopesChanged(this.getScopesOfType(type));
+
+    return new vscode.Disposable(() => {
+      this.scopeTypes.delete(type);
+      this._computedScopesChanged(this.getScopesOfType(type));
+    });
   }
 
-  async clearActiveScope() {
-    if (!this.activeScope) {
-      vscode.window.showInformationMessage("No active scope to clear");
-      return;
-    }
+  getScopesOfType(type) {
+    return Object.keys(this.scopes).filter(
+      (scopeName) => this.scopes[scopeName].type === type
+    );
+  }
 
-    const previousScope = this.activeScope;
-    this.activeScope = null;
-    await this.saveScopes();
-    this.updateStatusBar();
-    this._onScopeChanged.fire();
+  isDynamicScope(scopeName) {
+    return this.dynamicScopes.has(scopeName) && !this.scopes[scopeName];
+  }
 
-    console.log(`Cleared scope: ${previousScope}`);
-    vscode.window.showInformationMessage(`Cleared scope: ${previousScope}`);
+  isComputedScope(scopeName) {
+    if (this.isDynamicScope(scopeName)) return true;
+    const scope = this.scopes[scopeName];
+    return Boolean(scope && scope.type && this.scopeTypes.has(scope.type));
   }
 
-  async selectFolders(currentFolders = []) {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders || workspaceFolders.length === 0) {
-      vscode.window.showErrorMessage("No workspace folders found");
-      return null;
+  hasScope(scopeName) {
+    return (
+      Boolean(scopeName) &&
+      (Boolean(this.scopes[scopeName]) || this.dynamicScopes.has(scopeName))
+    );
+  }
+
+  getDynamicScopes() {
+    return [...this.dynamicScopes.values()];
+  }
+
+  _buildComputedMatcher(scopeName, workspaceFolder) {
+    const { files } = this._getComputedState(scopeName);
+    const folderFiles = files && files[workspaceFolder.name];
+    return new FileSetMatcher(folderFiles ? [...folderFiles.keys()] : []);
+  }
+
+  // Computed files of a scope, starting the computation on first use
+  _getComputedState(scopeName) {
+    // Editing a typed scope's definition starts over
+    const signature = this.isDynamicScope(scopeName)
+      ? ""
+      : JSON.stringify(this.scopes[scopeName]);
+    let state = this._computed.get(scopeName);
+    if (!state || state.signature !== signature) {
+      state = { signature: signature, files: null, error: null, pending: null };
+      this._computed.set(scopeName, state);
     }
 
-    // Get all directories in the workspace
-    const allFolders = await this.getAllWorkspaceFolders();
+    if (!state.files && !state.pending) {
+      state.pending = this._compute(scopeName, state).then(() => {
+        state.pending = null;
+        if (this._computed.get(scopeName) === state) {
+          this._computedScopesChanged([scopeName]);
+        }
+      });
+    }
+    return state;
+  }
 
-    const items = allFolders.map((folder) => ({
-      label: folder,
-      description: "",
-      picked: currentFolders.includes(folder),
-    }));
+  async _compute(scopeName, state) {
+    const workspaceFolders = this.getWorkspaceFolders();
+    const dynamicScope = this.isDynamicScope(scopeName)
+      ? this.dynamicScopes.get(scopeName)
+      : null;
+    const files = {};
+    let error = null;
 
-    const selected = await vscode.window.showQuickPick(items, {
-      placeHolder: "Select folders to include in this scope",
-      canPickMany: true,
+    if (dynamicScope) {
+      for (const workspaceFolder of workspaceFolders) {
+        try {
+          const paths = await dynamicScope.compute(workspaceFolder);
+          files[workspaceFolder.name] = new Map(
+            paths.map((relativePath) => [relativePath, null])
+          );
+        } catch (computeError) {
+          console.warn(
+            `Error computing scope "${scopeName}":`,
+            computeError.message
+          );
+          error = computeError.message;
+        }
+      }
+    } else {
+      const scope = this.scopes[scopeName];
+      try {
+        Object.assign(
+          files,
+          await this.scopeTypes.get(scope.type).compute(scope, workspaceFolders)
+        );
+      } catch (computeError) {
+        console.warn(
+          `Error computing scope "${scopeName}":`,
+          computeError.message
+        );
+        error = computeError.message;
+      }
+    }
+
+    state.files = files;
+    state.error = error;
+  }
+
+  // Recompute computed scopes that are in use, the others wait until needed
+  async refreshComputedScopes(scopeNames = [...this._computed.keys()]) {
+    const refreshed = scopeNames.filter((scopeName) => {
+      const state = this._computed.get(scopeName);
+      return state && state.files && this.isComputedScope(scopeName);
     });
+    if (refreshed.length === 0) return;
+
+    await Promise.all(
+      refreshed.map((scopeName) =>
+        this._compute(scopeName, this._computed.get(scopeName))
+      )
+    );
+    this._computedScopesChanged(refreshed);
+  }
+
+  // Resolves once the files of a computed scope, and the scopes it builds on, are known
+  async whenComputed(scopeName, seen = new Set()) {
+    if (seen.has(scopeName)) return;
+    seen.add(scopeName);
 
-    if (!selected) return null;
+    if (this.isComputedScope(scopeName)) {
+      const state = this._getComputedState(scopeName);
+      if (state.pending) await state.pending;
+    }
+    for (const reference of this.getScopeReferences(scopeName)) {
+      await this.whenComputed(reference, seen);
+    }
+  }
 
-    return selected.map((item) => item.label);
+  // Extra information a computed scope keeps for a file, e.g. its import depth
+  getFileDetail(scopeName, workspaceFolder, relativePath) {
+    const state = this._computed.get(scopeName);
+    const folderFiles =
+      state && state.files && state.files[workspaceFolder.name];
+    return (folderFiles && folderFiles.get(relativePath)) || null;
   }
 
-  async getAllWorkspaceFolders() {
-    const folders = [];
-    const workspaceFolders = vscode.workspace.workspaceFolders;
+  // Only a change reaching the active scope counts as a scope change
+  _computedScopesChanged(scopeNames) {
+    this._invalidate();
+    this.updateStatusBar();
 
-    for (const workspaceFolder of workspaceFolders) {
-      const relativeFolders = await this.getDirectoriesRecursive(
-        workspaceFolder.uri.fsPath,
-        workspaceFolder.uri.fsPath
+    const seen = new Set();
+    const affectsActive = (scopeName) => {
+      if (seen.has(scopeName)) return false;
+      seen.add(scopeName);
+      return (
+        scopeNames.includes(scopeName) ||
+        this.getScopeReferences(scopeName).some(affectsActive)
       );
-      folders.push(...relativeFolders);
+    };
+
+    if (this.activeScope && affectsActive(this.activeScope)) {
+      this._onScopeChanged.fire();
+    } else {
+      this._onDynamicScopesChanged.fire();
     }
+  }
 
-    return [...new Set(folders)].sort();
+  // Matcher for the active scope, or null when everything is visible
+  getActiveMatcher(workspaceFolder) {
+    return this.getScopeMatcher(this.activeScope, workspaceFolder);
   }
 
-  async getDirectoriesRecursive(
-    dirPath,
-    workspaceRoot,
-    maxDepth = 3,
-    currentDepth = 0
-  ) {
-    const folders = [];
+  // Workspace folder containing the path and the path relative to it
+  resolvePath(fsPath) {
+    let best = null;
+    for (const workspaceFolder of this.getWorkspaceFolders()) {
+      const relativePath = path.relative(workspaceFolder.uri.fsPath, fsPath);
+      if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+        continue;
+      }
+      // Prefer the innermost folder when roots are nested
+      if (!best || relativePath.length < best.relativePath.length) {
+        best = {
+          workspaceFolder: workspaceFolder,
+          relativePath: relativePath.replace(/\\/g, "/"),
+        };
+      }
+    }
+    return best;
+  }
 
-    if (currentDepth >= maxDepth) return folders;
+  isInScope(uri, scopeName = this.activeScope) {
+    const resolved = this.resolvePath(uri.fsPath);
+    if (!resolved) return false;
+    const matcher = this.getScopeMatcher(scopeName, resolved.workspaceFolder);
+    return matcher ? matcher.matches(resolved.relativePath) : false;
+  }
 
-    try {
-      const items = await fs.promises.readdir(dirPath, { withFileTypes: true });
-
-      for (const item of items) {
-        if (
-          item.isDirectory() &&
-          !item.name.startsWith(".") &&
-          item.name !== "node_modules"
-        ) {
-          const fullPath = path.join(dirPath, item.name);
-          const relativePath = path.relative(workspaceRoot, fullPath);
-          folders.push(relativePath);
-
-          // Recursively get subdirectories
-          const subFolders = await this.getDirectoriesRecursive(
-            fullPath,
-            workspaceRoot,
-            maxDepth,
-            currentDepth + 1
-          );
-          folders.push(...subFolders);
+  /**
+   * Files of the scope on disk, leaving out what the user's files.exclude
+   * and search.exclude hide (not the excludes mirrored from the active scope)
+   */
+  async resolveFiles(scopeName, token) {
+    await this.whenComputed(scopeName);
+
+    const uris = [];
+    const seen = new Set();
+    for (const workspaceFolder of this.getWorkspaceFolders()) {
+      const matcher = this.getScopeMatcher(scopeName, workspaceFolder);
+      if (!matcher || matcher.isEmpty()) continue;
+
+      const excludes = Object.entries({
+        ...getUserExcludes(this.context, "files", workspaceFolder),
+        ...getUserExcludes(this.context, "search", workspaceFolder),
+      })
+        .filter(([, value]) => value === true)
+        .flatMap(([pattern]) => expandBraces(pattern));
+      const exclude =
+        excludes.length > 0
+          ? new vscode.RelativePattern(
+              workspaceFolder,
+              `{${excludes.join(",")}}`
+            )
+          : null;
+
+      for (const root of matcher.roots()) {
+        const include = root
+          ? `{${escapeGlob(root)},${escapeGlob(root)}/**}`
+          : "**";
+        const found = await vscode.workspace.findFiles(
+          new vscode.RelativePattern(workspaceFolder, include),
+          exclude,
+          undefined,
+          token
+        );
+        for (const uri of found) {
+          const relativePath = path
+            .relative(workspaceFolder.uri.fsPath, uri.fsPath)
+            .replace(/\\/g, "/");
+          if (seen.has(uri.fsPath) || !matcher.matches(relativePath)) continue;
+          seen.add(uri.fsPath);
+          uris.push(uri);
         }
       }
-    } catch (error) {
-      // Ignore errors (permission issues, etc.)
-      console.warn("Error reading directory:", dirPath, error.message);
     }
-
-    return folders;
+    return uris;
   }
 
-  getScopes() {
-    return this.scopes;
-  }
+  describeScope(scopeName) {
+    if (this.isDynamicScope(scopeName)) {
+      return [
+        this.dynamicScopes.get(scopeName).description,
+        ...this._describeComputedFiles(scopeName),
+      ];
+    }
 
-  getActiveScope() {
-    return this.activeScope;
+    const scope = this.scopes[scopeName];
+    if (!scope) return [];
+
+    const lines = this.isComputedScope(scopeName)
+      ? [
+          ...this.scopeTypes.get(scope.type).describe(scope),
+          ...this._describeComputedFiles(scopeName),
+        ]
+      : new ScopeMatcher(scope).describe();
+    for (const [key, label] of Object.entries(COMPOSITION_KEYS)) {
+      if ((scope[key] || []).length > 0) {
+        lines.push(`${label}: ${scope[key].join(", ")}`);
+      }
+    }
+    return lines;
   }
 
-  async debugCurrentScope() {
-    console.log("=== DEBUG SCOPE INFO ===");
-    console.log("Active scope:", this.activeScope);
-    console.log("All scopes:", this.scopes);
-    console.log("Status bar text:", this.statusBarItem?.text);
-    console.log("=== END DEBUG ===");
+  _describeComputedFiles(scopeName) {
+    const { files } = this._getComputedState(scopeName);
+    if (!files) return ["Computing..."];
 
-    vscode.window.showInformationMessage(
-      `Debug info logged to console. Active: ${this.activeScope || "None"}`
+    const count = Object.values(files).reduce(
+      (total, folderFiles) => total + folderFiles.size,
+      0
     );
+    return [`${count} ${count === 1 ? "file" : "files"}`];
   }
 }
 
@@ -640,9 +2798,14 @@ class ScopeTreeDataProvider {
   constructor(scopeManager) {
     console.log("ScopeTreeDataProvider constructor called");
     this.scopeManager = scopeManager;
+    this.dragMimeTypes = [SCOPE_TREE_MIME_TYPE];
+    this.dropMimeTypes = [SCOPE_TREE_MIME_TYPE];
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
 
+    // Problem counts follow the diagnostics
+    scopeManager.diagnostics.onDidChange(() => this.refresh());
+
     // Listen for configuration changes
     vscode.workspace.onDidChangeConfiguration((event) => {
       if (event.affectsConfiguration("projectScopes")) {
@@ -658,6 +2821,52 @@ class ScopeTreeDataProvider {
     this._onDidChangeTreeData.fire();
   }
 
+  // Scopes are reordered by dragging them onto another scope
+  handleDrag(source, dataTransfer) {
+    const scopeNames = source
+      .filter((item) => item.contextValue === "scope")
+      .map((item) => item.label.replace(/^[●○] /, ""));
+    if (scopeNames.length > 0) {
+      dataTransfer.set(
+        SCOPE_TREE_MIME_TYPE,
+        new vscode.DataTransferItem(scopeNames)
+      );
+    }
+  }
+
+  // Dropped scopes go before the target, or to the end when dropped on empty space
+  async handleDrop(target, dataTransfer) {
+    const transferItem = dataTransfer.get(SCOPE_TREE_MIME_TYPE);
+    if (!transferItem) return;
+
+    const dragged = transferItem.value;
+    const targetName =
+      target && target.contextValue === "scope"
+        ? target.label.replace(/^[●○] /, "")
+        : null;
+    if (dragged.includes(targetName)) return;
+
+    const order = Object.keys(this.scopeManager.getScopes());
+    const ordered = this.scopeManager
+      .getOrderedScopeNames()
+      .filter(
+        (scopeName) => order.includes(scopeName) && !dragged.includes(scopeName)
+      );
+    const index = targetName ? ordered.indexOf(targetName) : ordered.length;
+    ordered.splice(index, 0, ...dragged);
+    await this.scopeManager.setScopeOrder(ordered);
+    this.refresh();
+  }
+
+  // "Frontend — 3 errors, 12 warnings"
+  withProblems(scopeName, description) {
+    const problems = formatProblemCounts(
+      this.scopeManager.diagnostics.getCounts(scopeName)
+    );
+    if (!problems) return description;
+    return description ? `${description} — ${problems}` : problems;
+  }
+
   getTreeItem(element) {
     console.log("getTreeItem called with:", element);
     return element;
@@ -679,7 +2888,13 @@ class ScopeTreeDataProvider {
           activeScope
         );
 
-        if (Object.keys(scopes).length === 0) {
+        const dynamicItems = this.scopeManager
+          .getDynamicScopes()
+          .map((dynamicScope) =>
+            this.createDynamicScopeItem(dynamicScope, activeScope)
+          );
+
+        if (Object.keys(scopes).length === 0 && dynamicItems.length === 0) {
           // Return a placeholder item when no scopes exist
           const item = new vscode.TreeItem(
             "No scopes defined",
@@ -690,27 +2905,76 @@ class ScopeTreeDataProvider {
           return [item];
         }
 
-        return Object.keys(scopes).map((scopeName) => {
-          const scope = scopes[scopeName];
-          const isActive = scopeName === activeScope;
+        const slots = this.scopeManager.getOrderedScopeNames();
+        const scopeItems = slots
+          .filter((scopeName) => scopes[scopeName])
+          .map((scopeName) => {
+            const scope = scopes[scopeName];
+            const isActive = scopeName === activeScope;
+            const slot = slots.indexOf(scopeName) + 1;
 
-          const item = new vscode.TreeItem(
-            `${isActive ? "● " : "○ "}${scopeName}`,
-            vscode.TreeItemCollapsibleState.Collapsed
-          );
+            const item = new vscode.TreeItem(
+              `${isActive ? "● " : "○ "}${scopeName}`,
+              vscode.TreeItemCollapsibleState.Collapsed
+            );
 
-          item.contextValue = "scope";
-          item.description =
-            scope.description || `${scope.folders.length} folders`;
-          item.tooltip = `${scope.folders.join(", ")}\n${
-            isActive ? "(Active)" : "(Inactive)"
-          }`;
-          item.iconPath = new vscode.ThemeIcon(
-            isActive ? "folder-active" : "folder"
-          );
+            const entryCount =
+              (scope.folders || []).length +
+              (scope.include || []).length +
+              (scope.seeds || []).length +
+              (scope.extends || []).length;
+            const error = this.scopeManager.getScopeError(scopeName);
+
+            item.contextValue = "scope";
+            item.description = this.withProblems(
+              scopeName,
+              scope.description ||
+                `${entryCount} ${entryCount === 1 ? "entry" : "entries"}`
+            );
+            item.tooltip = [
+              ...this.scopeManager.describeScope(scopeName),
+              `Stored in: ${this.scopeManager.getScopeLocation(scopeName)}`,
+              slot <= 9 ? `Slot ${slot}` : "",
+              isActive ? "(Active)" : "(Inactive)",
+            ]
+              .filter(Boolean)
+              .join("\n");
+            item.iconPath = new vscode.ThemeIcon(
+              isActive ? "folder-active" : "folder"
+            );
 
-          return item;
-        });
+            const missing = this.scopeManager.getMissingEntries(scopeName);
+            if (missing.length > 0) {
+              item.description = `${missing.length} missing ${
+                missing.length === 1 ? "folder" : "folders"
+              }`;
+              item.tooltip = `Missing on disk: ${missing.join(", ")}\n${
+                item.tooltip
+              }`;
+              item.iconPath = new vscode.ThemeIcon(
+                "warning",
+                new vscode.ThemeColor("problemsWarningIcon.foreground")
+              );
+            }
+
+            // Report broken references between scopes right in the tree
+            if (error) {
+              item.description = error.message;
+              item.tooltip = `${error.message}\n${item.tooltip}`;
+              item.iconPath = new vscode.ThemeIcon(
+                error.fatal ? "error" : "warning",
+                new vscode.ThemeColor(
+                  error.fatal
+                    ? "problemsErrorIcon.foreground"
+                    : "problemsWarningIcon.foreground"
+                )
+              );
+            }
+
+            return item;
+          });
+
+        return [...scopeItems, ...dynamicItems];
       } else {
         // Show folders for this scope
         const scopeName = element.label.replace(/^[●○] /, "");
@@ -724,20 +2988,100 @@ class ScopeTreeDataProvider {
           scope
         );
 
-        if (scope && scope.folders) {
-          return scope.folders.map((folder) => {
+        if (!scope) return [];
+
+        const multiRoot = this.scopeManager.getWorkspaceFolders().length > 1;
+        const missing = this.scopeManager.getMissingEntries(scopeName);
+        const markMissing = (item, entry) => {
+          if (!missing.includes(entry)) return item;
+          item.scopeName = scopeName;
+          item.contextValue = "missingEntry";
+          item.description = `${item.description} (missing)`.trim();
+          item.tooltip = `${entry} no longer exists. Run Repair Scope to find it.`;
+          item.iconPath = new vscode.ThemeIcon(
+            "warning",
+            new vscode.ThemeColor("problemsWarningIcon.foreground")
+          );
+          return item;
+        };
+
+        const folderItems = (scope.folders || []).map((folder) => {
+          const entry = parseScopeEntry(
+            folder,
+            this.scopeManager.getRootNames()
+          );
+          const item = new vscode.TreeItem(
+            entry.path,
+            vscode.TreeItemCollapsibleState.None
+          );
+          item.contextValue = "folder";
+          item.iconPath = new vscode.ThemeIcon("folder");
+          // Show which workspace folder the entry belongs to
+          item.description = entry.root || (multiRoot ? "all roots" : "");
+          item.tooltip = `Folder: ${folder}`;
+          return markMissing(item, folder);
+        });
+
+        const seedItems = (scope.seeds || []).map((seed) => {
+          const item = new vscode.TreeItem(
+            seed,
+            vscode.TreeItemCollapsibleState.None
+          );
+          item.contextValue = "seed";
+          item.description = "seed";
+          item.iconPath = new vscode.ThemeIcon("references");
+          item.tooltip = `Imports of ${seed}`;
+          return markMissing(item, seed);
+        });
+
+        const patternItems = ["include", "exclude"].flatMap((kind) =>
+          (scope[kind] || []).map((pattern) => {
             const item = new vscode.TreeItem(
-              folder,
+              pattern,
               vscode.TreeItemCollapsibleState.None
             );
-            item.contextValue = "folder";
-            item.iconPath = new vscode.ThemeIcon("folder");
-            item.tooltip = `Folder: ${folder}`;
+            item.contextValue = `${kind}Pattern`;
+            item.description = kind;
+            item.iconPath = new vscode.ThemeIcon(
+              kind === "include" ? "filter" : "circle-slash"
+            );
+            item.tooltip = `${
+              kind === "include" ? "Include" : "Exclude"
+            } pattern: ${pattern}`;
             return item;
-          });
-        }
+          })
+        );
 
-        return [];
+        const compositionIcons = {
+          extends: "add",
+          intersect: "filter-filled",
+          minus: "remove",
+        };
+        const compositionItems = Object.keys(compositionIcons).flatMap((key) =>
+          (scope[key] || []).map((reference) => {
+            const item = new vscode.TreeItem(
+              reference,
+              vscode.TreeItemCollapsibleState.None
+            );
+            item.contextValue = "scopeReference";
+            item.description = key;
+            const known = this.scopeManager.hasScope(reference);
+            item.iconPath = new vscode.ThemeIcon(
+              known ? compositionIcons[key] : "warning"
+            );
+            item.tooltip = known
+              ? `${COMPOSITION_KEYS[key]}: ${reference}`
+              : `Unknown scope "${reference}"`;
+            return item;
+          })
+        );
+
+        return [
+          ...folderItems,
+          ...seedItems,
+          ...patternItems,
+          ...compositionItems,
+        ];
       }
     } catch (error) {
       console.error("Error in getChildren:", error);
@@ -750,6 +3094,39 @@ class ScopeTreeDataProvider {
       return [errorItem];
     }
   }
+
+  // Dynamic scopes have nothing to edit, so they get no children or edit actions
+  createDynamicScopeItem(dynamicScope, activeScope) {
+    const isActive = dynamicScope.name === activeScope;
+    const item = new vscode.TreeItem(
+      `${isActive ? "● " : "○ "}${dynamicScope.name}`,
+      vscode.TreeItemCollapsibleState.None
+    );
+    const [description, summary] = this.scopeManager.describeScope(
+      dynamicScope.name
+    );
+
+    item.contextValue = "dynamicScope";
+    item.description = this.withProblems(dynamicScope.name, summary || "");
+    item.tooltip = [description, summary, isActive ? "(Active)" : "(Inactive)"]
+      .filter(Boolean)
+      .join("\n");
+    item.iconPath = new vscode.ThemeIcon(
+      isActive ? "folder-active" : dynamicScope.icon || "sync"
+    );
+
+    const error = this.scopeManager.getScopeError(dynamicScope.name);
+    if (error) {
+      item.description = error.message;
+      item.tooltip = `${error.message}\n${item.tooltip}`;
+      item.iconPath = new vscode.ThemeIcon(
+        "warning",
+        new vscode.ThemeColor("problemsWarningIcon.foreground")
+      );
+    }
+
+    return item;
+  }
 }
 
 class FileExplorerTreeDataProvider {
@@ -759,19 +3136,214 @@ class FileExplorerTreeDataProvider {
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
 
+    // Elements handed to VS Code, by fsPath, so single nodes can be refreshed
+    this._elements = new Map();
+    this._watchers = [];
+    this._pendingDirs = new Set();
+    this._pendingRoot = false;
+    this._refreshTimer = null;
+
     // Listen for scope changes
     this.scopeManager.onScopeChanged(() => {
       console.log("Scope changed, refreshing file explorer");
+      this.updateWatchers();
       this.refresh();
     });
+
+    this.updateWatchers();
+  }
+
+  dispose() {
+    clearTimeout(this._refreshTimer);
+    this._watchers.forEach((watcher) => watcher.dispose());
+    this._watchers = [];
   }
 
   refresh() {
     console.log("FileExplorerTreeDataProvider refresh called");
+    this._elements.clear();
     this._onDidChangeTreeData.fire();
   }
 
+  // Only watch below the starting points of the active scope
+  updateWatchers() {
+    this._watchers.forEach((watcher) => watcher.dispose());
+    this._watchers = [];
+
+    for (const workspaceFolder of this.scopeManager.getWorkspaceFolders()) {
+      const matcher = this.scopeManager.getActiveMatcher(workspaceFolder);
+      if (!matcher) continue;
+
+      for (const root of matcher.roots()) {
+        const watcher = vscode.workspace.createFileSystemWatcher(
+          new vscode.RelativePattern(
+            workspaceFolder,
+            root ? `${escapeGlob(root)}/**` : "**"
+          ),
+          false,
+          true,
+          false
+        );
+        watcher.onDidCreate((uri) =>
+          this._queueRefresh(uri, workspaceFolder, false)
+        );
+        watcher.onDidDelete((uri) =>
+          this._queueRefresh(uri, workspaceFolder, true)
+        );
+        this._watchers.push(watcher);
+      }
+    }
+  }
+
+  _queueRefresh(uri, workspaceFolder, deleted) {
+    const matcher = this.scopeManager.getActiveMatcher(workspaceFolder);
+    if (!matcher) return;
+
+    const relativePath = path
+      .relative(workspaceFolder.uri.fsPath, uri.fsPath)
+      .replace(/\\/g, "/");
+    if (
+      !matcher.shouldShow(relativePath, false) &&
+      !matcher.shouldShow(relativePath, true)
+    ) {
+      return;
+    }
+
+    if (deleted) {
+      for (const fsPath of this._elements.keys()) {
+        if (fsPath === uri.fsPath || fsPath.startsWith(uri.fsPath + path.sep)) {
+          this._elements.delete(fsPath);
+        }
+      }
+    }
+
+    // Scope roots sit at the top of the tree, everything else below its parent
+    if (matcher.roots().includes(relativePath)) {
+      this._pendingRoot = true;
+    } else {
+      this._pendingDirs.add(path.dirname(uri.fsPath));
+    }
+
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = setTimeout(
+      () => this._flushRefresh(),
+      getWatcherDelay()
+    );
+  }
+
+  _flushRefresh() {
+    const dirs = [...this._pendingDirs];
+    const refreshRoot = this._pendingRoot;
+    this._pendingDirs.clear();
+    this._pendingRoot = false;
+
+    // Bulk operations (git checkout, npm install) are cheaper as one refresh
+    if (refreshRoot || dirs.length > 50) {
+      this.refresh();
+      return;
+    }
+
+    for (const dir of dirs) {
+      const element = this._elements.get(dir);
+      // Folders that were never expanded have nothing to update
+      if (element) {
+        this._onDidChangeTreeData.fire(element);
+      }
+    }
+  }
+
+  _cacheElement(element) {
+    const existing = this._elements.get(element.uri.fsPath);
+    if (existing && existing.type === element.type) {
+      Object.assign(existing, element);
+      return existing;
+    }
+    this._elements.set(element.uri.fsPath, element);
+    return element;
+  }
+
+  // Top-level root of the active scope holding relativePath, undefined if none
+  _rootOf(matcher, relativePath) {
+    return matcher
+      .roots()
+      .find(
+        (root) =>
+          root === "" ||
+          relativePath === root ||
+          relativePath.startsWith(`${root}/`)
+      );
+  }
+
+  // The element getChildren hands out for this path, so reveal() can find it
+  _elementFor(workspaceFolder, relativePath, type, isRoot) {
+    const fsPath = path.join(workspaceFolder.uri.fsPath, relativePath);
+    const cached = this._elements.get(fsPath);
+    if (cached) return cached;
+
+    const multiRoot = this.scopeManager.getWorkspaceFolders().length > 1;
+    return this._cacheElement({
+      name: isRoot
+        ? relativePath || workspaceFolder.name
+        : path.posix.basename(relativePath),
+      uri: vscode.Uri.file(fsPath),
+      type: type,
+      relativePath: relativePath,
+      workspaceFolder: workspaceFolder,
+      ...(isRoot
+        ? { rootLabel: multiRoot && relativePath ? workspaceFolder.name : "" }
+        : {}),
+    });
+  }
+
+  // Element of a file shown in the tree, or null when the tree does not list it
+  findElement(uri) {
+    const resolved = this.scopeManager.resolvePath(uri.fsPath);
+    if (!resolved || !resolved.relativePath) return null;
+
+    const { workspaceFolder, relativePath } = resolved;
+    const matcher = this.scopeManager.getActiveMatcher(workspaceFolder);
+    if (!matcher || !matcher.matches(relativePath)) return null;
+    const root = this._rootOf(matcher, relativePath);
+    if (root === undefined) return null;
+
+    // getChildren skips hidden entries and node_modules below the roots
+    const below = root ? relativePath.slice(root.length + 1) : relativePath;
+    if (
+      below
+        .split("/")
+        .some((name) => name.startsWith(".") || name === "node_modules")
+    ) {
+      return null;
+    }
+    return this._elementFor(
+      workspaceFolder,
+      relativePath,
+      vscode.FileType.File,
+      relativePath === root
+    );
+  }
+
+  getParent(element) {
+    if (element instanceof vscode.TreeItem) return undefined;
+
+    const matcher = this.scopeManager.getActiveMatcher(element.workspaceFolder);
+    const root = matcher && this._rootOf(matcher, element.relativePath);
+    if (root === undefined || root === element.relativePath) return undefined;
+
+    const parent = path.posix.dirname(element.relativePath);
+    const parentPath = parent === "." ? "" : parent;
+    return this._elementFor(
+      element.workspaceFolder,
+      parentPath,
+      vscode.FileType.Directory,
+      parentPath === root
+    );
+  }
+
   getTreeItem(element) {
+    // Placeholders are tree items already
+    if (element instanceof vscode.TreeItem) return element;
+
     const isDirectory = element.type === vscode.FileType.Directory;
     const collapsibleState = isDirectory
       ? vscode.TreeItemCollapsibleState.Collapsed
@@ -779,6 +3351,24 @@ class FileExplorerTreeDataProvider {
 
     const item = new vscode.TreeItem(element.name, collapsibleState);
     item.resourceUri = element.uri;
+    item.description = element.rootLabel;
+
+    // Computed scopes can say why a file is in scope, e.g. its import depth
+    const detail = isDirectory
+      ? null
+      : this.scopeManager.getFileDetail(
+          this.scopeManager.getActiveScope(),
+          element.workspaceFolder,
+          element.relativePath
+        );
+    if (detail) {
+      item.description = element.rootLabel
+        ? `${detail} · ${element.rootLabel}`
+        : detail;
+    }
+    item.tooltip = element.relativePath
+      ? formatScopeEntry(element.rootLabel, element.relativePath)
+      : element.name;
     item.contextValue = isDirectory ? "folder" : "file";
     item.command = isDirectory
       ? undefined
@@ -798,10 +3388,29 @@ class FileExplorerTreeDataProvider {
     return item;
   }
 
+  // Scope roots that are gone stay visible instead of silently emptying the tree
+  createMissingItem(entry) {
+    const item = new vscode.TreeItem(
+      entry,
+      vscode.TreeItemCollapsibleState.None
+    );
+    item.description = "missing";
+    item.tooltip = `${entry} no longer exists. Click to repair the scope.`;
+    item.iconPath = new vscode.ThemeIcon(
+      "warning",
+      new vscode.ThemeColor("problemsWarningIcon.foreground")
+    );
+    item.command = {
+      command: "project-scopes.repairScope",
+      title: "Repair Scope",
+      arguments: [{ scopeName: this.scopeManager.getActiveScope() }],
+    };
+    return item;
+  }
+
   async getChildren(element) {
     try {
       const activeScope = this.scopeManager.getActiveScope();
-      const scopes = this.scopeManager.getScopes();
 
       console.log(
         "FileExplorer getChildren - activeScope:",
@@ -811,7 +3420,7 @@ class FileExplorerTreeDataProvider {
       );
 
       // If no active scope, show message
-      if (!activeScope || !scopes[activeScope]) {
+      if (!this.scopeManager.hasScope(activeScope)) {
         if (!element) {
           const item = new vscode.TreeItem(
             "No active scope",
@@ -824,8 +3433,8 @@ class FileExplorerTreeDataProvider {
         return [];
       }
 
-      const workspaceFolders = vscode.workspace.workspaceFolders;
-      if (!workspaceFolders || workspaceFolders.length === 0) {
+      const workspaceFolders = this.scopeManager.getWorkspaceFolders();
+      if (workspaceFolders.length === 0) {
         if (!element) {
           const item = new vscode.TreeItem(
             "No workspace",
@@ -839,28 +3448,56 @@ class FileExplorerTreeDataProvider {
       }
 
       if (!element) {
-        // Root level - return scoped folders
-        const scopeFolders = scopes[activeScope].folders;
+        // Root level - return the literal starting points of the scope patterns
         const rootItems = [];
+        const multiRoot = workspaceFolders.length > 1;
 
-        for (const scopeFolder of scopeFolders) {
-          for (const workspaceFolder of workspaceFolders) {
-            const scopePath = path.resolve(
-              workspaceFolder.uri.fsPath,
-              scopeFolder
-            );
+        for (const workspaceFolder of workspaceFolders) {
+          const matcher = this.scopeManager.getActiveMatcher(workspaceFolder);
+
+          for (const root of matcher.roots()) {
+            const scopePath = path.resolve(workspaceFolder.uri.fsPath, root);
             try {
               const stat = await fs.promises.stat(scopePath);
-              if (stat.isDirectory()) {
-                const uri = vscode.Uri.file(scopePath);
-                rootItems.push({
-                  name: scopeFolder,
-                  uri: uri,
-                  type: vscode.FileType.Directory,
-                });
+              const type = stat.isDirectory()
+                ? vscode.FileType.Directory
+                : vscode.FileType.File;
+              if (
+                root &&
+                !matcher.shouldShow(root, type === vscode.FileType.Directory)
+              ) {
+                continue;
               }
+
+              rootItems.push(
+                this._cacheElement({
+                  name: root || workspaceFolder.name,
+                  uri: vscode.Uri.file(scopePath),
+                  type: type,
+                  relativePath: root,
+                  workspaceFolder: workspaceFolder,
+                  // Tell roots apart when several folders hold e.g. "src"
+                  rootLabel: multiRoot && root ? workspaceFolder.name : "",
+                })
+              );
             } catch (error) {
               console.warn("Scope folder doesn't exist:", scopePath);
+              const missing = this.scopeManager.getMissingEntries(
+                this.scopeManager.getActiveScope()
+              );
+              if (
+                missing.includes(root) ||
+                missing.includes(formatScopeEntry(workspaceFolder.name, root))
+              ) {
+                rootItems.push(
+                  this.createMissingItem(
+                    formatScopeEntry(
+                      multiRoot ? workspaceFolder.name : null,
+                      root
+                    )
+                  )
+                );
+              }
             }
           }
         }
@@ -872,6 +3509,9 @@ class FileExplorerTreeDataProvider {
           withFileTypes: true,
         });
         const children = [];
+        const matcher = this.scopeManager.getActiveMatcher(
+          element.workspaceFolder
+        );
 
         for (const entry of entries) {
           // Skip hidden files and common ignore patterns
@@ -879,17 +3519,31 @@ class FileExplorerTreeDataProvider {
             continue;
           }
 
+          const relativePath = element.relativePath
+            ? `${element.relativePath}/${entry.name}`
+            : entry.name;
+          const isDirectory = entry.isDirectory();
+
+          // Only keep entries the scope patterns select
+          if (!matcher.shouldShow(relativePath, isDirectory)) {
+            continue;
+          }
+
           const childPath = path.join(element.uri.fsPath, entry.name);
           const childUri = vscode.Uri.file(childPath);
-          const fileType = entry.isDirectory()
+          const fileType = isDirectory
             ? vscode.FileType.Directory
             : vscode.FileType.File;
 
-          children.push({
-            name: entry.name,
-            uri: childUri,
-            type: fileType,
-          });
+          children.push(
+            this._cacheElement({
+              name: entry.name,
+              uri: childUri,
+              type: fileType,
+              relativePath: relativePath,
+              workspaceFolder: element.workspaceFolder,
+            })
+          );
         }
 
         // Sort: directories first, then files, both alphabetically
@@ -0,0 +1,232 @@
+const vscode = require("vscode");
+const path = require("path");
+const { formatScopeEntry } = require("./scopeMatcher");
+
+const MAX_FILTER_RESULTS = 500;
+
+const DRILL_DOWN_BUTTON = {
+  iconPath: new vscode.ThemeIcon("chevron-right"),
+  tooltip: "Show subfolders",
+};
+
+/**
+ * Multi-select folder picker that drills down one level at a time
+ * Typing filters over the whole directory index instead of the current level.
+ * Selections are kept while navigating, including entries that are not on
+ * screen (or no longer exist), and returned as scope folder entries.
+ */
+class FolderPicker {
+  constructor(directoryIndex, workspaceFolders, currentFolders) {
+    this.index = directoryIndex;
+    this.workspaceFolders = workspaceFolders;
+    this.multiRoot = workspaceFolders.length > 1;
+    this.selected = new Set(currentFolders);
+
+    // null lists the top level of every root in multi-root workspaces
+    this.location = this.multiRoot
+      ? null
+      : { workspaceFolder: workspaceFolders[0], relativeDir: "" };
+  }
+
+  // In multi-root workspaces entries carry their root ("api:src/routes")
+  entryFor(workspaceFolder, relativePath) {
+    return this.multiRoot
+      ? formatScopeEntry(workspaceFolder.name, relativePath)
+      : relativePath;
+  }
+
+  isSelected(item) {
+    // Unprefixed entries from older scopes apply to every root
+    return (
+      this.selected.has(item.entry) || this.selected.has(item.relativePath)
+    );
+  }
+
+  createItem(workspaceFolder, relativePath, label) {
+    return {
+      label: label,
+      description:
+        this.multiRoot && this.quickPick.value ? workspaceFolder.name : "",
+      iconPath: vscode.ThemeIcon.Folder,
+      buttons: [DRILL_DOWN_BUTTON],
+      workspaceFolder: workspaceFolder,
+      relativePath: relativePath,
+      entry: this.entryFor(workspaceFolder, relativePath),
+    };
+  }
+
+  pick() {
+    return new Promise((resolve) => {
+      const quickPick = vscode.window.createQuickPick();
+      this.quickPick = quickPick;
+      quickPick.canSelectMany = true;
+      quickPick.placeholder =
+        "Select folders to include in this scope (type to search all folders)";
+
+      let accepted = false;
+      quickPick.onDidChangeSelection((items) => this.onSelectionChanged(items));
+      quickPick.onDidChangeValue(() => this.refresh());
+      quickPick.onDidTriggerItemButton((event) => {
+        this.location = {
+          workspaceFolder: event.item.workspaceFolder,
+          relativeDir: event.item.relativePath,
+        };
+        quickPick.value = "";
+        this.refresh();
+      });
+      quickPick.onDidTriggerButton((button) => {
+        if (button === vscode.QuickInputButtons.Back) this.goUp();
+      });
+      quickPick.onDidAccept(() => {
+        accepted = true;
+        quickPick.hide();
+      });
+      quickPick.onDidHide(() => {
+        quickPick.dispose();
+        resolve(accepted ? [...this.selected] : null);
+      });
+
+      quickPick.show();
+      this.refresh();
+    });
+  }
+
+  goUp() {
+    if (!this.location) return;
+
+    const { workspaceFolder, relativeDir } = this.location;
+    if (!relativeDir) {
+      this.location = null;
+    } else {
+      const parent = path.posix.dirname(relativeDir);
+      this.location = {
+        workspaceFolder: workspaceFolder,
+        relativeDir: parent === "." ? "" : parent,
+      };
+    }
+    this.refresh();
+  }
+
+  // Items on screen decide membership; everything else stays as it was
+  onSelectionChanged(items) {
+    if (this._updating) return;
+
+    const selectedItems = new Set(items);
+    for (const item of this.quickPick.items) {
+      if (!item.entry) continue;
+      if (selectedItems.has(item)) {
+        if (!this.isSelected(item)) this.selected.add(item.entry);
+      } else {
+        this.selected.delete(item.entry);
+        this.selected.delete(item.relativePath);
+      }
+    }
+    this.updateTitle();
+  }
+
+  updateTitle() {
+    const where = this.location
+      ? this.entryFor(
+          this.location.workspaceFolder,
+          this.location.relativeDir || "."
+        )
+      : "All workspace folders";
+    this.quickPick.title = `${where} (${this.selected.size} selected)`;
+    const canGoUp =
+      this.location && (this.multiRoot || this.location.relativeDir);
+    this.quickPick.buttons = canGoUp ? [vscode.QuickInputButtons.Back] : [];
+  }
+
+  async refresh() {
+    const quickPick = this.quickPick;
+    const value = quickPick.value;
+    const location = this.location;
+    this.updateTitle();
+    quickPick.busy = true;
+
+    let items;
+    try {
+      items = value
+        ? await this.getFilterItems(value)
+        : await this.getLocationItems(location);
+    } catch (error) {
+      console.error("Error listing folders:", error);
+      items = [];
+    }
+
+    // Stale if the user kept typing or navigated meanwhile
+    if (quickPick.value !== value || this.location !== location) return;
+
+    this._updating = true;
+    quickPick.items = items;
+    quickPick.selectedItems = items.filter(
+      (item) => item.entry && this.isSelected(item)
+    );
+    this._updating = false;
+    quickPick.busy = false;
+  }
+
+  async getLocationItems(location) {
+    if (location) {
+      const children = await this.index.listChildren(
+        location.workspaceFolder,
+        location.relativeDir
+      );
+      return children.map((relativePath) =>
+        this.createItem(
+          location.workspaceFolder,
+          relativePath,
+          path.posix.basename(relativePath)
+        )
+      );
+    }
+
+    const items = [];
+    for (const workspaceFolder of this.workspaceFolders) {
+      items.push({
+        label: workspaceFolder.name,
+        kind: vscode.QuickPickItemKind.Separator,
+      });
+      for (const relativePath of await this.index.listChildren(
+        workspaceFolder
+      )) {
+        items.push(
+          this.createItem(workspaceFolder, relativePath, relativePath)
+        );
+      }
+    }
+    return items;
+  }
+
+  async getFilterItems(value) {
+    const query = value.toLowerCase();
+    const items = [];
+
+    for (const workspaceFolder of this.workspaceFolders) {
+      const directories = await this.index.getAllDirectories(workspaceFolder);
+      for (const relativePath of directories) {
+        if (items.length >= MAX_FILTER_RESULTS) return items;
+        if (relativePath.toLowerCase().includes(query)) {
+          items.push(
+            this.createItem(workspaceFolder, relativePath, relativePath)
+          );
+        }
+      }
+    }
+    return items;
+  }
+}
+
+/**
+ * Let the user pick scope folders, starting from currentFolders
+ * Resolves to the selected entries, or null when cancelled.
+ */
+function pickFolders(directoryIndex, workspaceFolders, currentFolders = []) {
+  return new FolderPicker(
+    directoryIndex,
+    workspaceFolders,
+    currentFolders
+  ).pick();
+}
+
+module.exports = { FolderPicker, pickFolders };
@@ -0,0 +1,306 @@
+const vscode = require("vscode");
+const path = require("path");
+const { execFile } = require("child_process");
+const { getWatcherDelay } = require("./scopeFileSystemProvider");
+
+const MAX_OUTPUT = 64 * 1024 * 1024;
+
+// Run the local git binary and resolve with its stdout
+function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      "git",
+      ["-c", "core.quotepath=off", ...args],
+      { cwd: cwd, maxBuffer: MAX_OUTPUT },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error((stderr || error.message).trim()));
+        } else {
+          resolve(stdout);
+        }
+      }
+    );
+  });
+}
+
+function splitNul(output) {
+  return output.split("\0").filter(Boolean);
+}
+
+// Repository holding the folder: { root, gitDir }, or null outside of git
+async function getRepository(folderPath) {
+  try {
+    const output = await runGit(folderPath, [
+      "rev-parse",
+      "--show-toplevel",
+      "--absolute-git-dir",
+    ]);
+    const [root, gitDir] = output.split(/\r?\n/);
+    return { root: path.resolve(root), gitDir: path.resolve(gitDir) };
+  } catch (error) {
+    console.log("Not a git repository:", folderPath, error.message);
+    return null;
+  }
+}
+
+async function listUncommittedFiles(repository) {
+  // Without optional locks git status leaves the watched index alone
+  const output = await runGit(repository.root, [
+    "--no-optional-locks",
+    "status",
+    "--porcelain=v1",
+    "-z",
+    "--untracked-files=all",
+  ]);
+
+  // Renames and copies are followed by their source path, which is skipped
+  const files = [];
+  const records = splitNul(output);
+  for (let i = 0; i < records.length; i++) {
+    const status = records[i].slice(0, 2);
+    files.push(records[i].slice(3));
+    if (/[RC]/.test(status)) i++;
+  }
+  return files;
+}
+
+async function listStagedFiles(repository) {
+  return splitNul(
+    await runGit(repository.root, ["diff", "--name-only", "-z", "--cached"])
+  );
+}
+
+// Configured base branch, else origin's default branch, else main or master
+async function resolveBaseBranch(repository, configured) {
+  const candidates = configured
+    ? [configured]
+    : ["origin/HEAD", "main", "master", "origin/main", "origin/master"];
+
+  for (const candidate of candidates) {
+    try {
+      await runGit(repository.root, [
+        "rev-parse",
+        "--verify",
+        "--quiet",
+        `${candidate}^{commit}`,
+      ]);
+      return candidate;
+    } catch {
+      // Try the next candidate
+    }
+  }
+  throw new Error(
+    configured
+      ? `Base branch "${configured}" not found`
+      : "No base branch found, set projectScopes.git.baseBranch"
+  );
+}
+
+// Everything that differs from the merge base, committed or not
+async function listBranchChanges(repository, baseBranch) {
+  const base = await resolveBaseBranch(repository, baseBranch);
+  const mergeBase = (
+    await runGit(repository.root, ["merge-base", "HEAD", base])
+  ).trim();
+
+  const changed = splitNul(
+    await runGit(repository.root, ["diff", "--name-only", "-z", mergeBase])
+  );
+  const untracked = splitNul(
+    await runGit(repository.root, [
+      "ls-files",
+      "--others",
+      "--exclude-standard",
+      "-z",
+    ])
+  );
+  return [...changed, ...untracked];
+}
+
+async function listRecentCommitFiles(repository, count) {
+  const output = await runGit(repository.root, [
+    "log",
+    `-n${count}`,
+    "--name-only",
+    "--format=",
+    "-z",
+  ]);
+  return splitNul(output.replace(/\n/g, "\0"));
+}
+
+// Repository-relative paths that fall inside the workspace folder, relative to it
+function toFolderPaths(repository, files, folderPath) {
+  const relativePaths = new Set();
+  for (const file of files) {
+    const relativePath = path.relative(
+      folderPath,
+      path.join(repository.root, file)
+    );
+    if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      continue;
+    }
+    relativePaths.add(relativePath.replace(/\\/g, "/"));
+  }
+  return [...relativePaths];
+}
+
+const GIT_SCOPES = [
+  {
+    name: "Git: Uncommitted Changes",
+    description: "Modified, added and untracked files",
+    list: (repository) => listUncommittedFiles(repository),
+  },
+  {
+    name: "Git: Changes vs. Base Branch",
+    description: "Files changed since the merge base with the base branch",
+    list: (repository, config) =>
+      listBranchChanges(repository, config.get("git.baseBranch", "")),
+  },
+  {
+    name: "Git: Staged Files",
+    description: "Files in the index",
+    list: (repository) => listStagedFiles(repository),
+  },
+  {
+    name: "Git: Recent Commits",
+    description: "Files touched in the last commits",
+    list: (repository, config) =>
+      listRecentCommitFiles(
+        repository,
+        Math.max(1, config.get("git.recentCommitCount", 5))
+      ),
+  },
+];
+
+/**
+ * Registers the git based dynamic scopes with the scope manager and
+ * recomputes them whenever the repository or the working tree changes
+ */
+class GitScopes {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this._repositories = new Map();
+    this._registrations = [];
+    this._watchers = [];
+    this._refreshTimer = null;
+
+    this.update();
+    context.subscriptions.push(
+      vscode.workspace.onDidChangeWorkspaceFolders(() => {
+        this._repositories.clear();
+        this.update();
+      }),
+      vscode.workspace.onDidSaveTextDocument(() => this.queueRefresh()),
+      vscode.workspace.onDidCreateFiles(() => this.queueRefresh()),
+      vscode.workspace.onDidDeleteFiles(() => this.queueRefresh()),
+      vscode.workspace.onDidRenameFiles(() => this.queueRefresh()),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("projectScopes.git")) {
+          this.queueRefresh();
+        }
+      }),
+      this
+    );
+  }
+
+  // Offer the git scopes only while some workspace folder is in a repository
+  async update() {
+    const gitDirs = new Set();
+    for (const workspaceFolder of this.scopeManager.getWorkspaceFolders()) {
+      const repository = await this.getRepository(workspaceFolder);
+      if (repository) gitDirs.add(repository.gitDir);
+    }
+
+    if (gitDirs.size > 0 && this._registrations.length === 0) {
+      this._registrations = GIT_SCOPES.map((definition) =>
+        this.scopeManager.registerDynamicScope({
+          name: definition.name,
+          description: definition.description,
+          icon: "git-compare",
+          compute: (workspaceFolder) =>
+            this.computeFiles(definition, workspaceFolder),
+        })
+      );
+    } else if (gitDirs.size === 0) {
+      this._disposeRegistrations();
+    }
+
+    this.updateWatchers(gitDirs);
+    this.queueRefresh();
+  }
+
+  getRepository(workspaceFolder) {
+    const folderPath = workspaceFolder.uri.fsPath;
+    if (!this._repositories.has(folderPath)) {
+      this._repositories.set(folderPath, getRepository(folderPath));
+    }
+    return this._repositories.get(folderPath);
+  }
+
+  async computeFiles(definition, workspaceFolder) {
+    const repository = await this.getRepository(workspaceFolder);
+    if (!repository) return [];
+
+    const config = vscode.workspace.getConfiguration("projectScopes");
+    const files = await definition.list(repository, config);
+    return toFolderPaths(repository, files, workspaceFolder.uri.fsPath);
+  }
+
+  // Index, HEAD and refs cover commits, staging, checkouts and fetches
+  updateWatchers(gitDirs) {
+    this._disposeWatchers();
+
+    for (const gitDir of gitDirs) {
+      const watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(
+          vscode.Uri.file(gitDir),
+          "{index,HEAD,refs/**,packed-refs}"
+        )
+      );
+      watcher.onDidCreate(() => this.queueRefresh());
+      watcher.onDidChange(() => this.queueRefresh());
+      watcher.onDidDelete(() => this.queueRefresh());
+      this._watchers.push(watcher);
+    }
+  }
+
+  queueRefresh() {
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null;
+      this.scopeManager.refreshComputedScopes(
+        GIT_SCOPES.map((definition) => definition.name)
+      );
+    }, getWatcherDelay());
+  }
+
+  _disposeWatchers() {
+    for (const watcher of this._watchers) {
+      watcher.dispose();
+    }
+    this._watchers = [];
+  }
+
+  _disposeRegistrations() {
+    for (const registration of this._registrations) {
+      registration.dispose();
+    }
+    this._registrations = [];
+  }
+
+  dispose() {
+    clearTimeout(this._refreshTimer);
+    this._disposeWatchers();
+    this._disposeRegistrations();
+  }
+}
+
+module.exports = {
+  runGit,
+  getRepository,
+  listUncommittedFiles,
+  listStagedFiles,
+  listBranchChanges,
+  listRecentCommitFiles,
+  GitScopes,
+};
@@ -0,0 +1,650 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+const { parseScopeEntry } = require("./scopeMatcher");
+const { findWorkspacePackages } = require("./workspacePackages");
+const { getWatcherDelay } = require("./scopeFileSystemProvider");
+
+const IMPORTS_SCOPE_TYPE = "imports";
+const SOURCE_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".mts",
+  ".cts",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+];
+const RESOLVE_EXTENSIONS = [...SOURCE_EXTENSIONS, ".d.ts", ".json"];
+const SKIPPED_DIRECTORIES = new Set([
+  "node_modules",
+  ".git",
+  "dist",
+  "build",
+  "out",
+]);
+const EXPORT_CONDITIONS = [
+  "source",
+  "import",
+  "require",
+  "node",
+  "default",
+  "types",
+];
+const MAX_SOURCE_FILES = 20000;
+
+const IMPORT_PATTERNS = [
+  // import x from "a", import { x } from "a", import "a", import type { X } from "a"
+  /\bimport\s+(?:type\s+)?(?:[\w*{}\s,$]+?\s+from\s+)?["']([^"'\n]+)["']/g,
+  // export * from "a", export { x } from "a"
+  /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s+["']([^"'\n]+)["']/g,
+  // require("a"), import("a")
+  /\b(?:require|import)\s*\(\s*["']([^"'\n]+)["']\s*\)/g,
+];
+
+// End of the string or template literal opening at start
+function skipQuoted(source, start) {
+  const quote = source[start];
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === quote) {
+      return i + 1;
+    } else if (char === "\n" && quote !== "`") {
+      return i;
+    }
+  }
+  return source.length;
+}
+
+// End of the regular expression literal opening at start, or start + 1 if it is none
+function skipRegExp(source, start) {
+  let inClass = false;
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      inClass = true;
+    } else if (char === "]") {
+      inClass = false;
+    } else if (char === "/" && !inClass) {
+      return i + 1;
+    } else if (char === "\n") {
+      break;
+    }
+  }
+  return start + 1;
+}
+
+// Drop comments, leaving strings, templates and regular expressions as they are,
+// so "packages/*" or "http://..." do not start a comment
+function stripComments(source) {
+  let code = "";
+  // Last non-blank character, to tell a regular expression from a division
+  let previous = "";
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === "/" && source[i + 1] === "/") {
+      const end = source.indexOf("\n", i);
+      i = end === -1 ? source.length : end;
+      continue;
+    }
+    if (char === "/" && source[i + 1] === "*") {
+      const end = source.indexOf("*/", i + 2);
+      i = end === -1 ? source.length : end + 2;
+      code += " ";
+      continue;
+    }
+
+    let end = i + 1;
+    if (char === '"' || char === "'" || char === "`") {
+      end = skipQuoted(source, i);
+    } else if (char === "/" && /^$|[-(,=:[!&|?{};+*%<>~^]$/.test(previous)) {
+      end = skipRegExp(source, i);
+    }
+    code += source.slice(i, end);
+    if (!/\s/.test(char)) previous = source[end - 1];
+    i = end;
+  }
+  return code;
+}
+
+// Module specifiers imported by a JS/TS source file
+function parseImports(source) {
+  const code = stripComments(source);
+  const specifiers = new Set();
+  for (const pattern of IMPORT_PATTERNS) {
+    for (const match of code.matchAll(pattern)) {
+      specifiers.add(match[1]);
+    }
+  }
+  return [...specifiers];
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// tsconfig/jsconfig allow comments and trailing commas
+function readJsonc(filePath) {
+  try {
+    const content = fs
+      .readFileSync(filePath, "utf8")
+      .replace(
+        /\/\*[\s\S]*?\*\/|("(?:\\.|[^"\\])*")|\/\/.*$/gm,
+        (match, string) => (string ? string : "")
+      )
+      .replace(/,(\s*[}\]])/g, "$1");
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves import specifiers to files on disk: relative paths, tsconfig /
+ * jsconfig path aliases and packages that live in the workspace. Anything
+ * else (node_modules, Node built-ins) is left out of the graph.
+ */
+class ImportResolver {
+  constructor(workspaceFolders) {
+    this.workspaceFolders = workspaceFolders;
+    this._configs = new Map();
+    this._packages = null;
+  }
+
+  async loadPackages() {
+    this._packages = new Map();
+    for (const workspaceFolder of this.workspaceFolders) {
+      const rootPath = workspaceFolder.uri.fsPath;
+      const rootManifest = path.join(rootPath, "package.json");
+      const packages = await findWorkspacePackages(rootPath);
+      for (const dir of ["", ...packages.map((pkg) => pkg.dir)]) {
+        const manifestPath = path.join(rootPath, dir, "package.json");
+        if (dir && manifestPath === rootManifest) continue;
+        const manifest = readJsonc(manifestPath);
+        if (manifest && manifest.name && !this._packages.has(manifest.name)) {
+          this._packages.set(manifest.name, {
+            dir: path.join(rootPath, dir),
+            manifest: manifest,
+          });
+        }
+      }
+    }
+  }
+
+  // Nearest tsconfig.json / jsconfig.json above the file, with `extends` applied
+  getCompilerOptions(fromDir) {
+    let dir = fromDir;
+    for (;;) {
+      if (!this._configs.has(dir)) {
+        this._configs.set(dir, this._readConfigIn(dir));
+      }
+      const options = this._configs.get(dir);
+      if (options) return options;
+
+      const parent = path.dirname(dir);
+      if (parent === dir || !this._isInWorkspace(parent)) return null;
+      dir = parent;
+    }
+  }
+
+  _isInWorkspace(dir) {
+    return this.workspaceFolders.some((workspaceFolder) => {
+      const relativePath = path.relative(workspaceFolder.uri.fsPath, dir);
+      return !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
+    });
+  }
+
+  _readConfigIn(dir) {
+    for (const name of ["tsconfig.json", "jsconfig.json"]) {
+      const configPath = path.join(dir, name);
+      if (isFile(configPath)) return this._readConfig(configPath, 0);
+    }
+    return null;
+  }
+
+  _readConfig(configPath, depth) {
+    const config = readJsonc(configPath);
+    if (!config) return null;
+
+    const configDir = path.dirname(configPath);
+    let options = { baseUrl: null, paths: null, pathsBase: configDir };
+    if (typeof config.extends === "string" && depth < 5) {
+      const extendsPath = config.extends.startsWith(".")
+        ? path.resolve(configDir, config.extends)
+        : null;
+      const parentPath =
+        extendsPath &&
+        [extendsPath, `${extendsPath}.json`].find((candidate) =>
+          isFile(candidate)
+        );
+      if (parentPath) {
+        options = this._readConfig(parentPath, depth + 1) || options;
+      }
+    }
+
+    const compilerOptions = config.compilerOptions || {};
+    if (compilerOptions.baseUrl) {
+      options = {
+        ...options,
+        baseUrl: path.resolve(configDir, compilerOptions.baseUrl),
+      };
+    }
+    if (compilerOptions.paths) {
+      options = {
+        ...options,
+        paths: compilerOptions.paths,
+        pathsBase: options.baseUrl || configDir,
+      };
+    }
+    return options;
+  }
+
+  // Absolute path of the imported file, or null when it is not part of the workspace
+  resolve(specifier, fromFile) {
+    const fromDir = path.dirname(fromFile);
+    if (specifier.startsWith(".") || path.isAbsolute(specifier)) {
+      return this.resolvePath(path.resolve(fromDir, specifier));
+    }
+
+    const options = this.getCompilerOptions(fromDir);
+    if (options && options.paths) {
+      for (const [alias, targets] of Object.entries(options.paths)) {
+        const wildcard = matchWildcard(alias, specifier);
+        if (wildcard === null) continue;
+        for (const target of targets) {
+          const resolved = this.resolvePath(
+            path.resolve(options.pathsBase, target.replace("*", wildcard))
+          );
+          if (resolved) return resolved;
+        }
+      }
+    }
+    if (options && options.baseUrl) {
+      const resolved = this.resolvePath(
+        path.resolve(options.baseUrl, specifier)
+      );
+      if (resolved) return resolved;
+    }
+
+    return this.resolvePackage(specifier);
+  }
+
+  resolvePackage(specifier) {
+    const parts = specifier.split("/");
+    const nameLength = specifier.startsWith("@") ? 2 : 1;
+    const pkg = this._packages.get(parts.slice(0, nameLength).join("/"));
+    if (!pkg) return null;
+
+    const subpath = ["."].concat(parts.slice(nameLength)).join("/");
+    const { manifest, dir } = pkg;
+
+    if (manifest.exports !== undefined) {
+      const target = resolveExports(manifest.exports, subpath);
+      if (target) {
+        const resolved = this.resolvePath(path.resolve(dir, target));
+        if (resolved) return resolved;
+      }
+    }
+
+    if (subpath === ".") {
+      for (const field of ["source", "module", "main", "types"]) {
+        if (typeof manifest[field] === "string") {
+          const resolved = this.resolvePath(path.resolve(dir, manifest[field]));
+          if (resolved) return resolved;
+        }
+      }
+    }
+    return this.resolvePath(path.resolve(dir, subpath));
+  }
+
+  // File, file with an extension, or directory index
+  resolvePath(basePath) {
+    if (isFile(basePath) && !basePath.endsWith(".d.ts")) return basePath;
+
+    // TypeScript lets "./util.js" refer to util.ts
+    const withoutJs = basePath.replace(/\.(m|c)?jsx?$/, "");
+    for (const candidate of new Set([basePath, withoutJs])) {
+      for (const extension of RESOLVE_EXTENSIONS) {
+        if (isFile(candidate + extension)) return candidate + extension;
+      }
+    }
+    for (const extension of RESOLVE_EXTENSIONS) {
+      const indexPath = path.join(basePath, `index${extension}`);
+      if (isFile(indexPath)) return indexPath;
+    }
+    return isFile(basePath) ? basePath : null;
+  }
+}
+
+// Text captured by the single "*" of a pattern, "" for an exact match, null otherwise
+function matchWildcard(pattern, value) {
+  const star = pattern.indexOf("*");
+  if (star < 0) return pattern === value ? "" : null;
+
+  const prefix = pattern.slice(0, star);
+  const suffix = pattern.slice(star + 1);
+  if (
+    value.length >= prefix.length + suffix.length &&
+    value.startsWith(prefix) &&
+    value.endsWith(suffix)
+  ) {
+    return value.slice(prefix.length, value.length - suffix.length);
+  }
+  return null;
+}
+
+// Target of a subpath in a package.json "exports" field
+function resolveExports(exportsField, subpath) {
+  if (typeof exportsField === "string" || Array.isArray(exportsField)) {
+    return subpath === "." ? resolveCondition(exportsField) : null;
+  }
+  if (!exportsField || typeof exportsField !== "object") return null;
+
+  // An object of conditions applies to "." only
+  if (!Object.keys(exportsField).some((key) => key.startsWith("."))) {
+    return subpath === "." ? resolveCondition(exportsField) : null;
+  }
+
+  for (const [key, target] of Object.entries(exportsField)) {
+    const wildcard = matchWildcard(key, subpath);
+    if (wildcard === null) continue;
+    const resolved = resolveCondition(target);
+    if (resolved) return resolved.replace(/\*/g, wildcard);
+  }
+  return null;
+}
+
+function resolveCondition(target) {
+  if (typeof target === "string") return target;
+  if (Array.isArray(target)) {
+    for (const option of target) {
+      const resolved = resolveCondition(option);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+  if (target && typeof target === "object") {
+    for (const condition of EXPORT_CONDITIONS) {
+      if (condition in target) {
+        const resolved = resolveCondition(target[condition]);
+        if (resolved) return resolved;
+      }
+    }
+  }
+  return null;
+}
+
+function isSourceFile(filePath) {
+  return (
+    SOURCE_EXTENSIONS.includes(path.extname(filePath)) &&
+    !filePath.endsWith(".d.ts")
+  );
+}
+
+async function listSourceFiles(rootPath, files) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(rootPath, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  for (const entry of entries) {
+    if (files.length >= MAX_SOURCE_FILES) return;
+    if (entry.name.startsWith(".") || SKIPPED_DIRECTORIES.has(entry.name)) {
+      continue;
+    }
+
+    const entryPath = path.join(rootPath, entry.name);
+    if (entry.isDirectory()) {
+      await listSourceFiles(entryPath, files);
+    } else if (isSourceFile(entryPath)) {
+      files.push(entryPath);
+    }
+  }
+}
+
+/**
+ * Import graph over the workspace folders, parsed lazily and cached per file
+ */
+class ImportGraph {
+  constructor(workspaceFolders) {
+    this.workspaceFolders = workspaceFolders;
+    this.resolver = new ImportResolver(workspaceFolders);
+    this._imports = new Map();
+    this._ready = null;
+  }
+
+  ready() {
+    if (!this._ready) this._ready = this.resolver.loadPackages();
+    return this._ready;
+  }
+
+  // Drop what is known about a file after it changed on disk
+  invalidate(filePath) {
+    this._imports.delete(filePath);
+  }
+
+  async getImports(filePath) {
+    if (this._imports.has(filePath)) return this._imports.get(filePath);
+
+    let imports = [];
+    if (isSourceFile(filePath)) {
+      try {
+        const source = await fs.promises.readFile(filePath, "utf8");
+        imports = [
+          ...new Set(
+            parseImports(source)
+              .map((specifier) => this.resolver.resolve(specifier, filePath))
+              .filter(Boolean)
+          ),
+        ];
+      } catch (error) {
+        console.warn("Error reading imports of:", filePath, error.message);
+      }
+    }
+    this._imports.set(filePath, imports);
+    return imports;
+  }
+
+  /**
+   * Files reachable from the seeds: { filePath: { depth, importer } }
+   * With importers set, files importing the seeds (transitively) are added too.
+   * A depth of 0 or less means no limit.
+   */
+  async collect(seeds, depth, importers) {
+    await this.ready();
+    const limit = depth > 0 ? depth : Infinity;
+    const found = new Map(
+      seeds.map((seed) => [seed, { depth: 0, importer: false }])
+    );
+
+    let frontier = [...seeds];
+    for (let level = 1; level <= limit && frontier.length > 0; level++) {
+      const next = [];
+      for (const filePath of frontier) {
+        for (const imported of await this.getImports(filePath)) {
+          if (found.has(imported)) continue;
+          found.set(imported, { depth: level, importer: false });
+          next.push(imported);
+        }
+      }
+      frontier = next;
+    }
+
+    if (importers) {
+      const importedBy = await this.getReverseGraph();
+      frontier = [...seeds];
+      for (let level = 1; level <= limit && frontier.length > 0; level++) {
+        const next = [];
+        for (const filePath of frontier) {
+          for (const importer of importedBy.get(filePath) || []) {
+            if (found.has(importer)) continue;
+            found.set(importer, { depth: level, importer: true });
+            next.push(importer);
+          }
+        }
+        frontier = next;
+      }
+    }
+
+    return found;
+  }
+
+  // Who imports what, over every source file in the workspace
+  async getReverseGraph() {
+    const files = [];
+    for (const workspaceFolder of this.workspaceFolders) {
+      await listSourceFiles(workspaceFolder.uri.fsPath, files);
+    }
+
+    const importedBy = new Map();
+    for (const filePath of files) {
+      for (const imported of await this.getImports(filePath)) {
+        if (!importedBy.has(imported)) importedBy.set(imported, []);
+        importedBy.get(imported).push(filePath);
+      }
+    }
+    return importedBy;
+  }
+}
+
+function describeImportDepth(entry) {
+  if (entry.depth === 0) return "seed";
+  return entry.importer
+    ? `imports this, depth ${entry.depth}`
+    : `depth ${entry.depth}`;
+}
+
+/**
+ * Provides scopes of type "imports": seed files plus what they import, up to
+ * `depth` levels, and optionally the files importing them (`importers`)
+ */
+class ImportScopes {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this.graph = null;
+    this._refreshTimer = null;
+
+    context.subscriptions.push(
+      scopeManager.registerScopeType(IMPORTS_SCOPE_TYPE, {
+        describe: (scope) => this.describe(scope),
+        compute: (scope, workspaceFolders) =>
+          this.compute(scope, workspaceFolders),
+      }),
+      vscode.workspace.onDidSaveTextDocument((document) =>
+        this.fileSaved(document.uri)
+      ),
+      // New and removed files change how existing specifiers resolve
+      vscode.workspace.onDidCreateFiles(() => this.reset()),
+      vscode.workspace.onDidDeleteFiles(() => this.reset()),
+      vscode.workspace.onDidRenameFiles(() => this.reset()),
+      vscode.workspace.onDidChangeWorkspaceFolders(() => this.reset()),
+      this
+    );
+  }
+
+  describe(scope) {
+    const lines = [`Imports of: ${(scope.seeds || []).join(", ")}`];
+    lines.push(scope.depth > 0 ? `Depth: ${scope.depth}` : "Depth: unlimited");
+    if (scope.importers) lines.push("Including importers");
+    return lines;
+  }
+
+  getGraph(workspaceFolders) {
+    if (!this.graph) this.graph = new ImportGraph(workspaceFolders);
+    return this.graph;
+  }
+
+  // Seed entries are workspace-relative files, prefixed with their root in multi-root workspaces
+  resolveSeeds(seeds, workspaceFolders) {
+    const seedPaths = [];
+    for (const seed of seeds || []) {
+      const entry = parseScopeEntry(
+        seed,
+        workspaceFolders.map((folder) => folder.name)
+      );
+      for (const workspaceFolder of workspaceFolders) {
+        if (entry.root && entry.root !== workspaceFolder.name) continue;
+        const seedPath = path.join(workspaceFolder.uri.fsPath, entry.path);
+        if (isFile(seedPath)) seedPaths.push(seedPath);
+      }
+    }
+    return seedPaths;
+  }
+
+  async compute(scope, workspaceFolders) {
+    const seeds = this.resolveSeeds(scope.seeds, workspaceFolders);
+    if (seeds.length === 0) {
+      throw new Error("None of the seed files exist");
+    }
+
+    const found = await this.getGraph(workspaceFolders).collect(
+      seeds,
+      scope.depth || 0,
+      Boolean(scope.importers)
+    );
+
+    const files = {};
+    for (const workspaceFolder of workspaceFolders) {
+      files[workspaceFolder.name] = new Map();
+    }
+    for (const [filePath, entry] of found) {
+      const resolved = this.scopeManager.resolvePath(filePath);
+      if (!resolved) continue;
+      files[resolved.workspaceFolder.name].set(
+        resolved.relativePath,
+        describeImportDepth(entry)
+      );
+    }
+    return files;
+  }
+
+  fileSaved(uri) {
+    if (isSourceFile(uri.fsPath)) {
+      if (this.graph) this.graph.invalidate(uri.fsPath);
+      this.queueRefresh();
+    } else if (
+      /(^|[\\/])(package|[tj]sconfig[^\\/]*)\.json$/.test(uri.fsPath)
+    ) {
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.graph = null;
+    this.queueRefresh();
+  }
+
+  queueRefresh() {
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null;
+      this.scopeManager.refreshComputedScopes(
+        this.scopeManager.getScopesOfType(IMPORTS_SCOPE_TYPE)
+      );
+    }, getWatcherDelay());
+  }
+
+  dispose() {
+    clearTimeout(this._refreshTimer);
+  }
+}
+
+module.exports = {
+  IMPORTS_SCOPE_TYPE,
+  ImportScopes,
+  ImportGraph,
+  ImportResolver,
+  parseImports,
+};
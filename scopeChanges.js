@@ -0,0 +1,481 @@
+const vscode = require("vscode");
+const path = require("path");
+const { runGit, getRepository } = require("./git");
+const { getWatcherDelay } = require("./scopeFileSystemProvider");
+
+const CHANGES_VIEW = "scopeChanges";
+// Read-only file versions from git: HEAD, or the index for an empty ref
+const GIT_SCHEME = "scope-git";
+// Paths per git invocation, well below command line length limits
+const PATHS_PER_CALL = 100;
+
+const GROUPS = [
+  { id: "merge", label: "Merge Changes" },
+  { id: "staged", label: "Staged Changes" },
+  { id: "changes", label: "Changes" },
+];
+
+const STATUS_LABELS = {
+  M: "Modified",
+  A: "Added",
+  D: "Deleted",
+  R: "Renamed",
+  C: "Copied",
+  T: "Type Changed",
+  U: "Conflict",
+  "?": "Untracked",
+};
+
+// Index/work tree pairs git reports for unmerged paths
+const CONFLICTS = ["DD", "AU", "UD", "UA", "DU", "AA", "UU"];
+
+// `git status --porcelain=v1 -z` as [{ path, originalPath, status, group }]
+function parseStatus(output) {
+  const changes = [];
+  const records = output.split("\0").filter(Boolean);
+  for (let i = 0; i < records.length; i++) {
+    const [index, workTree] = records[i];
+    const filePath = records[i].slice(3);
+    // Renames and copies are followed by their source path
+    const originalPath = /[RC]/.test(index) ? records[++i] : null;
+
+    if (CONFLICTS.includes(index + workTree)) {
+      changes.push({ path: filePath, status: "U", group: "merge" });
+      continue;
+    }
+    if (index !== " " && index !== "?" && index !== "!") {
+      changes.push({
+        path: filePath,
+        originalPath: originalPath,
+        status: index,
+        group: "staged",
+      });
+    }
+    if (workTree !== " " && workTree !== "!") {
+      changes.push({ path: filePath, status: workTree, group: "changes" });
+    }
+  }
+  return changes;
+}
+
+// Run git for many paths without exceeding the command line length
+async function runGitForPaths(root, args, paths) {
+  for (let i = 0; i < paths.length; i += PATHS_PER_CALL) {
+    await runGit(root, [...args, "--", ...paths.slice(i, i + PATHS_PER_CALL)]);
+  }
+}
+
+// A repository without commits has no HEAD to reset the index to
+async function hasHead(root) {
+  try {
+    await runGit(root, ["rev-parse", "-q", "--verify", "HEAD"]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The local git changes inside the active scope, grouped like the Source
+ * Control view, with stage, unstage, discard and diff actions. Files are
+ * matched with the same scope matcher as the Scoped Files view.
+ */
+class ScopeChangesProvider {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this._changes = [];
+    this._watchers = [];
+    this._watchedGitDirs = "";
+    this._refreshTimer = null;
+    this._refreshing = Promise.resolve();
+    // Repository of each workspace folder, null outside of git
+    this._repositories = new Map();
+
+    this.treeView = vscode.window.createTreeView(CHANGES_VIEW, {
+      treeDataProvider: this,
+      canSelectMany: true,
+      showCollapseAll: true,
+    });
+
+    context.subscriptions.push(
+      this.treeView,
+      vscode.workspace.registerTextDocumentContentProvider(GIT_SCHEME, this),
+      scopeManager.onScopeChanged(() => this.queueRefresh()),
+      vscode.workspace.onDidSaveTextDocument(() => this.queueRefresh()),
+      vscode.workspace.onDidCreateFiles(() => this.queueRefresh()),
+      vscode.workspace.onDidDeleteFiles(() => this.queueRefresh()),
+      vscode.workspace.onDidRenameFiles(() => this.queueRefresh()),
+      vscode.workspace.onDidChangeWorkspaceFolders(() => {
+        this._repositories.clear();
+        this.refresh();
+      }),
+      this
+    );
+    this.refresh();
+  }
+
+  queueRefresh() {
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null;
+      this.refresh();
+    }, getWatcherDelay());
+  }
+
+  // Re-read git status; one at a time, so a refresh after staging sees the new index
+  refresh() {
+    this._refreshing = this._refreshing
+      .then(() => this._readChanges())
+      .catch((error) => {
+        console.error("Error reading scope changes:", error);
+        this.treeView.message = `Could not read git status: ${error.message}`;
+      });
+    return this._refreshing;
+  }
+
+  async _readChanges() {
+    const repositories = new Map();
+    for (const workspaceFolder of this.scopeManager.getWorkspaceFolders()) {
+      const folderPath = workspaceFolder.uri.fsPath;
+      if (!this._repositories.has(folderPath)) {
+        this._repositories.set(folderPath, await getRepository(folderPath));
+      }
+      const repository = this._repositories.get(folderPath);
+      if (repository) repositories.set(repository.root, repository);
+    }
+    this.updateWatchers([...repositories.values()]);
+
+    const changes = [];
+    for (const repository of repositories.values()) {
+      // Without optional locks git status leaves the watched index alone
+      const output = await runGit(repository.root, [
+        "--no-optional-locks",
+        "status",
+        "--porcelain=v1",
+        "-z",
+        "--untracked-files=all",
+      ]);
+      for (const change of parseStatus(output)) {
+        changes.push({
+          ...change,
+          repository: repository,
+          uri: vscode.Uri.file(path.join(repository.root, change.path)),
+        });
+      }
+    }
+    this._changes = changes;
+
+    const activeScope = this.scopeManager.getActiveScope();
+    const inScope = this.getChanges();
+    if (repositories.size === 0) {
+      this.treeView.message = "No git repository found in this workspace";
+    } else if (!this.scopeManager.hasScope(activeScope)) {
+      this.treeView.message =
+        "No active scope - activate a scope to see its changes";
+    } else {
+      this.treeView.message =
+        inScope.length === 0 ? `No changes in ${activeScope}` : undefined;
+    }
+    this.treeView.badge =
+      inScope.length > 0
+        ? {
+            value: inScope.length,
+            tooltip: `${inScope.length} changes in ${activeScope}`,
+          }
+        : undefined;
+    this._onDidChangeTreeData.fire();
+  }
+
+  // Git's index, HEAD and refs change on stage, commit and checkout
+  updateWatchers(repositories) {
+    const gitDirs = repositories.map((repository) => repository.gitDir);
+    if (gitDirs.join("\n") === this._watchedGitDirs) return;
+    this._watchedGitDirs = gitDirs.join("\n");
+
+    this._disposeWatchers();
+    for (const gitDir of gitDirs) {
+      const watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(
+          vscode.Uri.file(gitDir),
+          "{index,HEAD,refs/**}"
+        )
+      );
+      watcher.onDidCreate(() => this.queueRefresh());
+      watcher.onDidChange(() => this.queueRefresh());
+      watcher.onDidDelete(() => this.queueRefresh());
+      this._watchers.push(watcher);
+    }
+  }
+
+  // Changes inside the scope; renames count when either side is inside
+  getChanges(scopeName = this.scopeManager.getActiveScope()) {
+    if (!this.scopeManager.hasScope(scopeName)) return [];
+    return this._changes.filter(
+      (change) =>
+        this.scopeManager.isInScope(change.uri, scopeName) ||
+        (change.originalPath &&
+          this.scopeManager.isInScope(
+            vscode.Uri.file(
+              path.join(change.repository.root, change.originalPath)
+            ),
+            scopeName
+          ))
+    );
+  }
+
+  getChildren(element) {
+    const changes = this.getChanges();
+    if (!element) {
+      return GROUPS.map((group) => ({
+        group: group,
+        changes: changes.filter((change) => change.group === group.id),
+      })).filter((entry) => entry.changes.length > 0);
+    }
+    if (element.changes) {
+      return [...element.changes]
+        .sort((a, b) => a.uri.fsPath.localeCompare(b.uri.fsPath))
+        .map((change) => ({ change: change }));
+    }
+    return [];
+  }
+
+  getTreeItem(element) {
+    if (element.changes) {
+      const item = new vscode.TreeItem(
+        element.group.label,
+        vscode.TreeItemCollapsibleState.Expanded
+      );
+      item.description = `${element.changes.length}`;
+      item.contextValue = `changeGroup.${element.group.id}`;
+      return item;
+    }
+
+    const { change } = element;
+    const item = new vscode.TreeItem(
+      change.uri,
+      vscode.TreeItemCollapsibleState.None
+    );
+    const resolved = this.scopeManager.resolvePath(change.uri.fsPath);
+    const relativeDir = resolved
+      ? path.posix.dirname(resolved.relativePath)
+      : path.posix.dirname(change.path);
+    item.description = `${relativeDir === "." ? "" : relativeDir} ${
+      change.status
+    }`.trim();
+    item.tooltip = `${change.path} • ${
+      STATUS_LABELS[change.status] || change.status
+    }${change.originalPath ? ` from ${change.originalPath}` : ""}`;
+    item.contextValue = `change.${change.group}`;
+    item.command = {
+      command: "project-scopes.openChangeDiff",
+      title: "Open Changes",
+      arguments: [element],
+    };
+    return item;
+  }
+
+  // Changes behind a command invocation: the clicked item or group plus the selection
+  resolveChanges(element, selection) {
+    const elements =
+      selection && selection.length > 0 ? selection : element ? [element] : [];
+    return elements.flatMap((entry) =>
+      entry.changes ? entry.changes : entry.change ? [entry.change] : []
+    );
+  }
+
+  // Changes grouped by repository root: Map(root → changes)
+  byRepository(changes) {
+    const grouped = new Map();
+    for (const change of changes) {
+      const root = change.repository.root;
+      if (!grouped.has(root)) grouped.set(root, []);
+      grouped.get(root).push(change);
+    }
+    return grouped;
+  }
+
+  async stage(changes) {
+    for (const [root, repositoryChanges] of this.byRepository(changes)) {
+      await runGitForPaths(
+        root,
+        ["add", "-A"],
+        repositoryChanges.map((change) => change.path)
+      );
+    }
+    await this.refresh();
+  }
+
+  async unstage(changes) {
+    for (const [root, repositoryChanges] of this.byRepository(changes)) {
+      await runGitForPaths(
+        root,
+        (await hasHead(root))
+          ? ["reset", "-q", "HEAD"]
+          : ["rm", "--cached", "-q", "--ignore-unmatch"],
+        repositoryChanges.flatMap((change) =>
+          change.originalPath
+            ? [change.path, change.originalPath]
+            : [change.path]
+        )
+      );
+    }
+    await this.refresh();
+  }
+
+  // Throw away work tree changes; untracked files go to the trash
+  async discard(changes) {
+    const discardable = changes.filter((change) => change.group === "changes");
+    if (discardable.length === 0) return;
+
+    const untracked = discardable.filter((change) => change.status === "?");
+    const tracked = discardable.filter((change) => change.status !== "?");
+    const subject =
+      discardable.length === 1
+        ? `"${path.basename(discardable[0].path)}"`
+        : `${discardable.length} files`;
+    const confirm = await vscode.window.showWarningMessage(
+      untracked.length === discardable.length
+        ? `Are you sure you want to delete ${subject}? ${
+            discardable.length === 1 ? "It" : "They"
+          } will be moved to the trash.`
+        : `Are you sure you want to discard changes in ${subject}? This cannot be undone.`,
+      { modal: true },
+      untracked.length === discardable.length ? "Delete" : "Discard Changes"
+    );
+    if (!confirm) return;
+
+    for (const [root, repositoryChanges] of this.byRepository(tracked)) {
+      await runGitForPaths(
+        root,
+        ["checkout"],
+        repositoryChanges.map((change) => change.path)
+      );
+    }
+    for (const change of untracked) {
+      await vscode.workspace.fs.delete(change.uri, { useTrash: true });
+    }
+    await this.refresh();
+  }
+
+  gitUri(change, ref, filePath) {
+    return vscode.Uri.file(path.join(change.repository.root, filePath)).with({
+      scheme: GIT_SCHEME,
+      query: JSON.stringify({ root: change.repository.root, ref: ref }),
+    });
+  }
+
+  // File content at HEAD or in the index, empty when it does not exist there
+  async provideTextDocumentContent(uri) {
+    const { root, ref } = JSON.parse(uri.query);
+    const filePath = path.relative(root, uri.fsPath).replace(/\\/g, "/");
+    try {
+      return await runGit(root, ["show", `${ref}:${filePath}`]);
+    } catch {
+      return "";
+    }
+  }
+
+  async openDiff(change) {
+    const name = path.basename(change.path);
+    if (change.group === "merge" || change.status === "?") {
+      await vscode.commands.executeCommand("vscode.open", change.uri);
+      return;
+    }
+
+    if (change.group === "staged") {
+      await vscode.commands.executeCommand(
+        "vscode.diff",
+        this.gitUri(change, "HEAD", change.originalPath || change.path),
+        this.gitUri(change, "", change.path),
+        `${name} (Index)`
+      );
+      return;
+    }
+
+    // Deleted in the work tree: only the index version is left to show
+    if (change.status === "D") {
+      await vscode.commands.executeCommand(
+        "vscode.open",
+        this.gitUri(change, "", change.path)
+      );
+      return;
+    }
+    await vscode.commands.executeCommand(
+      "vscode.diff",
+      this.gitUri(change, "", change.path),
+      change.uri,
+      `${name} (Working Tree)`
+    );
+  }
+
+  async openFile(change) {
+    await vscode.commands.executeCommand("vscode.open", change.uri);
+  }
+
+  /**
+   * Stage exactly the active scope's changes: everything changed inside the
+   * scope is staged, staged changes outside it are unstaged. Then hand over
+   * to the Source Control view for the commit message.
+   */
+  async commitScopeChanges() {
+    const activeScope = this.scopeManager.getActiveScope();
+    if (!this.scopeManager.hasScope(activeScope)) {
+      vscode.window.showWarningMessage("No active scope");
+      return;
+    }
+
+    await this.refresh();
+    const inScope = this.getChanges(activeScope);
+    if (inScope.length === 0) {
+      vscode.window.showInformationMessage(`No changes in ${activeScope}`);
+      return;
+    }
+    if (inScope.some((change) => change.group === "merge")) {
+      vscode.window.showWarningMessage(
+        `Resolve the merge conflicts in ${activeScope} before committing`
+      );
+      return;
+    }
+
+    const outside = this._changes.filter(
+      (change) => change.group === "staged" && !inScope.includes(change)
+    );
+    if (outside.length > 0) {
+      const choice = await vscode.window.showWarningMessage(
+        `${outside.length} staged change${
+          outside.length === 1 ? " is" : "s are"
+        } outside ${activeScope}. Unstage ${
+          outside.length === 1 ? "it" : "them"
+        } so only the scope is committed?`,
+        { modal: true },
+        "Unstage"
+      );
+      if (choice !== "Unstage") return;
+      await this.unstage(outside);
+    }
+
+    await this.stage(inScope.filter((change) => change.group === "changes"));
+    console.log(`Staged ${inScope.length} changes of scope:`, activeScope);
+
+    await vscode.commands.executeCommand("workbench.view.scm");
+    vscode.window.setStatusBarMessage(
+      `$(check) Staged the changes of ${activeScope} - enter a commit message`,
+      5000
+    );
+  }
+
+  _disposeWatchers() {
+    this._watchers.forEach((watcher) => watcher.dispose());
+    this._watchers = [];
+  }
+
+  dispose() {
+    clearTimeout(this._refreshTimer);
+    this._disposeWatchers();
+    this._onDidChangeTreeData.dispose();
+  }
+}
+
+module.exports = { ScopeChangesProvider, parseStatus };
@@ -0,0 +1,100 @@
+const vscode = require("vscode");
+const fs = require("fs");
+
+const IN_SCOPE_COLOR = "projectScopes.inScopeForeground";
+const OUT_OF_SCOPE_COLOR = "projectScopes.outOfScopeForeground";
+
+/**
+ * Badges and colors the active scope's files in the built-in Explorer, using
+ * the same matching as the scoped tree. A scope can set its own badge and
+ * theme color through `decoration: { badge, color }`.
+ */
+class ScopeDecorationProvider {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this._onDidChangeFileDecorations = new vscode.EventEmitter();
+    this.onDidChangeFileDecorations = this._onDidChangeFileDecorations.event;
+
+    context.subscriptions.push(
+      vscode.window.registerFileDecorationProvider(this),
+      scopeManager.onScopeChanged(() => this.refresh()),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("projectScopes")) this.refresh();
+      }),
+      this._onDidChangeFileDecorations
+    );
+  }
+
+  refresh() {
+    this._onDidChangeFileDecorations.fire(undefined);
+  }
+
+  getConfig() {
+    const config = vscode.workspace.getConfiguration("projectScopes");
+    return {
+      enabled: config.get("decorations.enabled", true),
+      dimOutOfScope: config.get("decorations.dimOutOfScope", false),
+    };
+  }
+
+  // Badge is at most two characters; defaults to the scope's initial
+  getScopeDecoration(scopeName) {
+    const scope = this.scopeManager.getScopes()[scopeName] || {};
+    const decoration = scope.decoration || {};
+    return {
+      badge: (decoration.badge || scopeName.charAt(0).toUpperCase()).slice(
+        0,
+        2
+      ),
+      color: new vscode.ThemeColor(decoration.color || IN_SCOPE_COLOR),
+    };
+  }
+
+  async provideFileDecoration(uri) {
+    const scopeName = this.scopeManager.getActiveScope();
+    if (uri.scheme !== "file" || !this.scopeManager.hasScope(scopeName)) {
+      return undefined;
+    }
+
+    const { enabled, dimOutOfScope } = this.getConfig();
+    if (!enabled) return undefined;
+
+    const resolved = this.scopeManager.resolvePath(uri.fsPath);
+    if (!resolved || !resolved.relativePath) return undefined;
+    const matcher = this.scopeManager.getActiveMatcher(
+      resolved.workspaceFolder
+    );
+    if (!matcher) return undefined;
+
+    let isDirectory;
+    try {
+      isDirectory = (await fs.promises.stat(uri.fsPath)).isDirectory();
+    } catch {
+      return undefined;
+    }
+
+    const { relativePath } = resolved;
+    const { badge, color } = this.getScopeDecoration(scopeName);
+    if (matcher.matches(relativePath)) {
+      return new vscode.FileDecoration(badge, `In scope "${scopeName}"`, color);
+    }
+    // Folders holding some of the scope's files are colored without a badge
+    if (matcher.shouldShow(relativePath, isDirectory)) {
+      return new vscode.FileDecoration(
+        undefined,
+        `Contains files of scope "${scopeName}"`,
+        color
+      );
+    }
+    if (dimOutOfScope) {
+      return new vscode.FileDecoration(
+        undefined,
+        `Outside scope "${scopeName}"`,
+        new vscode.ThemeColor(OUT_OF_SCOPE_COLOR)
+      );
+    }
+    return undefined;
+  }
+}
+
+module.exports = { ScopeDecorationProvider };
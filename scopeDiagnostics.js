@@ -0,0 +1,268 @@
+const vscode = require("vscode");
+const path = require("path");
+
+const PROBLEMS_VIEW = "scopeProblems";
+// Diagnostics arrive in bursts while language servers check the workspace
+const UPDATE_DELAY = 300;
+
+const SEVERITIES = [
+  {
+    severity: vscode.DiagnosticSeverity.Error,
+    key: "errors",
+    label: "Errors",
+    singular: "error",
+    icon: "error",
+    color: "problemsErrorIcon.foreground",
+  },
+  {
+    severity: vscode.DiagnosticSeverity.Warning,
+    key: "warnings",
+    label: "Warnings",
+    singular: "warning",
+    icon: "warning",
+    color: "problemsWarningIcon.foreground",
+  },
+  {
+    severity: vscode.DiagnosticSeverity.Information,
+    key: "infos",
+    label: "Info",
+    singular: "info",
+    icon: "info",
+    color: "problemsInfoIcon.foreground",
+  },
+  {
+    severity: vscode.DiagnosticSeverity.Hint,
+    key: "hints",
+    label: "Hints",
+    singular: "hint",
+    icon: "lightbulb",
+    color: "problemsInfoIcon.foreground",
+  },
+];
+
+// "3 errors, 12 warnings"; infos and hints are left out, empty when clean
+function formatProblemCounts(counts) {
+  return SEVERITIES.slice(0, 2)
+    .filter(({ key }) => counts[key] > 0)
+    .map(
+      ({ key, singular }) =>
+        `${counts[key]} ${singular}${counts[key] === 1 ? "" : "s"}`
+    )
+    .join(", ");
+}
+
+/**
+ * Diagnostics of the files inside a scope. Results are cached per scope
+ * until diagnostics or scope definitions change.
+ */
+class ScopeDiagnostics {
+  constructor(scopeManager) {
+    this.scopeManager = scopeManager;
+    this._problems = new Map();
+    this._timer = null;
+
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+
+    this._listener = vscode.languages.onDidChangeDiagnostics(() => {
+      clearTimeout(this._timer);
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this.reset();
+        this._onDidChange.fire();
+      }, UPDATE_DELAY);
+    });
+  }
+
+  // Scope definitions changed, so cached file lists may be wrong
+  reset() {
+    this._problems.clear();
+  }
+
+  // [{ uri, diagnostics }] for files of the scope with at least one diagnostic
+  getProblems(scopeName) {
+    if (!scopeName || !this.scopeManager.hasScope(scopeName)) return [];
+
+    if (!this._problems.has(scopeName)) {
+      this._problems.set(
+        scopeName,
+        vscode.languages
+          .getDiagnostics()
+          .filter(
+            ([uri, diagnostics]) =>
+              diagnostics.length > 0 &&
+              uri.scheme === "file" &&
+              this.scopeManager.isInScope(uri, scopeName)
+          )
+          .map(([uri, diagnostics]) => ({ uri: uri, diagnostics: diagnostics }))
+      );
+    }
+    return this._problems.get(scopeName);
+  }
+
+  getCounts(scopeName) {
+    const counts = { errors: 0, warnings: 0, infos: 0, hints: 0 };
+    for (const { diagnostics } of this.getProblems(scopeName)) {
+      for (const diagnostic of diagnostics) {
+        counts[SEVERITIES[diagnostic.severity].key]++;
+      }
+    }
+    return counts;
+  }
+
+  dispose() {
+    clearTimeout(this._timer);
+    this._listener.dispose();
+    this._onDidChange.dispose();
+  }
+}
+
+/**
+ * Problems of the active scope, grouped by severity and then by file
+ */
+class ScopeProblemsProvider {
+  constructor(scopeManager) {
+    this.scopeManager = scopeManager;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+    this.treeView = vscode.window.createTreeView(PROBLEMS_VIEW, {
+      treeDataProvider: this,
+      showCollapseAll: true,
+    });
+    this._listeners = [
+      scopeManager.diagnostics.onDidChange(() => this.refresh()),
+      scopeManager.onScopeChanged(() => this.refresh()),
+    ];
+    this.refresh();
+  }
+
+  refresh() {
+    const activeScope = this.scopeManager.getActiveScope();
+    const hasScope = this.scopeManager.hasScope(activeScope);
+    const counts = this.scopeManager.diagnostics.getCounts(activeScope);
+
+    this.treeView.message = hasScope
+      ? undefined
+      : "No active scope - activate a scope to see its problems";
+    this.treeView.badge =
+      counts.errors > 0
+        ? {
+            value: counts.errors,
+            tooltip: `${formatProblemCounts(counts)} in ${activeScope}`,
+          }
+        : undefined;
+    this._onDidChangeTreeData.fire();
+  }
+
+  getChildren(element) {
+    const problems = this.scopeManager.diagnostics.getProblems(
+      this.scopeManager.getActiveScope()
+    );
+
+    if (!element) {
+      return SEVERITIES.map((group) => ({
+        group: group,
+        files: problems
+          .map(({ uri, diagnostics }) => ({
+            uri: uri,
+            diagnostics: diagnostics.filter(
+              (diagnostic) => diagnostic.severity === group.severity
+            ),
+          }))
+          .filter((file) => file.diagnostics.length > 0),
+      })).filter((entry) => entry.files.length > 0);
+    }
+
+    if (element.files) {
+      return [...element.files]
+        .sort((a, b) => a.uri.fsPath.localeCompare(b.uri.fsPath))
+        .map((file) => ({ group: element.group, file: file }));
+    }
+
+    if (element.file) {
+      return [...element.file.diagnostics]
+        .sort((a, b) => a.range.start.compareTo(b.range.start))
+        .map((diagnostic) => ({
+          group: element.group,
+          uri: element.file.uri,
+          diagnostic: diagnostic,
+        }));
+    }
+    return [];
+  }
+
+  getTreeItem(element) {
+    if (element.files) {
+      const count = element.files.reduce(
+        (sum, file) => sum + file.diagnostics.length,
+        0
+      );
+      const item = new vscode.TreeItem(
+        element.group.label,
+        vscode.TreeItemCollapsibleState.Expanded
+      );
+      item.description = `${count}`;
+      item.iconPath = new vscode.ThemeIcon(
+        element.group.icon,
+        new vscode.ThemeColor(element.group.color)
+      );
+      return item;
+    }
+
+    if (element.file) {
+      const item = new vscode.TreeItem(
+        element.file.uri,
+        vscode.TreeItemCollapsibleState.Expanded
+      );
+      const resolved = this.scopeManager.resolvePath(element.file.uri.fsPath);
+      const relativeDir = resolved
+        ? path.posix.dirname(resolved.relativePath)
+        : ".";
+      item.description = `${relativeDir === "." ? "" : relativeDir} (${
+        element.file.diagnostics.length
+      })`;
+      return item;
+    }
+
+    const { diagnostic, uri } = element;
+    const code =
+      diagnostic.code && typeof diagnostic.code === "object"
+        ? diagnostic.code.value
+        : diagnostic.code;
+    const source = [diagnostic.source, code !== undefined ? `(${code})` : ""]
+      .filter(Boolean)
+      .join("");
+    const position = `[Ln ${diagnostic.range.start.line + 1}, Col ${
+      diagnostic.range.start.character + 1
+    }]`;
+
+    const item = new vscode.TreeItem(
+      diagnostic.message.split(/\r?\n/)[0],
+      vscode.TreeItemCollapsibleState.None
+    );
+    item.description = [source, position].filter(Boolean).join(" ");
+    item.tooltip = diagnostic.message;
+    item.iconPath = new vscode.ThemeIcon(
+      element.group.icon,
+      new vscode.ThemeColor(element.group.color)
+    );
+    item.command = {
+      command: "vscode.open",
+      title: "Open Problem",
+      arguments: [uri, { selection: diagnostic.range }],
+    };
+    return item;
+  }
+
+  dispose() {
+    this._listeners.forEach((listener) => listener.dispose());
+    this.treeView.dispose();
+  }
+}
+
+module.exports = {
+  ScopeDiagnostics,
+  ScopeProblemsProvider,
+  formatProblemCounts,
+};
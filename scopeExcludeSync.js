@@ -0,0 +1,385 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+const { escapeGlob } = require("./scopeMatcher");
+
+const ORIGINAL_EXCLUDES_KEY = "projectScopes.originalExcludes";
+const MAX_DEPTH = 8;
+const MAX_ENTRIES = 20000;
+
+/**
+ * Mirrors the active scope into files.exclude / search.exclude
+ * The user's own exclude settings are snapshotted in workspace state before the
+ * first change and written back when the scope is cleared. Edits the user makes
+ * by hand in between are carried into the snapshot.
+ */
+class ScopeExcludeSync {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this.context = context;
+    this._queue = Promise.resolve();
+    // Exclude values last written by the sync, by "section|target key"
+    this._written = new Map();
+
+    context.subscriptions.push(
+      this.scopeManager.onScopeChanged(() => this.sync()),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("projectScopes.excludeMode")) {
+          this.sync();
+        } else if (
+          event.affectsConfiguration("files.exclude") ||
+          event.affectsConfiguration("search.exclude")
+        ) {
+          this.captureUserEdits();
+        }
+      })
+    );
+
+    // Also restores a snapshot left behind if the last session ended abruptly
+    this.sync();
+  }
+
+  getMode() {
+    return vscode.workspace
+      .getConfiguration("projectScopes")
+      .get("excludeMode", "off");
+  }
+
+  // Settings sections touched by the given mode
+  getSections(mode) {
+    switch (mode) {
+      case "search":
+        return ["search"];
+      case "all":
+        return ["files", "search"];
+      default:
+        return [];
+    }
+  }
+
+  sync() {
+    this._queue = this._queue
+      .then(() => this._sync())
+      .catch((error) => {
+        console.error("Error syncing exclude settings:", error);
+        vscode.window.showErrorMessage(
+          `Error applying scope to exclude settings: ${error.message}`
+        );
+      });
+    return this._queue;
+  }
+
+  // Single-folder windows keep excludes in workspace settings, multi-root
+  // workspaces per folder since each folder is scoped differently
+  getTargets() {
+    const workspaceFolders = this.scopeManager.getWorkspaceFolders();
+    if (!vscode.workspace.workspaceFile) {
+      return workspaceFolders.slice(0, 1).map((workspaceFolder) => ({
+        key: "",
+        workspaceFolder: workspaceFolder,
+        target: vscode.ConfigurationTarget.Workspace,
+      }));
+    }
+    return workspaceFolders.map((workspaceFolder) => ({
+      key: workspaceFolder.uri.toString(),
+      workspaceFolder: workspaceFolder,
+      target: vscode.ConfigurationTarget.WorkspaceFolder,
+    }));
+  }
+
+  async _sync() {
+    const sections = this.getSections(this.getMode());
+
+    if (!this.scopeManager.getActiveScope() || sections.length === 0) {
+      await this._restore();
+      return;
+    }
+
+    const computed = {};
+    for (const target of this.getTargets()) {
+      const matcher = this.scopeManager.getActiveMatcher(
+        target.workspaceFolder
+      );
+      if (matcher) {
+        computed[target.key] = await this.computeExcludes(
+          target.workspaceFolder,
+          matcher
+        );
+      }
+    }
+
+    console.log(
+      "Applying exclude patterns for scope:",
+      this.scopeManager.getActiveScope()
+    );
+    await this._apply(sections, computed);
+  }
+
+  async computeExcludes(workspaceFolder, matcher) {
+    const excludes = {};
+    for (const pattern of matcher.excludePatterns()) {
+      excludes[pattern] = true;
+    }
+
+    const state = { entries: 0 };
+    await this._collectComplement(
+      workspaceFolder.uri.fsPath,
+      "",
+      matcher,
+      excludes,
+      state,
+      0
+    );
+
+    if (state.entries >= MAX_ENTRIES) {
+      vscode.window.showWarningMessage(
+        "Scope is too broad to be fully mirrored into exclude settings; some out-of-scope files stay visible."
+      );
+    }
+
+    return excludes;
+  }
+
+  // Exclude every entry that is neither in the scope nor on the way to it
+  async _collectComplement(
+    dirPath,
+    relativeDir,
+    matcher,
+    excludes,
+    state,
+    depth
+  ) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      console.warn("Error reading directory:", dirPath, error.message);
+      return;
+    }
+
+    for (const entry of entries) {
+      if (state.entries++ >= MAX_ENTRIES) return;
+
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+
+      if (!entry.isDirectory()) {
+        if (!matcher.matches(relativePath)) {
+          excludes[escapeGlob(relativePath)] = true;
+        }
+        continue;
+      }
+
+      if (matcher.coversDirectory(relativePath)) continue;
+
+      if (!matcher.mayContain(relativePath)) {
+        if (!matcher.matches(relativePath)) {
+          excludes[escapeGlob(relativePath)] = true;
+        }
+        continue;
+      }
+
+      if (depth < MAX_DEPTH) {
+        await this._collectComplement(
+          path.join(dirPath, entry.name),
+          relativePath,
+          matcher,
+          excludes,
+          state,
+          depth + 1
+        );
+      }
+    }
+  }
+
+  _inspect(section, target) {
+    const inspected = vscode.workspace
+      .getConfiguration(section, target.workspaceFolder.uri)
+      .inspect("exclude");
+    return target.target === vscode.ConfigurationTarget.WorkspaceFolder
+      ? inspected.workspaceFolderValue
+      : inspected.workspaceValue;
+  }
+
+  async _apply(sections, computed) {
+    const targets = this.getTargets();
+    const signature = (keys) => [...keys].sort().join("|");
+    let original = this.context.workspaceState.get(ORIGINAL_EXCLUDES_KEY);
+
+    // The mode or the folders changed: hand everything back before taking a new snapshot
+    if (
+      original &&
+      (signature(Object.keys(original)) !== signature(sections) ||
+        sections.some(
+          (section) =>
+            signature(Object.keys(original[section])) !==
+            signature(targets.map((target) => target.key))
+        ))
+    ) {
+      await this._restore();
+      original = undefined;
+    }
+
+    // Snapshot only once, later scope switches are computed from the same originals
+    if (!original) {
+      original = {};
+      for (const section of sections) {
+        original[section] = {};
+        for (const target of targets) {
+          // Wrap the value so an unset setting survives the round trip through JSON
+          original[section][target.key] = {
+            value: this._inspect(section, target),
+          };
+        }
+      }
+      await this.context.workspaceState.update(ORIGINAL_EXCLUDES_KEY, original);
+    }
+
+    for (const section of sections) {
+      for (const target of targets) {
+        const value = {
+          ...(original[section][target.key].value || {}),
+          ...(computed[target.key] || {}),
+        };
+        this._written.set(`${section}|${target.key}`, value);
+        await vscode.workspace
+          .getConfiguration(section, target.workspaceFolder.uri)
+          .update("exclude", value, target.target);
+      }
+    }
+  }
+
+  captureUserEdits() {
+    this._queue = this._queue
+      .then(() => this._captureUserEdits())
+      .catch((error) => {
+        console.error("Error recording exclude setting edits:", error);
+      });
+    return this._queue;
+  }
+
+  // Differences from what the sync wrote are the user's and go into the snapshot,
+  // so restoring keeps them; the sync's own writes compare equal and are skipped
+  async _captureUserEdits() {
+    const original = this.context.workspaceState.get(ORIGINAL_EXCLUDES_KEY);
+    if (!original) return;
+
+    let edited = false;
+    for (const section of Object.keys(original)) {
+      for (const target of this.getTargets()) {
+        const key = `${section}|${target.key}`;
+        const written = this._written.get(key);
+        if (!written || !original[section][target.key]) continue;
+
+        const current = this._inspect(section, target) || {};
+        const merged = mergeUserEdits(
+          original[section][target.key].value,
+          written,
+          current
+        );
+        this._written.set(key, current);
+        if (merged === null) continue;
+
+        original[section] = {
+          ...original[section],
+          [target.key]: { value: merged },
+        };
+        edited = true;
+      }
+    }
+
+    if (edited) {
+      console.log("Recorded exclude settings edited while a scope is active");
+      await this.context.workspaceState.update(ORIGINAL_EXCLUDES_KEY, original);
+    }
+  }
+
+  async _restore() {
+    const original = this.context.workspaceState.get(ORIGINAL_EXCLUDES_KEY);
+    if (!original) return;
+
+    const workspaceFolders = this.scopeManager.getWorkspaceFolders();
+    for (const section of Object.keys(original)) {
+      for (const key of Object.keys(original[section])) {
+        const workspaceFolder = workspaceFolders.find(
+          (folder) => folder.uri.toString() === key
+        );
+        // Folders removed from the workspace took their settings with them
+        if (key && !workspaceFolder) continue;
+
+        await vscode.workspace
+          .getConfiguration(section, workspaceFolder && workspaceFolder.uri)
+          .update(
+            "exclude",
+            original[section][key].value,
+            key
+              ? vscode.ConfigurationTarget.WorkspaceFolder
+              : vscode.ConfigurationTarget.Workspace
+          );
+      }
+    }
+    await this.context.workspaceState.update(ORIGINAL_EXCLUDES_KEY, undefined);
+    this._written.clear();
+    console.log("Restored original exclude settings");
+  }
+
+  restore() {
+    this._queue = this._queue.then(() => this._restore());
+    return this._queue;
+  }
+}
+
+/**
+ * The user's exclude setting with the edits made on top of what the sync wrote:
+ * patterns added or changed by hand are taken over, patterns removed by hand are
+ * dropped. Null when current is still what the sync wrote.
+ */
+function mergeUserEdits(original, written, current) {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const merged = { ...(original || {}) };
+  let edited = false;
+
+  for (const pattern of Object.keys(current)) {
+    if (!(pattern in written) || !same(written[pattern], current[pattern])) {
+      merged[pattern] = current[pattern];
+      edited = true;
+    }
+  }
+  for (const pattern of Object.keys(written)) {
+    if (!(pattern in current)) {
+      delete merged[pattern];
+      edited = true;
+    }
+  }
+
+  if (!edited) return null;
+  return Object.keys(merged).length > 0 || original ? merged : undefined;
+}
+
+// Effective exclude setting as the user configured it, ignoring what the sync added
+function getUserExcludes(context, section, workspaceFolder) {
+  const inspected = vscode.workspace
+    .getConfiguration(section, workspaceFolder && workspaceFolder.uri)
+    .inspect("exclude");
+  const original = context.workspaceState.get(ORIGINAL_EXCLUDES_KEY);
+  const snapshot = original && original[section];
+
+  let workspaceValue = inspected.workspaceValue;
+  let workspaceFolderValue = inspected.workspaceFolderValue;
+  if (snapshot && snapshot[""]) {
+    workspaceValue = snapshot[""].value;
+  }
+  if (snapshot && workspaceFolder && snapshot[workspaceFolder.uri.toString()]) {
+    workspaceFolderValue = snapshot[workspaceFolder.uri.toString()].value;
+  }
+
+  return {
+    ...(inspected.defaultValue || {}),
+    ...(inspected.globalValue || {}),
+    ...(workspaceValue || {}),
+    ...(workspaceFolderValue || {}),
+  };
+}
+
+module.exports = { ScopeExcludeSync, getUserExcludes, mergeUserEdits };
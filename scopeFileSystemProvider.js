@@ -1,6 +1,16 @@
 const vscode = require("vscode");
 const path = require("path");
 const fs = require("fs");
+const { escapeGlob } = require("./scopeMatcher");
+
+// scope:/path/to/file mirrors file:///path/to/file, filtered by the active scope
+const SCOPE_SCHEME = "scope";
+
+function getWatcherDelay() {
+  return vscode.workspace
+    .getConfiguration("projectScopes")
+    .get("watcherDelay", 300);
+}
 
 /**
  * File System Provider for Project Scopes
@@ -11,32 +21,148 @@ class ScopeFileSystemProvider {
     this.scopeManager = scopeManager;
     this._onDidChangeFile = new vscode.EventEmitter();
     this.onDidChangeFile = this._onDidChangeFile.event;
+    this._disposables = [];
+    this._pendingEvents = new Map();
+    this._flushTimer = null;
 
     // Watch for scope changes
-    vscode.workspace.onDidChangeConfiguration((event) => {
-      if (event.affectsConfiguration("projectScopes")) {
-        this._onDidChangeFile.fire([]);
-      }
-    });
+    this._disposables.push(
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("projectScopes")) {
+          this.refreshMountedFolders();
+        }
+      }),
+      this.scopeManager.onScopeChanged(() => this.refreshMountedFolders())
+    );
   }
 
-  watch(uri, options) {
-    // Create a file system watcher for the given URI
-    const watcher = vscode.workspace.createFileSystemWatcher(
-      new vscode.RelativePattern(uri, "**/*"),
-      options.excludeCreates,
-      options.excludeChanges,
-      options.excludeDeletes
+  dispose() {
+    clearTimeout(this._flushTimer);
+    this._disposables.forEach((disposable) => disposable.dispose());
+    this._onDidChangeFile.dispose();
+  }
+
+  // Ask every mounted scope folder to re-read its contents
+  refreshMountedFolders() {
+    const events = this.scopeManager
+      .getScopeWorkspaceFolders()
+      .map((folder) => ({
+        type: vscode.FileChangeType.Changed,
+        uri: folder.uri,
+      }));
+    if (events.length > 0) {
+      this._onDidChangeFile.fire(events);
+    }
+  }
+
+  // Queue a change and deliver the batch once things settle (git checkout, npm install...)
+  fireChange(type, fsPath) {
+    const uri = vscode.Uri.file(fsPath).with({ scheme: SCOPE_SCHEME });
+    this._pendingEvents.set(`${type}:${uri.toString()}`, { type, uri });
+
+    clearTimeout(this._flushTimer);
+    this._flushTimer = setTimeout(
+      () => this._flushChanges(),
+      getWatcherDelay()
     );
+  }
+
+  _flushChanges() {
+    const events = [...this._pendingEvents.values()];
+    this._pendingEvents.clear();
+    if (events.length > 0) {
+      this._onDidChangeFile.fire(events);
+    }
+  }
+
+  watch(uri, options) {
+    const forward = (type) => (fileUri) => {
+      // Deleted entries can no longer be stat'ed, so accept them as either kind
+      const visible =
+        this.shouldShowEntry(fileUri.fsPath, false) ||
+        this.shouldShowEntry(fileUri.fsPath, true);
+      if (visible) {
+        this.fireChange(type, fileUri.fsPath);
+      }
+    };
+
+    // Watch the real folders behind the scope: URI, never the provider itself,
+    // and follow the scope's folders as they change
+    let disposables = [];
+    const createWatchers = () => {
+      disposables.forEach((disposable) => disposable.dispose());
+      disposables = [];
+      for (const pattern of this.getWatchPatterns(
+        uri.fsPath,
+        options.recursive
+      )) {
+        const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+        disposables.push(
+          watcher.onDidCreate(forward(vscode.FileChangeType.Created)),
+          watcher.onDidChange(forward(vscode.FileChangeType.Changed)),
+          watcher.onDidDelete(forward(vscode.FileChangeType.Deleted)),
+          watcher
+        );
+      }
+    };
+    createWatchers();
+    const scopeListener = this.scopeManager.onScopeChanged(createWatchers);
 
     return new vscode.Disposable(() => {
-      watcher.dispose();
+      scopeListener.dispose();
+      disposables.forEach((disposable) => disposable.dispose());
     });
   }
 
+  // Only the scope's folders below the watched folder, or the parts of the
+  // watched folder inside one of them
+  getWatchPatterns(fsPath, recursive) {
+    const folderUri = vscode.Uri.file(fsPath);
+    if (!recursive) {
+      return [new vscode.RelativePattern(folderUri, "*")];
+    }
+
+    const everything = [new vscode.RelativePattern(folderUri, "**/*")];
+    if (!this.scopeManager.getActiveScope()) return everything;
+
+    const resolved = this.scopeManager.resolvePath(fsPath);
+    if (!resolved) return [];
+    const matcher = this.scopeManager.getActiveMatcher(
+      resolved.workspaceFolder
+    );
+    if (!matcher) return everything;
+
+    const watched = resolved.relativePath;
+    const patterns = [];
+    for (const root of matcher.roots()) {
+      if (!root || watched === root || watched.startsWith(`${root}/`)) {
+        return everything;
+      }
+      if (!watched || root.startsWith(`${watched}/`)) {
+        patterns.push(
+          new vscode.RelativePattern(
+            resolved.workspaceFolder,
+            `${escapeGlob(root)}/**`
+          )
+        );
+      }
+    }
+    return patterns;
+  }
+
   stat(uri) {
-    // Get file stats from the real file system
-    return this._stat(uri.fsPath);
+    // Entries outside the active scope do not exist in the scoped tree
+    return this._statInScope(uri.fsPath);
+  }
+
+  async _statInScope(fsPath) {
+    const stat = await this._stat(fsPath);
+    if (
+      !this.shouldShowEntry(fsPath, stat.type === vscode.FileType.Directory)
+    ) {
+      throw vscode.FileSystemError.FileNotFound(fsPath);
+    }
+    return stat;
   }
 
   async _stat(fsPath) {
@@ -66,16 +192,13 @@ class ScopeFileSystemProvider {
       });
       const result = [];
 
-      const activeScope = this.scopeManager.getActiveScope();
-      const scopes = this.scopeManager.getScopes();
-
       for (const entry of entries) {
         const entryPath = path.join(fsPath, entry.name);
-        const relativePath = this.getRelativePath(entryPath);
+        const isDirectory = entry.isDirectory();
 
         // Check if this entry should be visible based on the active scope
-        if (this.shouldShowEntry(relativePath, activeScope, scopes)) {
-          const type = entry.isDirectory()
+        if (this.shouldShowEntry(entryPath, isDirectory)) {
+          const type = isDirectory
             ? vscode.FileType.Directory
             : vscode.FileType.File;
           result.push([entry.name, type]);
@@ -88,52 +211,30 @@ class ScopeFileSystemProvider {
     }
   }
 
-  shouldShowEntry(relativePath, activeScope, scopes) {
+  shouldShowEntry(fsPath, isDirectory = true) {
     // If no active scope, show everything
-    if (!activeScope || !scopes[activeScope]) {
+    if (!this.scopeManager.getActiveScope()) {
       return true;
     }
 
-    const scopeFolders = scopes[activeScope].folders;
-
-    // Check if this path is within any of the scope folders
-    for (const folder of scopeFolders) {
-      // Normalize paths for comparison
-      const normalizedFolder = folder.replace(/\\/g, "/");
-      const normalizedPath = relativePath.replace(/\\/g, "/");
-
-      // Show if the path is the folder itself or a child of the folder
-      if (
-        normalizedPath === normalizedFolder ||
-        normalizedPath.startsWith(normalizedFolder + "/")
-      ) {
-        return true;
-      }
-
-      // Show if the folder is a child of this path (parent directory)
-      if (normalizedFolder.startsWith(normalizedPath + "/")) {
-        return true;
-      }
+    // Scope entries are relative to the workspace folder ("api:src/routes")
+    const resolved = this.scopeManager.resolvePath(fsPath);
+    if (!resolved) {
+      return false;
     }
-
-    return false;
-  }
-
-  getRelativePath(absolutePath) {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders || workspaceFolders.length === 0) {
-      return absolutePath;
+    if (!resolved.relativePath) {
+      return true;
     }
 
-    // Find the workspace folder that contains this path
-    for (const workspaceFolder of workspaceFolders) {
-      const workspacePath = workspaceFolder.uri.fsPath;
-      if (absolutePath.startsWith(workspacePath)) {
-        return path.relative(workspacePath, absolutePath);
-      }
+    const matcher = this.scopeManager.getActiveMatcher(
+      resolved.workspaceFolder
+    );
+    if (!matcher) {
+      return true;
     }
 
-    return absolutePath;
+    // Same pattern engine as the scoped tree: folders, include and exclude globs
+    return matcher.shouldShow(resolved.relativePath, isDirectory);
   }
 
   readFile(uri) {
@@ -169,6 +270,11 @@ class ScopeFileSystemProvider {
     } catch (error) {
       throw vscode.FileSystemError.NoPermissions(fsPath);
     }
+
+    this.fireChange(
+      exists ? vscode.FileChangeType.Changed : vscode.FileChangeType.Created,
+      fsPath
+    );
   }
 
   async _exists(fsPath) {
@@ -196,6 +302,9 @@ class ScopeFileSystemProvider {
     } catch (error) {
       throw vscode.FileSystemError.NoPermissions(oldPath);
     }
+
+    this.fireChange(vscode.FileChangeType.Deleted, oldPath);
+    this.fireChange(vscode.FileChangeType.Created, newPath);
   }
 
   delete(uri, options) {
@@ -216,6 +325,8 @@ class ScopeFileSystemProvider {
         throw vscode.FileSystemError.NoPermissions(fsPath);
       }
     }
+
+    this.fireChange(vscode.FileChangeType.Deleted, fsPath);
   }
 
   createDirectory(uri) {
@@ -228,7 +339,9 @@ class ScopeFileSystemProvider {
     } catch (error) {
       throw vscode.FileSystemError.NoPermissions(fsPath);
     }
+
+    this.fireChange(vscode.FileChangeType.Created, fsPath);
   }
 }
 
-module.exports = { ScopeFileSystemProvider };
+module.exports = { ScopeFileSystemProvider, SCOPE_SCHEME, getWatcherDelay };
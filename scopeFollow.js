@@ -0,0 +1,233 @@
+const vscode = require("vscode");
+const path = require("path");
+
+const SCOPE_LOCKED_KEY = "projectScopes.scopeLocked";
+
+/**
+ * Follows the focused editor: activates (or offers) the scope a file belongs
+ * to, and reveals the file in the Scoped Files view. Locking the scope from
+ * the status bar keeps the current scope no matter which file is focused.
+ */
+class ScopeFollower {
+  constructor(scopeManager, context, fileExplorerView, fileExplorerProvider) {
+    this.scopeManager = scopeManager;
+    this.context = context;
+    this.fileExplorerView = fileExplorerView;
+    this.fileExplorerProvider = fileExplorerProvider;
+    this._timer = null;
+    this._prompting = false;
+    // Suggestions turned down for the current active scope
+    this._dismissed = new Set();
+
+    this.lockItem = vscode.window.createStatusBarItem(
+      vscode.StatusBarAlignment.Left,
+      99
+    );
+    this.lockItem.command = "project-scopes.toggleScopeLock";
+    this.updateLockItem();
+
+    context.subscriptions.push(
+      this.lockItem,
+      vscode.window.onDidChangeActiveTextEditor((editor) =>
+        this.queueFollow(editor)
+      ),
+      scopeManager.onDidChangeActiveScope(() => this._dismissed.clear()),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("projectScopes.followEditor")) {
+          this.updateLockItem();
+        }
+      }),
+      this
+    );
+  }
+
+  getConfig() {
+    const config = vscode.workspace.getConfiguration("projectScopes");
+    return {
+      mode: config.get("followEditor", "off"),
+      delay: Math.max(0, config.get("followEditorDelay", 500)),
+      reveal: config.get("revealActiveFile", true),
+    };
+  }
+
+  isLocked() {
+    return this.context.workspaceState.get(SCOPE_LOCKED_KEY, false);
+  }
+
+  async toggleLock() {
+    const locked = !this.isLocked();
+    await this.context.workspaceState.update(SCOPE_LOCKED_KEY, locked);
+    this.updateLockItem();
+    vscode.window.setStatusBarMessage(
+      locked
+        ? "Scope locked - switching editors keeps the current scope"
+        : "Scope unlocked - the scope follows the editor again",
+      3000
+    );
+  }
+
+  // The lock only means something while the scope follows the editor
+  updateLockItem() {
+    const locked = this.isLocked();
+    vscode.commands.executeCommand(
+      "setContext",
+      "projectScopes.scopeLocked",
+      locked
+    );
+    if (this.getConfig().mode === "off") {
+      this.lockItem.hide();
+      return;
+    }
+    this.lockItem.text = locked ? "$(lock)" : "$(unlock)";
+    this.lockItem.tooltip = locked
+      ? "Scope locked: the scope stays put when you switch editors. Click to follow the editor again."
+      : "Following the editor. Click to keep the current scope.";
+    this.lockItem.show();
+  }
+
+  // Jumping through several files only acts on the one that stays focused
+  queueFollow(editor) {
+    clearTimeout(this._timer);
+    if (!editor || editor.document.uri.scheme !== "file") return;
+
+    const uri = editor.document.uri;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.follow(uri).catch((error) => {
+        console.error("Error following editor:", error);
+      });
+    }, this.getConfig().delay);
+  }
+
+  async follow(uri) {
+    const { mode, reveal } = this.getConfig();
+
+    if (mode !== "off" && !this.isLocked()) {
+      const scopeName = this.suggestScope(uri);
+      if (scopeName && mode === "auto") {
+        console.log("Following editor to scope:", scopeName);
+        await this.scopeManager.setActiveScope(scopeName, {
+          quiet: true,
+          followedUri: uri,
+        });
+      } else if (scopeName && mode === "prompt") {
+        await this.prompt(scopeName, uri);
+      }
+    }
+
+    if (reveal) await this.reveal(uri);
+  }
+
+  /**
+   * Scope to switch to for a file outside the active scope: the only static
+   * scope holding it, or the one whose folders target it most specifically.
+   * Computed scopes (git, imports) are left out, they hold files only briefly.
+   */
+  suggestScope(uri) {
+    const activeScope = this.scopeManager.getActiveScope();
+    if (
+      this.scopeManager.hasScope(activeScope) &&
+      this.scopeManager.isInScope(uri, activeScope)
+    ) {
+      return null;
+    }
+
+    const resolved = this.scopeManager.resolvePath(uri.fsPath);
+    if (!resolved || !resolved.relativePath) return null;
+
+    const candidates = Object.keys(this.scopeManager.getScopes())
+      .filter((scopeName) => !this.scopeManager.isComputedScope(scopeName))
+      .map((scopeName) => {
+        const matcher = this.scopeManager.getScopeMatcher(
+          scopeName,
+          resolved.workspaceFolder
+        );
+        return {
+          scopeName: scopeName,
+          specificity: matcher
+            ? matcher.specificity(resolved.relativePath)
+            : -1,
+        };
+      })
+      .filter((candidate) => candidate.specificity >= 0)
+      .sort((a, b) => b.specificity - a.specificity);
+
+    if (candidates.length === 0) return null;
+    // Ties leave the choice to the user
+    if (
+      candidates.length > 1 &&
+      candidates[0].specificity === candidates[1].specificity
+    ) {
+      return null;
+    }
+    return candidates[0].scopeName;
+  }
+
+  async prompt(scopeName, uri) {
+    if (this._prompting || this._dismissed.has(scopeName)) return;
+
+    this._prompting = true;
+    try {
+      const choice = await vscode.window.showInformationMessage(
+        `${path.basename(
+          uri.fsPath
+        )} belongs to scope "${scopeName}". Switch to it?`,
+        "Switch",
+        "Always Switch",
+        "Lock Current Scope"
+      );
+      if (choice === "Switch") {
+        await this.scopeManager.setActiveScope(scopeName, {
+          quiet: true,
+          followedUri: uri,
+        });
+      } else if (choice === "Always Switch") {
+        await this.setMode("auto");
+        await this.scopeManager.setActiveScope(scopeName, {
+          quiet: true,
+          followedUri: uri,
+        });
+      } else if (choice === "Lock Current Scope") {
+        await this.toggleLock();
+      } else {
+        this._dismissed.add(scopeName);
+      }
+    } finally {
+      this._prompting = false;
+    }
+  }
+
+  // Written where the setting is currently set, so a workspace value is not
+  // left overriding the change
+  async setMode(mode) {
+    const config = vscode.workspace.getConfiguration("projectScopes");
+    const inspected = config.inspect("followEditor") || {};
+    const target =
+      inspected.workspaceValue !== undefined
+        ? vscode.ConfigurationTarget.Workspace
+        : vscode.ConfigurationTarget.Global;
+    await config.update("followEditor", mode, target);
+  }
+
+  // Select the file in Scoped Files without taking focus from the editor
+  async reveal(uri) {
+    if (!this.fileExplorerView.visible) return;
+
+    const element = this.fileExplorerProvider.findElement(uri);
+    if (!element) return;
+    try {
+      await this.fileExplorerView.reveal(element, {
+        select: true,
+        focus: false,
+      });
+    } catch (error) {
+      console.warn("Could not reveal file in Scoped Files:", error.message);
+    }
+  }
+
+  dispose() {
+    clearTimeout(this._timer);
+  }
+}
+
+module.exports = { ScopeFollower };
@@ -0,0 +1,805 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+const {
+  splitPath,
+  expandBraces,
+  parseScopeEntry,
+  formatScopeEntry,
+} = require("./scopeMatcher");
+
+const JETBRAINS_SCOPES_DIR = path.join(".idea", "scopes");
+const JETBRAINS_WORKSPACE_FILE = path.join(".idea", "workspace.xml");
+// Keys of a scope definition that hold lists of strings
+const LIST_KEYS = [
+  "folders",
+  "include",
+  "exclude",
+  "extends",
+  "intersect",
+  "minus",
+  "seeds",
+];
+
+function unescapeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, e) => {
+    if (e[0] === "#") {
+      return String.fromCodePoint(
+        e[1].toLowerCase() === "x"
+          ? parseInt(e.slice(2), 16)
+          : parseInt(e.slice(1), 10)
+      );
+    }
+    return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[
+      e.toLowerCase()
+    ];
+  });
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// <scope name="..." pattern="..."/> elements of a JetBrains project file
+function readJetBrainsScopes(xml) {
+  const scopes = [];
+  for (const element of xml.matchAll(/<scope\b([^>]*)>/g)) {
+    const attributes = {};
+    for (const [, key, value] of element[1].matchAll(
+      /(\w+)\s*=\s*"([^"]*)"/g
+    )) {
+      attributes[key] = unescapeXml(value);
+    }
+    // Inspection settings refer to scopes by name without a pattern
+    if (attributes.name && attributes.pattern !== undefined) {
+      scopes.push({ name: attributes.name, pattern: attributes.pattern });
+    }
+  }
+  return scopes;
+}
+
+function writeJetBrainsScope(name, pattern) {
+  return [
+    '<component name="DependencyValidationManager">',
+    `  <scope name="${escapeXml(name)}" pattern="${escapeXml(pattern)}" />`,
+    "</component>",
+    "",
+  ].join("\n");
+}
+
+// JetBrains names scope files after the scope, with other characters as "_"
+function jetBrainsFileName(name) {
+  return `${name.replace(/[^\w-]/g, "_")}.xml`;
+}
+
+/**
+ * Parse the JetBrains scope language into a tree of
+ * { type: "or" | "and", parts }, { type: "not", part } and
+ * { type: "term", kind, module, path, text } nodes.
+ * "!" binds tighter than "&&", which binds tighter than "||".
+ */
+function parseJetBrainsPattern(pattern) {
+  const tokens = [];
+  let i = 0;
+  while (i < pattern.length) {
+    const operator = ["&&", "||", "!", "(", ")"].find((candidate) =>
+      pattern.startsWith(candidate, i)
+    );
+    if (operator) {
+      tokens.push(operator);
+      i += operator.length;
+      continue;
+    }
+    let end = i;
+    while (
+      end < pattern.length &&
+      !/^(&&|\|\||[!()])/.test(pattern.slice(end))
+    ) {
+      end++;
+    }
+    const text = pattern.slice(i, end).trim();
+    if (text) tokens.push({ text: text });
+    i = end;
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const fail = (message) => {
+    throw new Error(`${message} at token ${position + 1} of "${pattern}"`);
+  };
+
+  const parseOr = () => {
+    const parts = [parseAnd()];
+    while (peek() === "||") {
+      position++;
+      parts.push(parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : { type: "or", parts: parts };
+  };
+  const parseAnd = () => {
+    const parts = [parseUnary()];
+    while (peek() === "&&") {
+      position++;
+      parts.push(parseUnary());
+    }
+    return parts.length === 1 ? parts[0] : { type: "and", parts: parts };
+  };
+  const parseUnary = () => {
+    const token = peek();
+    position++;
+    if (token === "!") return { type: "not", part: parseUnary() };
+    if (token === "(") {
+      const inner = parseOr();
+      if (peek() !== ")") fail('Missing ")"');
+      position++;
+      return inner;
+    }
+    if (!token || typeof token === "string") fail("Expected a pattern");
+
+    const match = /^([A-Za-z]+)(?:\[([^\]]*)\])?:(.*)$/.exec(token.text);
+    return match
+      ? {
+          type: "term",
+          kind: match[1],
+          module: match[2] || null,
+          path: match[3],
+          text: token.text,
+        }
+      : {
+          type: "term",
+          kind: null,
+          module: null,
+          path: null,
+          text: token.text,
+        };
+  };
+
+  if (tokens.length === 0) fail("Empty pattern");
+  const tree = parseOr();
+  if (position < tokens.length) fail("Unexpected token");
+  return tree;
+}
+
+// "src/main//*.java" → "src/main/**/*.java"; "//" stands for any number of folders.
+// A path without "/" matches by file name anywhere: "*Test.java" → "**/*Test.java"
+function jetBrainsPathToGlob(jetBrainsPath) {
+  const glob = jetBrainsPath
+    .replace(/[[\]{}]/g, (char) => `[${char}]`)
+    .replace(/^\*\/\//, "**/")
+    .replace(/\/\//g, "/**/")
+    .replace(/^\/+/, "")
+    .replace(/\/\*\*\/\*$/, "/**");
+  return jetBrainsPath.includes("/") ? glob : `**/${glob}`;
+}
+
+// Inverse of jetBrainsPathToGlob, or null for globs using character classes
+function globToJetBrainsPath(glob) {
+  if (/[[\]{}]/.test(glob)) return null;
+  const segments = splitPath(glob);
+  if (segments.length === 1 && segments[0] === "**") return "*//*";
+  // File name patterns match anywhere without a folder part
+  if (segments.length === 2 && segments[0] === "**" && segments[1] !== "**") {
+    return segments[1];
+  }
+  return segments
+    .map((segment, index) => {
+      if (segment !== "**") return segment;
+      if (index === 0) return "*/";
+      return index === segments.length - 1 ? "/*" : "";
+    })
+    .join("/");
+}
+
+/**
+ * Glob matching what both globs match, for a folder and a file name pattern:
+ * "src/**" and "**\/*.java" give "src/**\/*.java". Null when that cannot be written.
+ */
+function intersectGlobs(a, b, workspaceFolderNames) {
+  const left = parseScopeEntry(a, workspaceFolderNames);
+  const right = parseScopeEntry(b, workspaceFolderNames);
+  if (left.root && right.root && left.root !== right.root) return null;
+
+  const isFolder = (glob) => /(^|\/)\*\*$/.test(glob);
+  const isName = (glob) => /^\*\*\/[^/]+$/.test(glob) && glob !== "**/**";
+  let combined = null;
+  if (isFolder(left.path) && isName(right.path)) {
+    combined = `${left.path}${right.path.slice(2)}`;
+  } else if (isName(left.path) && isFolder(right.path)) {
+    combined = `${right.path}${left.path.slice(2)}`;
+  }
+  return combined && formatScopeEntry(left.root || right.root, combined);
+}
+
+/**
+ * Translate a JetBrains scope pattern into { folders, include, exclude }.
+ * Anything without an equivalent is left out and described in `problems`;
+ * `definition` is null when nothing could be translated.
+ */
+function fromJetBrainsPattern(pattern, workspaceFolderNames) {
+  const problems = [];
+  let tree;
+  try {
+    tree = parseJetBrainsPattern(pattern);
+  } catch (error) {
+    return { definition: null, problems: [error.message] };
+  }
+
+  // Every node becomes { include, exclude }: files matching an include but no exclude
+  const translate = (node) => {
+    if (node.type === "term") {
+      if (node.kind !== "file") {
+        problems.push(
+          node.kind
+            ? `"${node.text}" uses ${node.kind}: patterns, which have no equivalent`
+            : `"${node.text}" is not a file pattern`
+        );
+        return null;
+      }
+      let root = null;
+      if (node.module && workspaceFolderNames.length > 1) {
+        if (workspaceFolderNames.includes(node.module)) {
+          root = node.module;
+        } else {
+          problems.push(
+            `"${node.text}": no workspace folder is named "${node.module}", so it applies to every folder`
+          );
+        }
+      }
+      return {
+        include: [formatScopeEntry(root, jetBrainsPathToGlob(node.path))],
+        exclude: [],
+      };
+    }
+
+    if (node.type === "not") {
+      const inner = translate(node.part);
+      if (!inner) return null;
+      if (inner.exclude.length > 0) {
+        problems.push("Exclusions inside a negation were left out");
+      }
+      return { include: ["**"], exclude: inner.include };
+    }
+
+    const parts = node.parts.map(translate).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    if (node.type === "or") {
+      const excludes = parts.map((part) => part.exclude.join("\n"));
+      if (excludes.some((exclude) => exclude !== excludes[0])) {
+        problems.push(
+          "Exclusions that apply to only one side of || now apply to the whole scope"
+        );
+      }
+      return {
+        include: parts.flatMap((part) => part.include),
+        exclude: parts.flatMap((part) => part.exclude),
+      };
+    }
+
+    // "&&": negations only exclude; a folder and a file name pattern combine
+    // into one glob, other intersections of file patterns cannot be expressed
+    const including = parts.filter(
+      (part) => !(part.include.length === 1 && part.include[0] === "**")
+    );
+    let include = including.length > 0 ? including[0].include : ["**"];
+    for (const part of including.slice(1)) {
+      const combined = include.flatMap((a) =>
+        part.include.map((b) => intersectGlobs(a, b, workspaceFolderNames))
+      );
+      if (combined.every(Boolean)) {
+        include = combined;
+      } else {
+        problems.push(
+          `Intersections of file patterns cannot be expressed; kept "${include.join(
+            '", "'
+          )}" only`
+        );
+      }
+    }
+    return {
+      include: include,
+      exclude: parts.flatMap((part) => part.exclude),
+    };
+  };
+
+  const result = translate(tree);
+  if (!result) return { definition: null, problems: problems };
+
+  // "dir/**" without wildcards is a plain folder
+  const folders = [];
+  const include = [];
+  for (const entry of new Set(result.include)) {
+    const { root, path: entryPath } = parseScopeEntry(
+      entry,
+      workspaceFolderNames
+    );
+    const folder = /^([^*?[\]{}]+)\/\*\*$/.exec(entryPath);
+    if (folder) {
+      folders.push(formatScopeEntry(root, folder[1]));
+    } else {
+      include.push(entry);
+    }
+  }
+  return {
+    definition: {
+      folders: folders,
+      include: include,
+      exclude: [...new Set(result.exclude)],
+    },
+    problems: problems,
+  };
+}
+
+/**
+ * JetBrains pattern for a scope, inlining the scopes it is composed of.
+ * rootNames are the workspace folder names entries may be prefixed with.
+ * Returns null when nothing of the scope could be translated.
+ */
+function toJetBrainsPattern(
+  scopeName,
+  scopes,
+  problems,
+  rootNames = [],
+  seen = new Set()
+) {
+  const scope = scopes[scopeName];
+  if (!scope) {
+    problems.push(`"${scopeName}" is not a scope that can be exported`);
+    return null;
+  }
+  if (seen.has(scopeName)) {
+    problems.push(`"${scopeName}" refers to itself`);
+    return null;
+  }
+  if (scope.type) {
+    problems.push(
+      `"${scopeName}" is computed from ${scope.type} and has no pattern`
+    );
+    return null;
+  }
+  const inner = new Set(seen).add(scopeName);
+
+  const fileTerm = (entry, suffix) => {
+    const { root, path: entryPath } = parseScopeEntry(entry, rootNames);
+    return `file${root ? `[${root}]` : ""}:${entryPath}${suffix}`;
+  };
+  const globTerms = (entries, kind) =>
+    (entries || []).flatMap((entry) => {
+      const { root, path: entryPath } = parseScopeEntry(entry, rootNames);
+      return expandBraces(entryPath).flatMap((glob) => {
+        const jetBrainsPath = globToJetBrainsPath(glob);
+        if (jetBrainsPath === null) {
+          problems.push(
+            `${kind} pattern "${entry}" of "${scopeName}" uses character classes`
+          );
+          return [];
+        }
+        return [fileTerm(formatScopeEntry(root, jetBrainsPath), "")];
+      });
+    });
+  const group = (pattern) =>
+    /&&|\|\|/.test(pattern) ? `(${pattern})` : pattern;
+  const referenced = (names) =>
+    (names || [])
+      .map((name) => {
+        const pattern = toJetBrainsPattern(
+          name,
+          scopes,
+          problems,
+          rootNames,
+          inner
+        );
+        if (!pattern) {
+          problems.push(`"${scopeName}" uses "${name}", which was left out`);
+        }
+        return pattern;
+      })
+      .filter(Boolean);
+
+  const including = [
+    ...(scope.folders || []).map((folder) => fileTerm(folder, "//*")),
+    ...globTerms(scope.include, "Include"),
+  ];
+  const excluding = globTerms(scope.exclude, "Exclude");
+
+  const own =
+    including.length > 0
+      ? [
+          including.length > 1 ? `(${including.join("||")})` : including[0],
+          ...excluding.map((term) => `!${term}`),
+        ].join("&&")
+      : null;
+  const united = [own, ...referenced(scope.extends)].filter(Boolean);
+  if (united.length === 0) return null;
+
+  return [
+    united.length > 1 ? `(${united.join("||")})` : united[0],
+    ...referenced(scope.intersect).map(group),
+    ...referenced(scope.minus).map((pattern) => `!${group(pattern)}`),
+  ].join("&&");
+}
+
+// Reason a pasted definition cannot be used, or null when it looks like a scope
+function validateDefinition(definition) {
+  if (
+    !definition ||
+    typeof definition !== "object" ||
+    Array.isArray(definition)
+  ) {
+    return "is not an object";
+  }
+  for (const key of LIST_KEYS) {
+    const value = definition[key];
+    if (
+      value !== undefined &&
+      !(Array.isArray(value) && value.every((item) => typeof item === "string"))
+    ) {
+      return `has a "${key}" that is not a list of strings`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Moves scopes in and out of the workspace: JetBrains scope files in
+ * .idea/scopes, and plain JSON for pasting into chat or scopes.json.
+ */
+class ScopeInterop {
+  constructor(scopeManager) {
+    this.scopeManager = scopeManager;
+  }
+
+  // Scopes found in .idea of every workspace folder: [{ name, pattern, file }]
+  async findJetBrainsScopes() {
+    const found = [];
+    for (const workspaceFolder of this.scopeManager.getWorkspaceFolders()) {
+      const root = workspaceFolder.uri.fsPath;
+      const files = [path.join(root, JETBRAINS_WORKSPACE_FILE)];
+      try {
+        const scopesDir = path.join(root, JETBRAINS_SCOPES_DIR);
+        for (const fileName of await fs.promises.readdir(scopesDir)) {
+          if (fileName.endsWith(".xml")) {
+            files.push(path.join(scopesDir, fileName));
+          }
+        }
+      } catch {
+        // No shared JetBrains scopes in this folder
+      }
+
+      for (const file of files) {
+        let xml;
+        try {
+          xml = await fs.promises.readFile(file, "utf8");
+        } catch {
+          continue;
+        }
+        for (const scope of readJetBrainsScopes(xml)) {
+          found.push({
+            ...scope,
+            file: path.relative(root, file).replace(/\\/g, "/"),
+          });
+        }
+      }
+    }
+    return found;
+  }
+
+  async importJetBrains() {
+    const jetBrainsScopes = await this.findJetBrainsScopes();
+    if (jetBrainsScopes.length === 0) {
+      vscode.window.showWarningMessage(
+        "No JetBrains scopes found in .idea/scopes or .idea/workspace.xml"
+      );
+      return;
+    }
+
+    const folderNames = this.scopeManager
+      .getWorkspaceFolders()
+      .map((folder) => folder.name);
+    const candidates = jetBrainsScopes.map(({ name, pattern, file }) => {
+      const { definition, problems } = fromJetBrainsPattern(
+        pattern,
+        folderNames
+      );
+      return {
+        name: name,
+        definition: definition && {
+          ...definition,
+          description: `Imported from ${file}`,
+        },
+        source: pattern,
+        problems: problems,
+      };
+    });
+
+    const imported = await this.pickAndImport(candidates, "JetBrains");
+    if (imported) {
+      await this.reportProblems("JetBrains Scope Import", imported);
+    }
+  }
+
+  async exportJetBrains() {
+    const primaryFolder = this.scopeManager.getWorkspaceFolders()[0];
+    if (!primaryFolder) {
+      vscode.window.showErrorMessage("No workspace folders found");
+      return;
+    }
+    const scopeNames = await this.pickScopes("Select the scopes to export");
+    if (!scopeNames) return;
+
+    const scopes = this.scopeManager.getScopes();
+    const exported = scopeNames.map((scopeName) => {
+      const problems = [];
+      const pattern = toJetBrainsPattern(
+        scopeName,
+        scopes,
+        problems,
+        this.scopeManager.getRootNames()
+      );
+      return { name: scopeName, pattern: pattern, problems: problems };
+    });
+    const writable = exported.filter((scope) => scope.pattern);
+
+    const scopesDir = path.join(primaryFolder.uri.fsPath, JETBRAINS_SCOPES_DIR);
+    const existing = writable.filter((scope) =>
+      fs.existsSync(path.join(scopesDir, jetBrainsFileName(scope.name)))
+    );
+    if (existing.length > 0) {
+      const overwrite = await vscode.window.showWarningMessage(
+        `${existing.length} of these scopes already exist in .idea/scopes. Overwrite them?`,
+        { modal: true },
+        "Overwrite"
+      );
+      if (overwrite !== "Overwrite") return;
+    }
+
+    await fs.promises.mkdir(scopesDir, { recursive: true });
+    for (const scope of writable) {
+      await fs.promises.writeFile(
+        path.join(scopesDir, jetBrainsFileName(scope.name)),
+        writeJetBrainsScope(scope.name, scope.pattern)
+      );
+    }
+    console.log(
+      "Exported JetBrains scopes:",
+      writable.map((scope) => scope.name)
+    );
+
+    await this.reportProblems(
+      "JetBrains Scope Export",
+      exported,
+      `Exported ${writable.length} of ${exported.length} scope${
+        exported.length === 1 ? "" : "s"
+      } to .idea/scopes`
+    );
+  }
+
+  async exportJson() {
+    const scopeNames = await this.pickScopes(
+      "Select the scopes to copy as JSON"
+    );
+    if (!scopeNames) return;
+
+    const scopes = this.scopeManager.getScopes();
+    const exported = {};
+    for (const scopeName of scopeNames) {
+      // The creation date means nothing on someone else's machine
+      const definition = { ...scopes[scopeName] };
+      delete definition.created;
+      exported[scopeName] = definition;
+    }
+    await vscode.env.clipboard.writeText(
+      JSON.stringify({ scopes: exported }, null, 2)
+    );
+
+    // Composite scopes are only useful together with the scopes they use
+    const missing = [
+      ...new Set(
+        scopeNames.flatMap((scopeName) =>
+          this.scopeManager
+            .getScopeReferences(scopeName)
+            .filter((name) => !exported[name])
+        )
+      ),
+    ];
+    vscode.window.showInformationMessage(
+      `Copied ${scopeNames.length} scope${
+        scopeNames.length === 1 ? "" : "s"
+      } to the clipboard${
+        missing.length > 0
+          ? `. They refer to ${missing
+              .map((name) => `"${name}"`)
+              .join(", ")}, which ${
+              missing.length === 1 ? "was" : "were"
+            } not copied`
+          : ""
+      }`
+    );
+  }
+
+  // Scopes pasted from the clipboard or read from a .json file
+  async importJson() {
+    let text = await vscode.env.clipboard.readText();
+    let parsed = this.parseScopesJson(text);
+
+    if (!parsed) {
+      const choice = await vscode.window.showInformationMessage(
+        "The clipboard holds no scopes. Import them from a file instead?",
+        "Choose File..."
+      );
+      if (choice !== "Choose File...") return;
+      const uris = await vscode.window.showOpenDialog({
+        canSelectMany: false,
+        filters: { JSON: ["json"] },
+        openLabel: "Import Scopes",
+      });
+      if (!uris || uris.length === 0) return;
+      text = await fs.promises.readFile(uris[0].fsPath, "utf8");
+      parsed = this.parseScopesJson(text);
+      if (!parsed) {
+        vscode.window.showErrorMessage(
+          `${path.basename(uris[0].fsPath)} holds no scope definitions`
+        );
+        return;
+      }
+    }
+
+    const candidates = Object.entries(parsed).map(([name, definition]) => {
+      const error = validateDefinition(definition);
+      return {
+        name: name,
+        definition: error ? null : definition,
+        problems: error ? [`The definition ${error}`] : [],
+      };
+    });
+    const imported = await this.pickAndImport(candidates, "JSON");
+    if (imported) await this.reportProblems("JSON Scope Import", imported);
+  }
+
+  // { scopeName: definition } from { scopes: {...} } or a bare map, else null
+  parseScopesJson(text) {
+    let content;
+    try {
+      content = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    if (content && typeof content.scopes === "object") content = content.scopes;
+    if (!content || typeof content !== "object" || Array.isArray(content)) {
+      return null;
+    }
+    return Object.keys(content).length > 0 ? content : null;
+  }
+
+  // Static scopes in tree order, all picked; null when cancelled
+  async pickScopes(placeHolder) {
+    const scopes = this.scopeManager.getScopes();
+    const scopeNames = this.scopeManager
+      .getOrderedScopeNames()
+      .filter((scopeName) => scopes[scopeName]);
+    if (scopeNames.length === 0) {
+      vscode.window.showWarningMessage("There are no scopes to export");
+      return null;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+      scopeNames.map((scopeName) => ({
+        label: scopeName,
+        description: scopes[scopeName].description,
+        picked: true,
+      })),
+      { placeHolder: placeHolder, canPickMany: true }
+    );
+    if (!selected || selected.length === 0) return null;
+    return selected.map((item) => item.label);
+  }
+
+  /**
+   * Let the user choose which candidates ({ name, definition, problems }) to
+   * add, then store them. Returns the imported candidates plus the ones that
+   * could not be translated, or null when cancelled.
+   */
+  async pickAndImport(candidates, sourceLabel) {
+    const scopes = this.scopeManager.getScopes();
+    const usable = candidates.filter((candidate) => candidate.definition);
+    const unusable = candidates.filter((candidate) => !candidate.definition);
+    if (usable.length === 0) {
+      await this.reportProblems(
+        `${sourceLabel} Scope Import`,
+        unusable,
+        "None of the scopes could be imported"
+      );
+      return null;
+    }
+
+    const selected = await vscode.window.showQuickPick(
+      usable.map((candidate) => ({
+        label: candidate.name,
+        description: candidate.source,
+        detail: [
+          scopes[candidate.name]
+            ? "A scope with this name exists and will be replaced"
+            : null,
+          candidate.problems.length > 0
+            ? `$(warning) ${candidate.problems.length} part${
+                candidate.problems.length === 1 ? "" : "s"
+              } could not be translated`
+            : null,
+        ]
+          .filter(Boolean)
+          .join(" · "),
+        picked: !scopes[candidate.name],
+        candidate: candidate,
+      })),
+      {
+        placeHolder: `Found ${usable.length} ${sourceLabel} scope${
+          usable.length === 1 ? "" : "s"
+        } - select the scopes to import`,
+        canPickMany: true,
+        matchOnDescription: true,
+      }
+    );
+    if (!selected || selected.length === 0) return null;
+
+    const definitions = {};
+    for (const { candidate } of selected) {
+      definitions[candidate.name] = candidate.definition;
+    }
+    await this.scopeManager.addScopes(definitions);
+    console.log(`Imported ${sourceLabel} scopes:`, Object.keys(definitions));
+
+    return [...selected.map((item) => item.candidate), ...unusable];
+  }
+
+  /**
+   * Summarise what happened and offer a Markdown report of everything that
+   * could not be translated: entries are { name, source?, problems }.
+   */
+  async reportProblems(title, entries, summary) {
+    const withProblems = entries.filter((entry) => entry.problems.length > 0);
+    const imported = entries.filter((entry) => entry.definition).length;
+    const message =
+      summary || `Imported ${imported} scope${imported === 1 ? "" : "s"}`;
+
+    if (withProblems.length === 0) {
+      vscode.window.showInformationMessage(message);
+      return;
+    }
+
+    const count = withProblems.reduce(
+      (sum, entry) => sum + entry.problems.length,
+      0
+    );
+    const action = await vscode.window.showWarningMessage(
+      `${message}. ${count} part${
+        count === 1 ? "" : "s"
+      } could not be translated.`,
+      "Show Report"
+    );
+    if (action !== "Show Report") return;
+
+    const lines = [`# ${title}`, ""];
+    for (const entry of withProblems) {
+      lines.push(`## ${entry.name}`, "");
+      if (entry.source) lines.push(`\`${entry.source}\``, "");
+      lines.push(...entry.problems.map((problem) => `- ${problem}`), "");
+    }
+    const document = await vscode.workspace.openTextDocument({
+      language: "markdown",
+      content: lines.join("\n"),
+    });
+    await vscode.window.showTextDocument(document, { preview: false });
+  }
+}
+
+module.exports = {
+  ScopeInterop,
+  parseJetBrainsPattern,
+  fromJetBrainsPattern,
+  toJetBrainsPattern,
+  readJetBrainsScopes,
+};
@@ -0,0 +1,599 @@
+/**
+ * Pattern engine for Project Scopes
+ * Scopes are evaluated against workspace-relative paths ("src/app/main.ts").
+ * Folder entries behave like "<folder>/**" includes, include/exclude entries
+ * are globs supporting **, *, ?, [...] and {a,b}.
+ */
+
+function normalizePath(relativePath) {
+  return relativePath
+    .replace(/\\/g, "/")
+    .replace(/^\.\/+/, "")
+    .replace(/\/+$/, "");
+}
+
+function splitPath(relativePath) {
+  const normalized = normalizePath(relativePath);
+  return normalized ? normalized.split("/") : [];
+}
+
+function hasGlobChars(segment) {
+  return /[*?[\]{}]/.test(segment);
+}
+
+function escapeGlob(literal) {
+  return literal.replace(/[*?[\]{}]/g, (char) => `[${char}]`);
+}
+
+// End of the [...] class starting at index, -1 when the "[" is a literal
+function classEnd(pattern, index) {
+  // A "]" right after the opening bracket is a literal member of the class
+  const start = pattern[index + 1] === "!" ? index + 2 : index + 1;
+  return pattern.indexOf("]", start + 1);
+}
+
+// Innermost {a,b} group, skipping braces escaped as [{] and [}]
+function findBraceGroup(pattern) {
+  let open = -1;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "[") {
+      const end = classEnd(pattern, i);
+      if (end !== -1) i = end;
+    } else if (char === "{") {
+      open = i;
+    } else if (char === "}" && open !== -1) {
+      return { start: open, end: i + 1, body: pattern.slice(open + 1, i) };
+    }
+  }
+  return null;
+}
+
+// Expand {a,b} alternatives up front so segments can be matched one by one
+function expandBraces(pattern) {
+  const group = findBraceGroup(pattern);
+  if (!group) return [pattern];
+
+  const before = pattern.slice(0, group.start);
+  const after = pattern.slice(group.end);
+  const results = [];
+  for (const option of group.body.split(",")) {
+    results.push(...expandBraces(before + option + after));
+  }
+  return results;
+}
+
+function segmentToRegExp(segment) {
+  let source = "";
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = classEnd(segment, i);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        const negated = segment[i + 1] === "!";
+        const body = segment
+          .slice(negated ? i + 2 : i + 1, end)
+          .replace(/[\\\]^]/g, "\\$&");
+        source += `[${negated ? "^" : ""}${body}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+class GlobPattern {
+  constructor(pattern) {
+    this.source = pattern;
+    this.segments = splitPath(pattern).map((segment) => {
+      if (segment === "**") return "**";
+      return hasGlobChars(segment) ? segmentToRegExp(segment) : segment;
+    });
+
+    // Literal directory the pattern is rooted at ("src/app" for "src/app/**/*.ts")
+    const base = [];
+    for (const segment of this.segments) {
+      if (typeof segment !== "string" || segment === "**") break;
+      base.push(segment);
+    }
+    this.base = base;
+    this.isLiteral = base.length === this.segments.length;
+  }
+
+  // True if the whole path matches the pattern
+  matches(pathSegments) {
+    return this._match(0, pathSegments, 0, false);
+  }
+
+  // True if some path below the directory could match the pattern
+  mayContain(dirSegments) {
+    return this._match(0, dirSegments, 0, true);
+  }
+
+  // True if every path below the directory matches the pattern
+  covers(dirSegments) {
+    const last = this.segments.length - 1;
+    if (last < 0 || this.segments[last] !== "**") return false;
+
+    // Strip trailing "**" and see whether the directory (or an ancestor) matches the rest
+    const head = this.segments.slice(0, last);
+    for (let length = 0; length <= dirSegments.length; length++) {
+      if (matchSegments(head, 0, dirSegments.slice(0, length), 0, false)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  _match(i, pathSegments, j, prefixOnly) {
+    return matchSegments(this.segments, i, pathSegments, j, prefixOnly);
+  }
+}
+
+function matchSegment(segment, value) {
+  return typeof segment === "string" ? segment === value : segment.test(value);
+}
+
+function matchSegments(segments, i, pathSegments, j, prefixOnly) {
+  while (true) {
+    if (j === pathSegments.length) {
+      if (prefixOnly) return i < segments.length;
+      // Only trailing "**" may remain
+      return segments.slice(i).every((segment) => segment === "**");
+    }
+    if (i === segments.length) return false;
+
+    const segment = segments[i];
+    if (segment === "**") {
+      if (matchSegments(segments, i + 1, pathSegments, j, prefixOnly)) {
+        return true;
+      }
+      j++;
+      continue;
+    }
+
+    if (!matchSegment(segment, pathSegments[j])) return false;
+    i++;
+    j++;
+  }
+}
+
+function compilePatterns(patterns) {
+  const compiled = [];
+  for (const pattern of patterns || []) {
+    if (typeof pattern !== "string" || !pattern.trim()) continue;
+    for (const expanded of expandBraces(pattern.trim())) {
+      compiled.push(new GlobPattern(expanded));
+    }
+  }
+  return compiled;
+}
+
+// Scope entries may name the workspace folder they belong to: "api:src/routes".
+// Only the names in rootNames count as roots, so a folder called "a:b" stays a path.
+function parseScopeEntry(entry, rootNames) {
+  const root = (rootNames || [])
+    .filter((name) => name && entry.startsWith(`${name}:`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!root) return { root: null, path: entry };
+  return { root: root, path: entry.slice(root.length + 1) };
+}
+
+function formatScopeEntry(root, entryPath) {
+  return root ? `${root}:${entryPath}` : entryPath;
+}
+
+// Entries that apply to a workspace folder, without their root prefix.
+// Unprefixed entries apply to every folder; an undefined root keeps everything as written.
+function selectEntries(entries, rootName, rootNames = [rootName]) {
+  if (rootName === undefined) return entries || [];
+  return (entries || [])
+    .map((entry) => parseScopeEntry(entry, rootNames))
+    .filter((entry) => !entry.root || entry.root === rootName)
+    .map((entry) => entry.path);
+}
+
+/**
+ * Matcher for a single scope definition ({ folders, include, exclude })
+ * evaluated against paths relative to the workspace folder named rootName.
+ * rootNames are all workspace folder names entries may be prefixed with.
+ */
+class ScopeMatcher {
+  constructor(scope = {}, rootName = undefined, rootNames = undefined) {
+    this.folders = selectEntries(scope.folders, rootName, rootNames)
+      .map(normalizePath)
+      .filter(Boolean);
+    this.includePatterns = selectEntries(
+      scope.include,
+      rootName,
+      rootNames
+    ).filter(Boolean);
+    this.excludeGlobs = selectEntries(
+      scope.exclude,
+      rootName,
+      rootNames
+    ).filter(Boolean);
+
+    this.include = compilePatterns([
+      ...this.folders.map((folder) => `${escapeGlob(folder)}/**`),
+      ...this.includePatterns,
+    ]);
+    this.exclude = compilePatterns(this.excludeGlobs);
+  }
+
+  isEmpty() {
+    return this.include.length === 0;
+  }
+
+  isExcluded(relativePath) {
+    const segments = splitPath(relativePath);
+    // An excluded directory hides everything below it
+    for (let length = 1; length <= segments.length; length++) {
+      const partial = segments.slice(0, length);
+      if (this.exclude.some((pattern) => pattern.matches(partial))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  matches(relativePath) {
+    const segments = splitPath(relativePath);
+    if (segments.length === 0) return false;
+    if (this.isExcluded(relativePath)) return false;
+    return this.include.some((pattern) => pattern.matches(segments));
+  }
+
+  mayContain(relativeDir) {
+    const segments = splitPath(relativeDir);
+    if (segments.length > 0 && this.isExcluded(relativeDir)) return false;
+    return this.include.some((pattern) => pattern.mayContain(segments));
+  }
+
+  // Everything below the directory is in scope, apart from excludePatterns()
+  coversDirectory(relativeDir) {
+    const segments = splitPath(relativeDir);
+    if (segments.length > 0 && this.isExcluded(relativeDir)) return false;
+    return this.include.some((pattern) => pattern.covers(segments));
+  }
+
+  // Should an entry be listed when browsing the scope
+  shouldShow(relativePath, isDirectory) {
+    if (isDirectory) {
+      return this.matches(relativePath) || this.mayContain(relativePath);
+    }
+    return this.matches(relativePath);
+  }
+
+  // Glob patterns that can be handed to VS Code exclude settings as-is
+  excludePatterns() {
+    return [...this.excludeGlobs];
+  }
+
+  // Literal starting points for browsing the scope ("" is the workspace root)
+  roots() {
+    return collapseRoots(this.include.map((pattern) => pattern.base.join("/")));
+  }
+
+  // How closely the scope targets a path: length of the longest matching base
+  specificity(relativePath) {
+    if (!this.matches(relativePath)) return -1;
+    const segments = splitPath(relativePath);
+    let best = 0;
+    for (const pattern of this.include) {
+      if (pattern.matches(segments)) {
+        best = Math.max(best, pattern.base.length);
+      }
+    }
+    return best;
+  }
+
+  describe() {
+    const lines = [];
+    if (this.folders.length > 0) {
+      lines.push(`Folders: ${this.folders.join(", ")}`);
+    }
+    if (this.includePatterns.length > 0) {
+      lines.push(`Include: ${this.includePatterns.join(", ")}`);
+    }
+    if (this.excludeGlobs.length > 0) {
+      lines.push(`Exclude: ${this.excludeGlobs.join(", ")}`);
+    }
+    return lines;
+  }
+}
+
+// Drop duplicate roots and roots nested inside another root
+function collapseRoots(roots) {
+  const unique = [...new Set(roots)].sort((a, b) => a.length - b.length);
+  return unique.filter(
+    (root, index) =>
+      !unique
+        .slice(0, index)
+        .some((other) => other === "" || root.startsWith(other + "/"))
+  );
+}
+
+function isWithin(root, ancestor) {
+  return (
+    ancestor === "" || root === ancestor || root.startsWith(ancestor + "/")
+  );
+}
+
+/**
+ * Set operations over matchers, used to resolve scopes built from other scopes
+ */
+class CompositeMatcher {
+  shouldShow(relativePath, isDirectory) {
+    if (isDirectory) {
+      return this.matches(relativePath) || this.mayContain(relativePath);
+    }
+    return this.matches(relativePath);
+  }
+}
+
+class UnionMatcher extends CompositeMatcher {
+  constructor(parts) {
+    super();
+    this.parts = parts.filter((part) => !part.isEmpty());
+  }
+
+  isEmpty() {
+    return this.parts.length === 0;
+  }
+
+  matches(relativePath) {
+    return this.parts.some((part) => part.matches(relativePath));
+  }
+
+  mayContain(relativeDir) {
+    return this.parts.some((part) => part.mayContain(relativeDir));
+  }
+
+  // A part's own excludes are dropped by excludePatterns(), so only exact parts count
+  coversDirectory(relativeDir) {
+    return this.parts.some(
+      (part) =>
+        part.coversDirectory(relativeDir) &&
+        (this.parts.length === 1 || part.excludePatterns().length === 0)
+    );
+  }
+
+  excludePatterns() {
+    return this.parts.length === 1 ? this.parts[0].excludePatterns() : [];
+  }
+
+  roots() {
+    return collapseRoots(this.parts.flatMap((part) => part.roots()));
+  }
+
+  specificity(relativePath) {
+    return Math.max(
+      -1,
+      ...this.parts.map((part) => part.specificity(relativePath))
+    );
+  }
+}
+
+class IntersectionMatcher extends CompositeMatcher {
+  constructor(parts) {
+    super();
+    this.parts = parts;
+  }
+
+  isEmpty() {
+    return this.parts.length === 0 || this.parts.some((part) => part.isEmpty());
+  }
+
+  matches(relativePath) {
+    return (
+      !this.isEmpty() && this.parts.every((part) => part.matches(relativePath))
+    );
+  }
+
+  mayContain(relativeDir) {
+    return (
+      !this.isEmpty() &&
+      this.parts.every((part) => part.mayContain(relativeDir))
+    );
+  }
+
+  coversDirectory(relativeDir) {
+    return (
+      !this.isEmpty() &&
+      this.parts.every((part) => part.coversDirectory(relativeDir))
+    );
+  }
+
+  // Excluded by any part means excluded from the intersection
+  excludePatterns() {
+    return this.parts.flatMap((part) => part.excludePatterns());
+  }
+
+  // Keep the deeper root wherever the parts' roots overlap
+  roots() {
+    if (this.isEmpty()) return [];
+    return this.parts
+      .map((part) => part.roots())
+      .reduce((current, next) => {
+        const overlap = [];
+        for (const a of current) {
+          for (const b of next) {
+            if (isWithin(a, b)) overlap.push(a);
+            else if (isWithin(b, a)) overlap.push(b);
+          }
+        }
+        return collapseRoots(overlap);
+      });
+  }
+
+  specificity(relativePath) {
+    if (!this.matches(relativePath)) return -1;
+    return Math.max(
+      ...this.parts.map((part) => part.specificity(relativePath))
+    );
+  }
+}
+
+class DifferenceMatcher extends CompositeMatcher {
+  constructor(base, subtracted) {
+    super();
+    this.base = base;
+    this.subtracted = subtracted;
+  }
+
+  isEmpty() {
+    return this.base.isEmpty();
+  }
+
+  matches(relativePath) {
+    return (
+      this.base.matches(relativePath) && !this.subtracted.matches(relativePath)
+    );
+  }
+
+  mayContain(relativeDir) {
+    if (!this.base.mayContain(relativeDir)) return false;
+    // Nothing left when the subtracted scope takes the whole directory
+    return !(
+      this.subtracted.coversDirectory(relativeDir) &&
+      this.subtracted.excludePatterns().length === 0
+    );
+  }
+
+  coversDirectory(relativeDir) {
+    return (
+      this.base.coversDirectory(relativeDir) &&
+      !this.subtracted.matches(relativeDir) &&
+      !this.subtracted.mayContain(relativeDir)
+    );
+  }
+
+  excludePatterns() {
+    return this.base.excludePatterns();
+  }
+
+  roots() {
+    return this.base.roots();
+  }
+
+  specificity(relativePath) {
+    return this.matches(relativePath)
+      ? this.base.specificity(relativePath)
+      : -1;
+  }
+}
+
+/**
+ * Matcher for an explicit list of files, for scopes computed at runtime
+ * (e.g. from git) rather than written as folders and patterns
+ */
+class FileSetMatcher {
+  constructor(files) {
+    this.files = new Set((files || []).map(normalizePath).filter(Boolean));
+    this.directories = new Set();
+    for (const file of this.files) {
+      const segments = splitPath(file);
+      for (let length = 0; length < segments.length; length++) {
+        this.directories.add(segments.slice(0, length).join("/"));
+      }
+    }
+  }
+
+  isEmpty() {
+    return this.files.size === 0;
+  }
+
+  matches(relativePath) {
+    return this.files.has(normalizePath(relativePath));
+  }
+
+  mayContain(relativeDir) {
+    return this.directories.has(normalizePath(relativeDir));
+  }
+
+  // New files never join the set, so no directory is ever fully covered
+  coversDirectory() {
+    return false;
+  }
+
+  shouldShow(relativePath, isDirectory) {
+    return isDirectory
+      ? this.mayContain(relativePath)
+      : this.matches(relativePath);
+  }
+
+  excludePatterns() {
+    return [];
+  }
+
+  // Top-level entries, so the files show up as a tree below them
+  roots() {
+    return collapseRoots([...this.files].map((file) => splitPath(file)[0]));
+  }
+
+  specificity(relativePath) {
+    return this.matches(relativePath) ? splitPath(relativePath).length : -1;
+  }
+
+  describe() {
+    return [`${this.files.size} ${this.files.size === 1 ? "file" : "files"}`];
+  }
+}
+
+// Split user input on commas and newlines, keeping {a,b} groups intact
+function parsePatternList(value) {
+  const patterns = [];
+  let current = "";
+  let depth = 0;
+
+  const text = value || "";
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    // Classes such as the [{] escapeGlob writes are kept whole
+    if (char === "[") {
+      const end = classEnd(text, i);
+      if (end !== -1 && !text.slice(i, end).includes("\n")) {
+        current += text.slice(i, end + 1);
+        i = end;
+        continue;
+      }
+    }
+    if (char === "{") depth++;
+    if (char === "}") depth = Math.max(0, depth - 1);
+
+    if ((char === "," && depth === 0) || char === "\n") {
+      patterns.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  patterns.push(current);
+
+  return patterns.map((pattern) => pattern.trim()).filter(Boolean);
+}
+
+module.exports = {
+  ScopeMatcher,
+  GlobPattern,
+  normalizePath,
+  splitPath,
+  escapeGlob,
+  expandBraces,
+  parsePatternList,
+  parseScopeEntry,
+  formatScopeEntry,
+  UnionMatcher,
+  IntersectionMatcher,
+  DifferenceMatcher,
+  FileSetMatcher,
+};
@@ -0,0 +1,457 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Larger files are measured but their lines are not counted
+const MAX_LINE_COUNT_SIZE = 5 * 1024 * 1024;
+const TOP_FILES = 10;
+const TOP_LANGUAGES = 12;
+
+function formatSize(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+}
+
+async function countLines(fsPath, size) {
+  if (size === 0 || size > MAX_LINE_COUNT_SIZE) return 0;
+
+  const buffer = await fs.promises.readFile(fsPath);
+  // Binary files have no lines worth counting
+  if (buffer.subarray(0, 8000).includes(0)) return 0;
+
+  let lines = buffer[buffer.length - 1] === 10 ? 0 : 1;
+  for (let i = buffer.indexOf(10); i !== -1; i = buffer.indexOf(10, i + 1)) {
+    lines++;
+  }
+  return lines;
+}
+
+/**
+ * File, line and size statistics per scope. Line counts are cached per file
+ * by size and modification time, so rescans only read files that changed.
+ * Scope results stay cached until scopes or files change.
+ */
+class ScopeStatistics {
+  constructor(scopeManager) {
+    this.scopeManager = scopeManager;
+    // fsPath -> { size, mtime, lines }
+    this._files = new Map();
+    // scopeName -> statistics, with `stale` set once scopes or files changed
+    this._results = new Map();
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+  }
+
+  get(scopeName) {
+    return this._results.get(scopeName) || null;
+  }
+
+  markStale() {
+    for (const result of this._results.values()) {
+      result.stale = true;
+    }
+  }
+
+  clear() {
+    this._results.clear();
+  }
+
+  async _measure(uri) {
+    const stat = await fs.promises.stat(uri.fsPath);
+    const cached = this._files.get(uri.fsPath);
+    if (cached && cached.size === stat.size && cached.mtime === stat.mtimeMs) {
+      return cached;
+    }
+
+    const measured = {
+      size: stat.size,
+      mtime: stat.mtimeMs,
+      lines: await countLines(uri.fsPath, stat.size),
+    };
+    this._files.set(uri.fsPath, measured);
+    return measured;
+  }
+
+  // onProgress(done, total) is called after each file
+  async scan(scopeName, token, onProgress) {
+    const uris = await this.scopeManager.resolveFiles(scopeName, token);
+    const result = {
+      scopeName: scopeName,
+      scannedAt: Date.now(),
+      stale: false,
+      fileCount: 0,
+      totalLines: 0,
+      totalSize: 0,
+      languages: [],
+      largest: [],
+      recent: [],
+      missing: this.scopeManager.findMissingEntries(scopeName),
+    };
+
+    const languages = new Map();
+    const files = [];
+    for (let i = 0; i < uris.length; i++) {
+      if (token.isCancellationRequested) return null;
+
+      const uri = uris[i];
+      let measured;
+      try {
+        measured = await this._measure(uri);
+      } catch (error) {
+        console.warn("Could not measure file:", uri.fsPath, error.message);
+        continue;
+      }
+
+      const resolved = this.scopeManager.resolvePath(uri.fsPath);
+      const file = {
+        uri: uri.toString(),
+        relativePath: resolved ? resolved.relativePath : uri.fsPath,
+        ...measured,
+      };
+      files.push(file);
+      result.fileCount++;
+      result.totalLines += file.lines;
+      result.totalSize += file.size;
+
+      const extension = path.extname(uri.fsPath).toLowerCase() || "(none)";
+      const language = languages.get(extension) || {
+        extension: extension,
+        files: 0,
+        lines: 0,
+        size: 0,
+      };
+      language.files++;
+      language.lines += file.lines;
+      language.size += file.size;
+      languages.set(extension, language);
+      onProgress(i + 1, uris.length);
+    }
+
+    result.languages = [...languages.values()]
+      .sort((a, b) => b.lines - a.lines || b.files - a.files)
+      .slice(0, TOP_LANGUAGES);
+    result.largest = [...files]
+      .sort((a, b) => b.size - a.size)
+      .slice(0, TOP_FILES);
+    result.recent = [...files]
+      .sort((a, b) => b.mtime - a.mtime)
+      .slice(0, TOP_FILES);
+
+    this._results.set(scopeName, result);
+    this._onDidChange.fire(scopeName);
+    return result;
+  }
+
+  dispose() {
+    this._onDidChange.dispose();
+  }
+}
+
+/**
+ * Webview with the statistics of every scope. Cached results show right
+ * away; missing or stale ones are rescanned in the background.
+ */
+class ScopeOverviewPanel {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this.statistics = new ScopeStatistics(scopeManager);
+    this.panel = null;
+    this._scanning = null;
+    this._scanPromise = null;
+
+    const markStale = () => {
+      this.statistics.markStale();
+      if (this.panel) this.render();
+    };
+    context.subscriptions.push(
+      this.statistics,
+      this.statistics.onDidChange(() => this.render()),
+      scopeManager.onScopeChanged(markStale),
+      scopeManager.onDynamicScopesChanged(markStale),
+      vscode.workspace.onDidSaveTextDocument(markStale),
+      vscode.workspace.onDidCreateFiles(markStale),
+      vscode.workspace.onDidDeleteFiles(markStale),
+      vscode.workspace.onDidRenameFiles(markStale),
+      this
+    );
+  }
+
+  getScopeNames() {
+    return [
+      ...Object.keys(this.scopeManager.getScopes()),
+      ...this.scopeManager.getDynamicScopes().map((scope) => scope.name),
+    ];
+  }
+
+  show() {
+    if (this.panel) {
+      this.panel.reveal();
+    } else {
+      this.panel = vscode.window.createWebviewPanel(
+        "projectScopes.overview",
+        "Scope Overview",
+        vscode.ViewColumn.Active,
+        { enableScripts: true, retainContextWhenHidden: true }
+      );
+      this.panel.webview.onDidReceiveMessage((message) =>
+        this.onMessage(message)
+      );
+      this.panel.onDidDispose(() => {
+        this.panel = null;
+        if (this._scanning) this._scanning.cancel();
+      });
+    }
+
+    this.render();
+    this.scanStale();
+  }
+
+  onMessage(message) {
+    switch (message.command) {
+      case "open":
+        vscode.commands.executeCommand(
+          "vscode.open",
+          vscode.Uri.parse(message.uri)
+        );
+        break;
+      case "rescan":
+        this.rescan();
+        break;
+    }
+  }
+
+  async rescan() {
+    if (this._scanning) {
+      this._scanning.cancel();
+      await this._scanPromise;
+    }
+    this.statistics.clear();
+    this.render();
+    await this.scanStale();
+  }
+
+  scanStale() {
+    if (!this._scanning) {
+      this._scanPromise = this._scanStale();
+    }
+    return this._scanPromise;
+  }
+
+  // Scan scopes without fresh results, the active scope first
+  async _scanStale() {
+    const activeScope = this.scopeManager.getActiveScope();
+    const pending = this.getScopeNames()
+      .filter((scopeName) => {
+        const result = this.statistics.get(scopeName);
+        return !result || result.stale;
+      })
+      .sort((a, b) => (b === activeScope) - (a === activeScope));
+    if (pending.length === 0) return;
+
+    const cancellation = new vscode.CancellationTokenSource();
+    this._scanning = cancellation;
+    try {
+      await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Notification,
+          title: "Scanning scopes",
+          cancellable: true,
+        },
+        async (progress, token) => {
+          token.onCancellationRequested(() => cancellation.cancel());
+          // Every scope gets an equal share of the progress bar
+          const share = 100 / pending.length;
+          for (const scopeName of pending) {
+            if (cancellation.token.isCancellationRequested) break;
+            // Scopes removed while scanning are skipped
+            if (!this.scopeManager.hasScope(scopeName)) continue;
+
+            progress.report({ message: scopeName });
+            let reported = 0;
+            await this.statistics.scan(
+              scopeName,
+              cancellation.token,
+              (done, total) => {
+                // Whole percents only, to keep the notification cheap
+                const value = Math.floor((done / total) * share);
+                if (value > reported) {
+                  progress.report({
+                    message: `${scopeName} (${done}/${total} files)`,
+                    increment: value - reported,
+                  });
+                  reported = value;
+                }
+              }
+            );
+          }
+        }
+      );
+    } catch (error) {
+      console.error("Error scanning scopes:", error);
+      vscode.window.showErrorMessage(`Error scanning scopes: ${error.message}`);
+    } finally {
+      this._scanning = null;
+      cancellation.dispose();
+    }
+  }
+
+  render() {
+    if (!this.panel) return;
+
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const activeScope = this.scopeManager.getActiveScope();
+    const sections = this.getScopeNames()
+      .map((scopeName) =>
+        this.renderScope(
+          scopeName,
+          this.statistics.get(scopeName),
+          scopeName === activeScope
+        )
+      )
+      .join("\n");
+
+    this.panel.webview.html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<style>
+  body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 16px 16px; }
+  summary { cursor: pointer; font-size: 1.2em; padding: 8px 0; }
+  .meta { color: var(--vscode-descriptionForeground); font-size: 0.9em; margin-left: 6px; }
+  .totals { display: flex; gap: 24px; margin: 4px 0 12px; }
+  .totals div strong { display: block; font-size: 1.4em; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 16px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 2px 8px 2px 0; white-space: nowrap; }
+  td.path { white-space: normal; word-break: break-all; }
+  th { color: var(--vscode-descriptionForeground); font-weight: normal; }
+  .num { text-align: right; }
+  a { color: var(--vscode-textLink-foreground); cursor: pointer; text-decoration: none; }
+  .warning { color: var(--vscode-problemsWarningIcon-foreground); }
+  button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 4px 12px; cursor: pointer; }
+</style>
+</head>
+<body>
+<p><button id="rescan">Rescan All</button></p>
+${sections || "<p>No scopes defined.</p>"}
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  document.getElementById("rescan").addEventListener("click", () =>
+    vscode.postMessage({ command: "rescan" })
+  );
+  // Keep sections open or closed across re-renders
+  const state = vscode.getState() || { open: {} };
+  document.querySelectorAll("details[data-scope]").forEach((details) => {
+    const scope = details.dataset.scope;
+    if (scope in state.open) details.open = state.open[scope];
+    details.addEventListener("toggle", () => {
+      state.open[scope] = details.open;
+      vscode.setState(state);
+    });
+  });
+  document.querySelectorAll("a[data-uri]").forEach((link) =>
+    link.addEventListener("click", () =>
+      vscode.postMessage({ command: "open", uri: link.dataset.uri })
+    )
+  );
+</script>
+</body>
+</html>`;
+  }
+
+  renderScope(scopeName, result, isActive) {
+    const title = `<summary><strong>${escapeHtml(scopeName)}</strong>${
+      isActive ? '<span class="meta">active</span>' : ""
+    }${this.renderStatus(result)}</summary>`;
+    if (!result) {
+      return `<details data-scope="${escapeHtml(scopeName)}"${
+        isActive ? " open" : ""
+      }>${title}<p>Scanning...</p></details>`;
+    }
+
+    const fileRow = (file, value) =>
+      `<tr><td class="path"><a data-uri="${escapeHtml(file.uri)}">${escapeHtml(
+        file.relativePath
+      )}</a></td><td class="num">${escapeHtml(value)}</td></tr>`;
+
+    const missing =
+      result.missing.length > 0
+        ? `<p class="warning">Missing on disk: ${result.missing
+            .map(escapeHtml)
+            .join(", ")}</p>`
+        : "";
+
+    return `<details data-scope="${escapeHtml(scopeName)}"${
+      isActive ? " open" : ""
+    }>${title}
+${missing}
+<div class="totals">
+  <div><strong>${result.fileCount.toLocaleString()}</strong>files</div>
+  <div><strong>${result.totalLines.toLocaleString()}</strong>lines</div>
+  <div><strong>${formatSize(result.totalSize)}</strong>total size</div>
+</div>
+<div class="grid">
+  <div><h3>Languages</h3><table>
+    <tr><th>Extension</th><th class="num">Files</th><th class="num">Lines</th><th class="num">Size</th></tr>
+    ${result.languages
+      .map(
+        (language) =>
+          `<tr><td>${escapeHtml(language.extension)}</td><td class="num">${
+            language.files
+          }</td><td class="num">${language.lines.toLocaleString()}</td><td class="num">${formatSize(
+            language.size
+          )}</td></tr>`
+      )
+      .join("")}
+  </table></div>
+  <div><h3>Largest Files</h3><table>
+    ${result.largest
+      .map((file) => fileRow(file, formatSize(file.size)))
+      .join("")}
+  </table></div>
+  <div><h3>Recently Modified</h3><table>
+    ${result.recent
+      .map((file) => fileRow(file, new Date(file.mtime).toLocaleString()))
+      .join("")}
+  </table></div>
+</div>
+</details>`;
+  }
+
+  renderStatus(result) {
+    if (!result) return "";
+    const scanned = new Date(result.scannedAt).toLocaleTimeString();
+    return `<span class="meta">scanned ${scanned}${
+      result.stale ? ", outdated" : ""
+    }</span>`;
+  }
+
+  dispose() {
+    if (this._scanning) this._scanning.cancel();
+    if (this.panel) this.panel.dispose();
+  }
+}
+
+module.exports = { ScopeOverviewPanel, ScopeStatistics, formatSize };
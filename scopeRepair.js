@@ -0,0 +1,424 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+const {
+  parseScopeEntry,
+  formatScopeEntry,
+  normalizePath,
+  escapeGlob,
+} = require("./scopeMatcher");
+const { runGit, getRepository } = require("./git");
+const { getWatcherDelay } = require("./scopeFileSystemProvider");
+
+// Scope keys holding workspace-relative paths, and whether they are globs
+const PATH_KEYS = {
+  folders: false,
+  seeds: false,
+  include: true,
+  exclude: true,
+};
+const MAX_RENAME_COMMITS = 500;
+const MAX_NAME_MATCHES = 20;
+
+// Path below oldPath moved to newPath, or null when it is not below oldPath
+function movePath(value, oldPath, newPath) {
+  if (value === oldPath) return newPath;
+  if (value.startsWith(`${oldPath}/`)) {
+    return newPath + value.slice(oldPath.length);
+  }
+  return null;
+}
+
+/**
+ * Rewrite one scope entry for a rename inside workspaceFolder
+ * Entries of other roots are left alone; unprefixed entries follow the rename.
+ * rootNames are the workspace folder names entries may be prefixed with.
+ */
+function renameEntry(
+  entry,
+  workspaceFolder,
+  oldPath,
+  newPath,
+  isGlob,
+  rootNames = [workspaceFolder.name]
+) {
+  const parsed = parseScopeEntry(entry, rootNames);
+  if (parsed.root && parsed.root !== workspaceFolder.name) return null;
+
+  const moved = isGlob
+    ? movePath(parsed.path, escapeGlob(oldPath), escapeGlob(newPath))
+    : movePath(normalizePath(parsed.path), oldPath, newPath);
+  return moved === null ? null : formatScopeEntry(parsed.root, moved);
+}
+
+// Renames recorded by git, newest first: [{ from, to }] relative to the repository
+async function listGitRenames(repository) {
+  const parse = (output) => {
+    const tokens = output
+      .split("\0")
+      .map((token) => token.trim())
+      .filter(Boolean);
+    const renames = [];
+    for (let i = 0; i < tokens.length; i++) {
+      if (/^R\d*$/.test(tokens[i])) {
+        renames.push({ from: tokens[i + 1], to: tokens[i + 2] });
+        i += 2;
+      }
+    }
+    return renames;
+  };
+
+  const args = ["-M", "--diff-filter=R", "--name-status", "-z"];
+  const staged = await runGit(repository.root, ["diff", "--cached", ...args]);
+  const committed = await runGit(repository.root, [
+    "log",
+    `-n${MAX_RENAME_COMMITS}`,
+    "--format=",
+    ...args,
+  ]);
+  return [...parse(staged), ...parse(committed)];
+}
+
+/**
+ * Keeps scope entries pointing at existing folders: validates scopes when
+ * files are renamed or deleted, rewrites entries for renames made in VS Code
+ * and offers a repair flow for entries that went missing some other way.
+ */
+class ScopeRepair {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this._validateTimer = null;
+
+    context.subscriptions.push(
+      vscode.workspace.onDidRenameFiles((event) => this.onFilesRenamed(event)),
+      vscode.workspace.onDidDeleteFiles(() => this.queueValidate()),
+      vscode.workspace.onDidCreateFiles(() => this.queueValidate()),
+      vscode.workspace.onDidChangeWorkspaceFolders(() => this.queueValidate()),
+      this
+    );
+  }
+
+  queueValidate() {
+    clearTimeout(this._validateTimer);
+    this._validateTimer = setTimeout(() => {
+      this._validateTimer = null;
+      this.scopeManager.validateScopes();
+    }, getWatcherDelay());
+  }
+
+  // Point scope entries at the new location of renamed or moved folders
+  async onFilesRenamed(event) {
+    const enabled = vscode.workspace
+      .getConfiguration("projectScopes")
+      .get("updateOnRename", true);
+    if (!enabled) {
+      this.queueValidate();
+      return;
+    }
+
+    try {
+      const scopes = this.scopeManager.getScopes();
+      const updates = {};
+      for (const { oldUri, newUri } of event.files) {
+        const from = this.scopeManager.resolvePath(oldUri.fsPath);
+        const to = this.scopeManager.resolvePath(newUri.fsPath);
+        // Moves between workspace folders would need a new root prefix
+        if (
+          !from ||
+          !to ||
+          !from.relativePath ||
+          !to.relativePath ||
+          from.workspaceFolder !== to.workspaceFolder
+        ) {
+          continue;
+        }
+
+        for (const scopeName of Object.keys(scopes)) {
+          const scope = updates[scopeName] || scopes[scopeName];
+          const updated = this.renameInScope(
+            scope,
+            from.workspaceFolder,
+            from.relativePath,
+            to.relativePath
+          );
+          if (updated) updates[scopeName] = updated;
+        }
+      }
+
+      const scopeNames = Object.keys(updates);
+      if (scopeNames.length === 0) {
+        this.queueValidate();
+        return;
+      }
+      await this.scopeManager.updateScopes(updates);
+      console.log("Updated scope paths after rename:", scopeNames);
+      vscode.window.showInformationMessage(
+        `Updated ${scopeNames.length === 1 ? "scope" : "scopes"} ${scopeNames
+          .map((scopeName) => `"${scopeName}"`)
+          .join(", ")} to the new location`
+      );
+    } catch (error) {
+      console.error("Error updating scopes after rename:", error);
+      vscode.window.showErrorMessage(
+        `Error updating scopes after rename: ${error.message}`
+      );
+    }
+  }
+
+  // Updated copy of the scope definition, or null when nothing refers to oldPath
+  renameInScope(scope, workspaceFolder, oldPath, newPath) {
+    let changed = false;
+    const updated = { ...scope };
+
+    for (const [key, isGlob] of Object.entries(PATH_KEYS)) {
+      if (!Array.isArray(scope[key])) continue;
+      updated[key] = scope[key].map((entry) => {
+        const renamed = renameEntry(
+          entry,
+          workspaceFolder,
+          oldPath,
+          newPath,
+          isGlob,
+          this.scopeManager.getRootNames()
+        );
+        if (renamed === null) return entry;
+        changed = true;
+        return renamed;
+      });
+    }
+
+    if (scope.cwd) {
+      const renamed = renameEntry(
+        scope.cwd,
+        workspaceFolder,
+        oldPath,
+        newPath,
+        false,
+        this.scopeManager.getRootNames()
+      );
+      if (renamed !== null) {
+        updated.cwd = renamed;
+        changed = true;
+      }
+    }
+    return changed ? updated : null;
+  }
+
+  // Offer to repair scopes with missing entries, e.g. after pulling a refactor
+  async promptRepair() {
+    const scopeNames = Object.keys(this.scopeManager.missingEntries);
+    if (scopeNames.length === 0) return;
+
+    const action = await vscode.window.showWarningMessage(
+      `Some folders of ${scopeNames
+        .map((scopeName) => `"${scopeName}"`)
+        .join(", ")} no longer exist`,
+      "Repair Scope"
+    );
+    if (action === "Repair Scope") {
+      await this.repairScope(scopeNames.length === 1 ? scopeNames[0] : null);
+    }
+  }
+
+  async repairScope(scopeName) {
+    this.scopeManager.validateScopes();
+    const broken = Object.keys(this.scopeManager.missingEntries);
+
+    if (!scopeName) {
+      if (broken.length === 0) {
+        vscode.window.showInformationMessage(
+          "All scope folders exist, nothing to repair"
+        );
+        return;
+      }
+      scopeName =
+        broken.length === 1
+          ? broken[0]
+          : await vscode.window.showQuickPick(broken, {
+              placeHolder: "Select a scope to repair",
+            });
+      if (!scopeName) return;
+    }
+
+    const missing = this.scopeManager.getMissingEntries(scopeName);
+    if (missing.length === 0) {
+      vscode.window.showInformationMessage(
+        `All folders of scope "${scopeName}" exist`
+      );
+      return;
+    }
+
+    const scope = this.scopeManager.getScopes()[scopeName];
+    const replacements = new Map();
+    for (const entry of missing) {
+      const isFolder = (scope.folders || []).includes(entry);
+      const candidates = await vscode.window.withProgress(
+        {
+          location: vscode.ProgressLocation.Window,
+          title: `Looking for ${entry}`,
+        },
+        () => this.findCandidates(entry, isFolder)
+      );
+
+      const selected = await vscode.window.showQuickPick(
+        [
+          ...candidates.map((candidate) => ({
+            label: `$(${isFolder ? "folder" : "file"}) ${candidate.entry}`,
+            description: candidate.reason,
+            replacement: candidate.entry,
+          })),
+          { label: "$(trash) Remove from scope", replacement: null },
+          { label: "$(debug-step-over) Keep as is", replacement: entry },
+        ],
+        {
+          title: `Repair Scope: ${scopeName}`,
+          placeHolder: `"${entry}" no longer exists. Where did it go?`,
+          ignoreFocusOut: true,
+        }
+      );
+      // Cancelling leaves the scope untouched
+      if (!selected) return;
+      replacements.set(entry, selected.replacement);
+    }
+
+    const replace = (entries) =>
+      entries === undefined
+        ? undefined
+        : entries
+            .map((entry) =>
+              replacements.has(entry) ? replacements.get(entry) : entry
+            )
+            .filter(
+              (entry, index, all) => entry && all.indexOf(entry) === index
+            );
+
+    await this.scopeManager.updateScopes({
+      [scopeName]: {
+        ...scope,
+        folders: replace(scope.folders),
+        seeds: replace(scope.seeds),
+      },
+    });
+    vscode.window.showInformationMessage(`Scope "${scopeName}" repaired`);
+  }
+
+  /**
+   * Where a missing entry may have gone: [{ entry, reason }]
+   * Renames recorded by git come first, then same-named folders or files
+   * ordered by how much of the old path they share.
+   */
+  async findCandidates(entry, isFolder) {
+    const { root, path: entryPath } = parseScopeEntry(
+      entry,
+      this.scopeManager.getRootNames()
+    );
+    const oldPath = normalizePath(entryPath);
+    const workspaceFolders = this.scopeManager
+      .getWorkspaceFolders()
+      .filter((folder) => !root || folder.name === root);
+
+    const candidates = [];
+    const add = (relativePath, reason) => {
+      const candidate = formatScopeEntry(root, relativePath);
+      if (!candidates.some((existing) => existing.entry === candidate)) {
+        candidates.push({ entry: candidate, reason: reason });
+      }
+    };
+
+    for (const workspaceFolder of workspaceFolders) {
+      const renamed = await this.findGitRename(workspaceFolder, oldPath);
+      if (renamed) add(renamed, "renamed in git history");
+    }
+
+    const oldSegments = oldPath.split("/");
+    const shared = (relativePath) =>
+      relativePath.split("/").filter((segment) => oldSegments.includes(segment))
+        .length;
+    const name = path.posix.basename(oldPath);
+    const matches = [];
+    for (const workspaceFolder of workspaceFolders) {
+      const found = isFolder
+        ? (
+            await this.scopeManager.directoryIndex.getAllDirectories(
+              workspaceFolder
+            )
+          ).filter((directory) => path.posix.basename(directory) === name)
+        : (
+            await vscode.workspace.findFiles(
+              new vscode.RelativePattern(
+                workspaceFolder,
+                `**/${escapeGlob(name)}`
+              ),
+              "**/node_modules/**",
+              MAX_NAME_MATCHES
+            )
+          ).map((uri) =>
+            path
+              .relative(workspaceFolder.uri.fsPath, uri.fsPath)
+              .replace(/\\/g, "/")
+          );
+      matches.push(...found);
+    }
+    matches
+      .sort((a, b) => shared(b) - shared(a) || a.localeCompare(b))
+      .slice(0, MAX_NAME_MATCHES)
+      .forEach((relativePath) => add(relativePath, "same name"));
+
+    return candidates;
+  }
+
+  // Current location of a path renamed in git, relative to the workspace folder
+  async findGitRename(workspaceFolder, oldPath) {
+    const folderPath = workspaceFolder.uri.fsPath;
+    const repository = await getRepository(folderPath);
+    if (!repository) return null;
+
+    let renames;
+    try {
+      renames = await listGitRenames(repository);
+    } catch (error) {
+      console.warn("Could not read git renames:", error.message);
+      return null;
+    }
+
+    // Follow chains of renames, newest first, until the path exists
+    let current = path
+      .relative(repository.root, path.join(folderPath, oldPath))
+      .replace(/\\/g, "/");
+    for (let hop = 0; hop < 10; hop++) {
+      let next = null;
+      for (const { from, to } of renames) {
+        if (from === current) {
+          next = to;
+          break;
+        }
+        // Renamed folders show up as renames of the files below them
+        if (from.startsWith(`${current}/`)) {
+          const rest = from.slice(current.length);
+          if (to.endsWith(rest)) {
+            next = to.slice(0, to.length - rest.length);
+            break;
+          }
+        }
+      }
+      if (!next || next === current) return null;
+      current = next;
+
+      const absolute = path.join(repository.root, current);
+      if (fs.existsSync(absolute)) {
+        const relativePath = path.relative(folderPath, absolute);
+        if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+          return null;
+        }
+        return relativePath.replace(/\\/g, "/");
+      }
+    }
+    return null;
+  }
+
+  dispose() {
+    clearTimeout(this._validateTimer);
+  }
+}
+
+module.exports = { ScopeRepair, renameEntry, listGitRenames };
@@ -0,0 +1,440 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+
+const RESULTS_VIEW = "scopeSearchResults";
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_MATCHES = 20000;
+// Characters kept before a match in its preview
+const PREVIEW_LEAD = 40;
+
+const OPTION_BUTTONS = [
+  { option: "matchCase", icon: "case-sensitive", tooltip: "Match Case" },
+  { option: "wholeWord", icon: "whole-word", tooltip: "Match Whole Word" },
+  { option: "regex", icon: "regex", tooltip: "Use Regular Expression" },
+];
+
+// Global regex for the query; throws on an invalid regular expression
+function createSearchRegex(query, options = {}) {
+  let source = options.regex
+    ? query
+    : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (options.wholeWord) source = `\\b(?:${source})\\b`;
+  return new RegExp(source, options.matchCase ? "g" : "gi");
+}
+
+// Text of the file, including unsaved changes; null for binary or huge files
+async function readText(uri) {
+  const document = vscode.workspace.textDocuments.find(
+    (candidate) => candidate.uri.toString() === uri.toString()
+  );
+  if (document) return document.getText();
+
+  const stat = await fs.promises.stat(uri.fsPath);
+  if (stat.size > MAX_FILE_SIZE) return null;
+
+  const buffer = await fs.promises.readFile(uri.fsPath);
+  if (buffer.subarray(0, 8000).includes(0)) return null;
+  return buffer.toString("utf8");
+}
+
+function findMatches(text, regex) {
+  const matches = [];
+  const lines = text.split(/\r?\n/);
+  for (let line = 0; line < lines.length; line++) {
+    const lineText = lines[line];
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(lineText))) {
+      // Empty matches would never advance
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      matches.push({
+        line: line,
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+        lineText: lineText,
+      });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Search the files line by line. Resolves to [{ uri, matches }] for files
+ * with at least one match, stopping early when cancelled or at MAX_MATCHES.
+ */
+async function searchFiles(uris, regex, token) {
+  const results = [];
+  let total = 0;
+  let truncated = false;
+
+  for (const uri of uris) {
+    if (token && token.isCancellationRequested) break;
+    if (total >= MAX_MATCHES) {
+      truncated = true;
+      break;
+    }
+
+    let text;
+    try {
+      text = await readText(uri);
+    } catch (error) {
+      console.warn("Could not read file for search:", uri.fsPath, error);
+      continue;
+    }
+    if (text === null) continue;
+
+    const matches = findMatches(text, regex);
+    if (matches.length > 0) {
+      results.push({ uri: uri, matches: matches });
+      total += matches.length;
+    }
+  }
+  return { results: results, total: total, truncated: truncated };
+}
+
+// Replacement for one match; regex queries may refer to groups ($1, $<name>, $&).
+// The match is replaced within its line, so lookarounds, ^, $ and \b see the text around it.
+function replacementFor(match, regex, replacement, options) {
+  if (!options.regex) return replacement;
+  const sticky = new RegExp(regex.source, regex.flags.replace("g", "") + "y");
+  sticky.lastIndex = match.start;
+  const replaced = match.lineText.replace(sticky, replacement);
+  return replaced.slice(
+    match.start,
+    replaced.length - (match.lineText.length - match.end)
+  );
+}
+
+class ScopeSearchResultsProvider {
+  constructor(scopeManager) {
+    this.scopeManager = scopeManager;
+    this.search = null;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  setSearch(search) {
+    this.search = search;
+    this._onDidChangeTreeData.fire();
+  }
+
+  getChildren(element) {
+    if (!this.search) return [];
+    if (!element) {
+      return this.search.results.map((result) => ({ result: result }));
+    }
+    if (element.result && !element.match) {
+      return element.result.matches.map((match) => ({
+        result: element.result,
+        match: match,
+      }));
+    }
+    return [];
+  }
+
+  getTreeItem(element) {
+    const { result, match } = element;
+    if (!match) {
+      const item = new vscode.TreeItem(
+        result.uri,
+        vscode.TreeItemCollapsibleState.Expanded
+      );
+      const resolved = this.scopeManager.resolvePath(result.uri.fsPath);
+      const relativeDir = resolved
+        ? path.posix.dirname(resolved.relativePath)
+        : path.dirname(result.uri.fsPath);
+      item.description = `${relativeDir === "." ? "" : relativeDir} (${
+        result.matches.length
+      })`;
+      item.contextValue = "searchFile";
+      return item;
+    }
+
+    // Long lines are cut to the text just before the match
+    const offset = Math.max(0, match.start - PREVIEW_LEAD);
+    const prefix = offset > 0 ? "…" : "";
+    const preview = prefix + match.lineText.slice(offset).trimEnd();
+    const start = match.start - offset + prefix.length;
+    const end = Math.min(preview.length, match.end - offset + prefix.length);
+
+    const item = new vscode.TreeItem(
+      { label: preview, highlights: [[start, end]] },
+      vscode.TreeItemCollapsibleState.None
+    );
+    item.description = `${match.line + 1}`;
+    item.tooltip = match.lineText.trim();
+    item.contextValue = "searchMatch";
+    item.command = {
+      command: "vscode.open",
+      title: "Open Match",
+      arguments: [
+        result.uri,
+        {
+          selection: new vscode.Range(
+            match.line,
+            match.start,
+            match.line,
+            match.end
+          ),
+        },
+      ],
+    };
+    return item;
+  }
+}
+
+/**
+ * Text and regex search limited to the files of a scope, with results in
+ * the Scope Search Results view and replace through the refactor preview
+ */
+class ScopeSearch {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this.provider = new ScopeSearchResultsProvider(scopeManager);
+    this.lastQuery = { query: "", options: {} };
+    this._cancellation = null;
+
+    this.treeView = vscode.window.createTreeView(RESULTS_VIEW, {
+      treeDataProvider: this.provider,
+      showCollapseAll: true,
+    });
+    context.subscriptions.push(this.treeView, this);
+  }
+
+  // Scope from the tree item, else the active scope, else ask
+  async resolveScope(scopeName) {
+    if (scopeName && this.scopeManager.hasScope(scopeName)) return scopeName;
+
+    const activeScope = this.scopeManager.getActiveScope();
+    if (activeScope) return activeScope;
+
+    const scopeNames = [
+      ...Object.keys(this.scopeManager.getScopes()),
+      ...this.scopeManager.getDynamicScopes().map((scope) => scope.name),
+    ];
+    if (scopeNames.length === 0) {
+      vscode.window.showWarningMessage(
+        "No scopes defined. Create a scope first."
+      );
+      return null;
+    }
+    return vscode.window.showQuickPick(scopeNames, {
+      placeHolder: "Select a scope to search",
+    });
+  }
+
+  // Input box with the match case / whole word / regex toggles of the search view
+  promptQuery(title, initial) {
+    return new Promise((resolve) => {
+      const options = { ...initial.options };
+      const inputBox = vscode.window.createInputBox();
+      inputBox.title = title;
+      inputBox.placeholder = "Search";
+      inputBox.value = initial.query;
+
+      const updateButtons = () => {
+        inputBox.buttons = OPTION_BUTTONS.map((button) => ({
+          option: button.option,
+          iconPath: options[button.option]
+            ? new vscode.ThemeIcon(
+                button.icon,
+                new vscode.ThemeColor("inputOption.activeForeground")
+              )
+            : new vscode.ThemeIcon(button.icon),
+          tooltip: `${button.tooltip} (${
+            options[button.option] ? "on" : "off"
+          })`,
+        }));
+      };
+      const validate = () => {
+        try {
+          if (inputBox.value) createSearchRegex(inputBox.value, options);
+          inputBox.validationMessage = undefined;
+        } catch (error) {
+          inputBox.validationMessage = error.message;
+        }
+      };
+
+      let accepted = false;
+      inputBox.onDidTriggerButton((button) => {
+        options[button.option] = !options[button.option];
+        updateButtons();
+        validate();
+      });
+      inputBox.onDidChangeValue(validate);
+      inputBox.onDidAccept(() => {
+        if (!inputBox.value || inputBox.validationMessage) return;
+        accepted = true;
+        inputBox.hide();
+      });
+      inputBox.onDidHide(() => {
+        const result = accepted
+          ? { query: inputBox.value, options: options }
+          : null;
+        inputBox.dispose();
+        resolve(result);
+      });
+
+      updateButtons();
+      inputBox.show();
+    });
+  }
+
+  async search(scopeName) {
+    scopeName = await this.resolveScope(scopeName);
+    if (!scopeName) return;
+
+    const query = await this.promptQuery(
+      `Search in Scope: ${scopeName}`,
+      this.lastQuery
+    );
+    if (!query) return;
+
+    this.lastQuery = query;
+    await this.runSearch(scopeName, query);
+  }
+
+  async runSearch(scopeName, { query, options }) {
+    if (this._cancellation) this._cancellation.cancel();
+    const cancellation = new vscode.CancellationTokenSource();
+    this._cancellation = cancellation;
+
+    await vscode.commands.executeCommand(
+      "setContext",
+      "projectScopes.hasSearchResults",
+      true
+    );
+    await vscode.commands.executeCommand(`${RESULTS_VIEW}.focus`);
+
+    const regex = createSearchRegex(query, options);
+    const found = await vscode.window.withProgress(
+      { location: { viewId: RESULTS_VIEW } },
+      async () => {
+        const uris = await this.scopeManager.resolveFiles(
+          scopeName,
+          cancellation.token
+        );
+        return searchFiles(uris, regex, cancellation.token);
+      }
+    );
+    if (cancellation.token.isCancellationRequested) return null;
+
+    const search = {
+      scopeName: scopeName,
+      query: query,
+      options: options,
+      regex: regex,
+      ...found,
+    };
+    this.provider.setSearch(search);
+    this.treeView.message = this.describe(search);
+    console.log(
+      `Scope search for "${query}" in "${scopeName}": ${found.total} matches`
+    );
+    return search;
+  }
+
+  describe(search) {
+    if (search.total === 0) {
+      return `No results for "${search.query}" in scope "${search.scopeName}"`;
+    }
+    const files = search.results.length;
+    return `${search.total}${search.truncated ? "+" : ""} result${
+      search.total === 1 ? "" : "s"
+    } in ${files} file${files === 1 ? "" : "s"} for "${
+      search.query
+    }" in scope "${search.scopeName}"`;
+  }
+
+  // Rerun the search shown in the view, e.g. after files changed
+  async refresh() {
+    const search = this.provider.search;
+    if (search) {
+      await this.runSearch(search.scopeName, search);
+    }
+  }
+
+  /**
+   * Replace every match in the scope. The edit goes through the refactor
+   * preview so matches can be reviewed and unticked before applying.
+   */
+  async replace(scopeName) {
+    const current = this.provider.search;
+    scopeName = await this.resolveScope(
+      scopeName || (current && current.scopeName)
+    );
+    if (!scopeName) return;
+
+    const query = await this.promptQuery(
+      `Replace in Scope: ${scopeName}`,
+      this.lastQuery
+    );
+    if (!query) return;
+    this.lastQuery = query;
+
+    const replacement = await vscode.window.showInputBox({
+      title: `Replace in Scope: ${scopeName}`,
+      prompt: `Replace "${query.query}" with`,
+      placeHolder: query.options.regex
+        ? "Replacement ($1 refers to the first group)"
+        : "Replacement",
+    });
+    if (replacement === undefined) return;
+
+    const search = await this.runSearch(scopeName, query);
+    if (!search) return;
+    if (search.total === 0) {
+      vscode.window.showInformationMessage(this.describe(search));
+      return;
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    const metadata = {
+      label: `Replace "${query.query}" with "${replacement}"`,
+      needsConfirmation: true,
+    };
+    for (const result of search.results) {
+      for (const match of result.matches) {
+        edit.replace(
+          result.uri,
+          new vscode.Range(match.line, match.start, match.line, match.end),
+          replacementFor(match, search.regex, replacement, query.options),
+          metadata
+        );
+      }
+    }
+
+    if (await vscode.workspace.applyEdit(edit)) {
+      await this.refresh();
+    }
+  }
+
+  async clear() {
+    if (this._cancellation) this._cancellation.cancel();
+    this.provider.setSearch(null);
+    this.treeView.message = undefined;
+    await vscode.commands.executeCommand(
+      "setContext",
+      "projectScopes.hasSearchResults",
+      false
+    );
+  }
+
+  dispose() {
+    if (this._cancellation) this._cancellation.cancel();
+  }
+}
+
+module.exports = {
+  ScopeSearch,
+  ScopeSearchResultsProvider,
+  createSearchRegex,
+  findMatches,
+  replacementFor,
+  searchFiles,
+};
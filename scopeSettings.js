@@ -0,0 +1,246 @@
+const vscode = require("vscode");
+
+const APPLIED_SETTINGS_KEY = "projectScopes.appliedSettings";
+const APPROVED_SETTINGS_KEY = "projectScopes.approvedSettings";
+const PREVIEW_SCHEME = "scope-settings";
+// Written by ScopeExcludeSync, whose snapshots would clash with ours
+const RESERVED_SETTINGS = ["files.exclude", "search.exclude"];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Applies the active scope's `settings` block as workspace settings.
+ * The workspace values it replaces are snapshotted in workspace state:
+ * { scopeName, requested, originals: { key: { value } }, applied: { key: value } }
+ * and written back when the scope is cleared. Settings changed by hand while
+ * the scope is active are left as the user set them.
+ */
+class ScopeSettingsSync {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this.context = context;
+    this._queue = Promise.resolve();
+    // Settings blocks the user declined this session, so they are not asked twice
+    this._declined = new Set();
+    this._previews = new Map();
+
+    context.subscriptions.push(
+      scopeManager.onScopeChanged(() => this.sync()),
+      // Scopes edited in settings.json are reloaded without a scope change event
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("projectScopes.scopes")) this.sync();
+      }),
+      vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, {
+        provideTextDocumentContent: (uri) =>
+          this._previews.get(uri.toString()) || "",
+      })
+    );
+
+    // Also reverts overrides left behind if the last session ended abruptly
+    this.sync();
+  }
+
+  // Settings block of the active scope, without the keys we may not touch
+  getDesiredSettings() {
+    const scopeName = this.scopeManager.getActiveScope();
+    const scope = scopeName && this.scopeManager.getScopes()[scopeName];
+    const settings = scope && scope.settings;
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      return {};
+    }
+
+    const desired = {};
+    for (const [key, value] of Object.entries(settings)) {
+      if (RESERVED_SETTINGS.includes(key)) {
+        console.warn(
+          `Scope "${scopeName}" sets ${key}, which is managed by projectScopes.excludeMode`
+        );
+        continue;
+      }
+      desired[key] = value;
+    }
+    return desired;
+  }
+
+  sync() {
+    this._queue = this._queue
+      .then(() => this._sync())
+      .catch((error) => {
+        console.error("Error applying scope settings:", error);
+        vscode.window.showErrorMessage(
+          `Error applying scope settings: ${error.message}`
+        );
+      });
+    return this._queue;
+  }
+
+  async _sync() {
+    const scopeName = this.scopeManager.getActiveScope();
+    const desired = this.getDesiredSettings();
+    const state = this.context.workspaceState.get(APPLIED_SETTINGS_KEY);
+
+    if (
+      state &&
+      state.scopeName === scopeName &&
+      same(state.requested, desired)
+    ) {
+      return;
+    }
+    if (Object.keys(desired).length === 0 || !(await this.confirm(desired))) {
+      await this._restore();
+      return;
+    }
+
+    const config = vscode.workspace.getConfiguration();
+    const originals = { ...((state && state.originals) || {}) };
+    const previous = (state && state.applied) || {};
+
+    // Overrides the new scope does not set go back to what they were
+    for (const key of Object.keys(previous)) {
+      if (!(key in desired)) {
+        await this._restoreSetting(key, originals[key], previous[key]);
+        delete originals[key];
+      }
+    }
+
+    const applied = {};
+    const failed = [];
+    for (const [key, value] of Object.entries(desired)) {
+      const current = config.inspect(key);
+      const currentValue = current && current.workspaceValue;
+      // A value changed by hand since we applied ours becomes the new original;
+      // values are wrapped so unset settings survive the round trip through JSON
+      if (!(key in originals) || !same(currentValue, previous[key])) {
+        originals[key] = { value: currentValue };
+      }
+      try {
+        if (!same(currentValue, value)) {
+          await config.update(key, value, vscode.ConfigurationTarget.Workspace);
+        }
+        applied[key] = value;
+      } catch (error) {
+        // Settings of extensions that are not installed cannot be written
+        console.warn(`Could not apply ${key}:`, error.message);
+        failed.push(key);
+        delete originals[key];
+      }
+    }
+
+    await this.context.workspaceState.update(APPLIED_SETTINGS_KEY, {
+      scopeName: scopeName,
+      requested: desired,
+      originals: originals,
+      applied: applied,
+    });
+    console.log(
+      `Applied settings of scope "${scopeName}":`,
+      Object.keys(applied)
+    );
+    if (failed.length > 0) {
+      vscode.window.showWarningMessage(
+        `Scope "${scopeName}" could not apply ${failed.join(
+          ", "
+        )}. Is the extension providing ${
+          failed.length === 1 ? "it" : "them"
+        } installed?`
+      );
+    }
+  }
+
+  // Put one setting back, unless the user changed it since we applied it
+  async _restoreSetting(key, original, applied) {
+    const config = vscode.workspace.getConfiguration();
+    const current = config.inspect(key);
+    if (!same(current && current.workspaceValue, applied)) {
+      console.log(`Keeping ${key}, it was changed while the scope was active`);
+      return;
+    }
+    await config.update(
+      key,
+      original ? original.value : undefined,
+      vscode.ConfigurationTarget.Workspace
+    );
+  }
+
+  async _restore() {
+    const state = this.context.workspaceState.get(APPLIED_SETTINGS_KEY);
+    if (!state) return;
+
+    for (const key of Object.keys(state.applied)) {
+      await this._restoreSetting(key, state.originals[key], state.applied[key]);
+    }
+    await this.context.workspaceState.update(APPLIED_SETTINGS_KEY, undefined);
+    console.log(`Reverted settings of scope "${state.scopeName}"`);
+  }
+
+  restore() {
+    this._queue = this._queue.then(() => this._restore());
+    return this._queue;
+  }
+
+  /**
+   * Before a scope's settings block is applied for the first time (or after
+   * it changed), show what will change and ask. Approval is remembered.
+   */
+  async confirm(desired) {
+    const scopeName = this.scopeManager.getActiveScope();
+    const signature = JSON.stringify(desired);
+    const approved = this.context.workspaceState.get(APPROVED_SETTINGS_KEY, {});
+    if (approved[scopeName] === signature) return true;
+    if (this._declined.has(`${scopeName}\u0000${signature}`)) return false;
+
+    const config = vscode.workspace.getConfiguration();
+    const before = {};
+    const changes = [];
+    for (const [key, value] of Object.entries(desired)) {
+      before[key] = config.get(key);
+      if (!same(before[key], value)) {
+        changes.push(
+          `${key}: ${JSON.stringify(before[key])} → ${JSON.stringify(value)}`
+        );
+      }
+    }
+
+    // Only ask when some value would actually change
+    if (changes.length > 0) {
+      const left = vscode.Uri.parse(
+        `${PREVIEW_SCHEME}:/${encodeURIComponent(scopeName)}/Current.json`
+      );
+      const right = vscode.Uri.parse(
+        `${PREVIEW_SCHEME}:/${encodeURIComponent(scopeName)}/Scope.json`
+      );
+      this._previews.set(left.toString(), JSON.stringify(before, null, 2));
+      this._previews.set(right.toString(), JSON.stringify(desired, null, 2));
+      await vscode.commands.executeCommand(
+        "vscode.diff",
+        left,
+        right,
+        `Settings of scope "${scopeName}"`,
+        { preview: true }
+      );
+
+      const choice = await vscode.window.showWarningMessage(
+        `Scope "${scopeName}" changes ${changes.length} workspace setting${
+          changes.length === 1 ? "" : "s"
+        }. Apply them while the scope is active?`,
+        { modal: true, detail: changes.join("\n") },
+        "Apply Settings"
+      );
+      if (choice !== "Apply Settings") {
+        this._declined.add(`${scopeName}\u0000${signature}`);
+        vscode.window.showInformationMessage(
+          `Settings of scope "${scopeName}" were not applied`
+        );
+        return false;
+      }
+    }
+
+    await this.context.workspaceState.update(APPROVED_SETTINGS_KEY, {
+      ...approved,
+      [scopeName]: signature,
+    });
+    return true;
+  }
+}
+
+module.exports = { ScopeSettingsSync };
@@ -0,0 +1,247 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+
+const PERSONAL_SCOPES_KEY = "projectScopes.personalScopes";
+const ACTIVE_SCOPE_KEY = "projectScopes.activeScope";
+const SHARED_FILE_CANDIDATES = [".vscode/scopes.json", ".scopes.json"];
+
+const LOCATIONS = {
+  shared: "Shared scopes file",
+  settings: "Workspace settings",
+  personal: "Personal (this machine only)",
+};
+
+const LAYER_ORDER = ["shared", "settings", "personal"];
+
+// Later layers win on name clashes so personal tweaks override team scopes
+function mergeLayers(layers) {
+  const scopes = {};
+  const sources = {};
+  for (const source of LAYER_ORDER) {
+    for (const [name, scope] of Object.entries(layers[source] || {})) {
+      scopes[name] = scope;
+      sources[name] = source;
+    }
+  }
+  return { scopes, sources };
+}
+
+// JSON of each merged scope with its layer, to tell later which ones changed
+function snapshotScopes(scopes, sources) {
+  const snapshot = {};
+  for (const [name, scope] of Object.entries(scopes)) {
+    snapshot[name] = {
+      source: sources[name] || "settings",
+      json: JSON.stringify(scope),
+    };
+  }
+  return snapshot;
+}
+
+/**
+ * Layer contents after saving the merged scopes. Only scopes that were added,
+ * edited, moved or removed since `snapshot` are written, so a scope hidden by
+ * a same-named scope in a later layer stays where it is.
+ */
+function updateLayers(layers, snapshot, scopes, sources) {
+  const updated = {};
+  for (const source of LAYER_ORDER) {
+    updated[source] = { ...(layers[source] || {}) };
+  }
+
+  // Deleted and renamed scopes leave the layer they were loaded from
+  for (const [name, loaded] of Object.entries(snapshot)) {
+    if (!(name in scopes)) delete updated[loaded.source][name];
+  }
+
+  for (const [name, scope] of Object.entries(scopes)) {
+    const source = sources[name] || "settings";
+    const loaded = snapshot[name];
+    if (
+      loaded &&
+      loaded.source === source &&
+      loaded.json === JSON.stringify(scope)
+    ) {
+      continue;
+    }
+    if (loaded && loaded.source !== source) {
+      delete updated[loaded.source][name];
+    }
+    updated[source][name] = scope;
+  }
+  return updated;
+}
+
+/**
+ * Reads and writes scope definitions from their three homes:
+ * - shared: .vscode/scopes.json (or .scopes.json) in the first workspace folder, meant to be committed
+ * - settings: projectScopes.scopes in workspace settings
+ * - personal: workspace state, never leaves this machine
+ * The active scope always lives in workspace state so it is per user.
+ */
+class ScopeStore {
+  constructor(context, getWorkspaceFolders) {
+    this.context = context;
+    this.getWorkspaceFolders = getWorkspaceFolders;
+    // Raw contents of every layer as last loaded or saved, including hidden scopes
+    this._layers = { shared: {}, settings: {}, personal: {} };
+    this._snapshot = {};
+  }
+
+  getPrimaryFolder() {
+    return this.getWorkspaceFolders()[0];
+  }
+
+  // Path of the existing shared file, or where a new one would be created
+  getSharedFilePath() {
+    const primaryFolder = this.getPrimaryFolder();
+    if (!primaryFolder) return null;
+
+    for (const candidate of SHARED_FILE_CANDIDATES) {
+      const filePath = path.join(primaryFolder.uri.fsPath, candidate);
+      if (fs.existsSync(filePath)) return filePath;
+    }
+    return path.join(primaryFolder.uri.fsPath, SHARED_FILE_CANDIDATES[0]);
+  }
+
+  readSharedScopes() {
+    const filePath = this.getSharedFilePath();
+    if (!filePath || !fs.existsSync(filePath)) return {};
+
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      return (content && content.scopes) || {};
+    } catch (error) {
+      console.error("Error reading shared scopes file:", filePath, error);
+      vscode.window.showWarningMessage(
+        `Could not read ${path.basename(filePath)}: ${error.message}`
+      );
+      return {};
+    }
+  }
+
+  load() {
+    const config = vscode.workspace.getConfiguration("projectScopes");
+    this._layers = {
+      shared: this.readSharedScopes(),
+      settings: config.get("scopes", {}) || {},
+      personal: this.context.workspaceState.get(PERSONAL_SCOPES_KEY, {}) || {},
+    };
+    const { scopes, sources } = mergeLayers(this._layers);
+    this._snapshot = snapshotScopes(scopes, sources);
+
+    // Older versions kept the active scope in settings
+    const storedActive = this.context.workspaceState.get(ACTIVE_SCOPE_KEY);
+    const activeScope =
+      storedActive !== undefined
+        ? storedActive
+        : config.get("activeScope", null) || null;
+    if (
+      storedActive === undefined &&
+      config.inspect("activeScope").workspaceValue !== undefined
+    ) {
+      this.migrateActiveScope(activeScope).catch((error) => {
+        console.error("Error migrating the active scope setting:", error);
+      });
+    }
+
+    return { scopes, sources, activeScope };
+  }
+
+  // Move the active scope out of settings.json, where it would be committed
+  async migrateActiveScope(activeScope) {
+    await this.context.workspaceState.update(ACTIVE_SCOPE_KEY, activeScope);
+    await vscode.workspace
+      .getConfiguration("projectScopes")
+      .update("activeScope", undefined, vscode.ConfigurationTarget.Workspace);
+    console.log("Moved the active scope from settings to workspace state");
+  }
+
+  async save(scopes, sources, activeScope) {
+    const layers = updateLayers(this._layers, this._snapshot, scopes, sources);
+
+    await this._saveShared(layers.shared);
+
+    // Leave settings.json alone unless its scopes actually changed
+    const config = vscode.workspace.getConfiguration("projectScopes");
+    const currentSettings = config.inspect("scopes").workspaceValue || {};
+    if (JSON.stringify(currentSettings) !== JSON.stringify(layers.settings)) {
+      await config.update(
+        "scopes",
+        Object.keys(layers.settings).length > 0 ? layers.settings : undefined,
+        vscode.ConfigurationTarget.Workspace
+      );
+    }
+
+    await this.context.workspaceState.update(
+      PERSONAL_SCOPES_KEY,
+      layers.personal
+    );
+    await this.context.workspaceState.update(
+      ACTIVE_SCOPE_KEY,
+      activeScope || null
+    );
+
+    // Deleting a scope uncovers a same-named scope of an earlier layer
+    const merged = mergeLayers(layers);
+    this._layers = layers;
+    this._snapshot = snapshotScopes(merged.scopes, merged.sources);
+    return merged;
+  }
+
+  async _saveShared(sharedScopes) {
+    const filePath = this.getSharedFilePath();
+    if (!filePath) return;
+
+    const exists = fs.existsSync(filePath);
+    if (!exists && Object.keys(sharedScopes).length === 0) return;
+
+    let content = {};
+    if (exists) {
+      try {
+        content = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+      } catch (error) {
+        throw new Error(
+          `${path.basename(filePath)} is not valid JSON: ${error.message}`
+        );
+      }
+    }
+
+    // Only rewrite the file when the shared definitions changed
+    if (JSON.stringify(content.scopes || {}) === JSON.stringify(sharedScopes)) {
+      return;
+    }
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...content, scopes: sharedScopes }, null, 2) + "\n"
+    );
+  }
+
+  // Fires when a shared scopes file is created, edited or deleted on disk
+  watchSharedFile(listener) {
+    const primaryFolder = this.getPrimaryFolder();
+    if (!primaryFolder) return new vscode.Disposable(() => {});
+
+    const watcher = vscode.workspace.createFileSystemWatcher(
+      new vscode.RelativePattern(
+        primaryFolder,
+        `{${SHARED_FILE_CANDIDATES.join(",")}}`
+      )
+    );
+    watcher.onDidCreate(listener);
+    watcher.onDidChange(listener);
+    watcher.onDidDelete(listener);
+    return watcher;
+  }
+}
+
+module.exports = {
+  ScopeStore,
+  LOCATIONS,
+  mergeLayers,
+  snapshotScopes,
+  updateLayers,
+};
@@ -0,0 +1,243 @@
+const vscode = require("vscode");
+const path = require("path");
+const fs = require("fs");
+const { parseScopeEntry, normalizePath } = require("./scopeMatcher");
+
+const TASK_TYPE = "projectScope";
+
+function readPackageScripts(dirPath) {
+  try {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(dirPath, "package.json"), "utf8")
+    );
+    return (manifest && manifest.scripts) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Package manager of the closest lock file between dirPath and the workspace root
+function detectPackageManager(dirPath, rootPath) {
+  let dir = dirPath;
+  for (;;) {
+    if (fs.existsSync(path.join(dir, "pnpm-lock.yaml"))) return "pnpm";
+    if (fs.existsSync(path.join(dir, "yarn.lock"))) return "yarn";
+    if (fs.existsSync(path.join(dir, "bun.lockb"))) return "bun";
+    if (fs.existsSync(path.join(dir, "package-lock.json"))) return "npm";
+
+    const parent = path.dirname(dir);
+    if (dir === rootPath || parent === dir) return "npm";
+    dir = parent;
+  }
+}
+
+/**
+ * Terminals and tasks for scopes that declare a working directory (`cwd`),
+ * environment variables (`env`) and commands (`scripts`). npm scripts of the
+ * package.json in the working directory are offered as well.
+ */
+class ScopeTerminals {
+  constructor(scopeManager, context) {
+    this.scopeManager = scopeManager;
+    this._terminals = new Map();
+
+    context.subscriptions.push(
+      vscode.tasks.registerTaskProvider(TASK_TYPE, this),
+      vscode.window.onDidCloseTerminal((terminal) => {
+        for (const [scopeName, scopeTerminal] of this._terminals) {
+          if (scopeTerminal === terminal) this._terminals.delete(scopeName);
+        }
+      }),
+      scopeManager.onDidChangeActiveScope((event) =>
+        this.onActiveScopeChanged(event.current)
+      )
+    );
+  }
+
+  /**
+   * Where commands of the scope run: { workspaceFolder, cwd }
+   * The declared cwd wins, then the first scope folder, then the workspace root.
+   */
+  getScopeRoot(scopeName) {
+    const scope = this.scopeManager.getScopes()[scopeName] || {};
+    const workspaceFolders = this.scopeManager.getWorkspaceFolders();
+    if (workspaceFolders.length === 0) return null;
+
+    const entryValue = scope.cwd || (scope.folders || [])[0];
+    if (entryValue) {
+      const entry = parseScopeEntry(
+        entryValue,
+        workspaceFolders.map((folder) => folder.name)
+      );
+      const workspaceFolder =
+        workspaceFolders.find((folder) => folder.name === entry.root) ||
+        workspaceFolders[0];
+      return {
+        workspaceFolder: workspaceFolder,
+        cwd: path.join(workspaceFolder.uri.fsPath, normalizePath(entry.path)),
+      };
+    }
+    return {
+      workspaceFolder: workspaceFolders[0],
+      cwd: workspaceFolders[0].uri.fsPath,
+    };
+  }
+
+  // Declared commands first, then the package.json scripts of the working directory
+  getScripts(scopeName) {
+    const scope = this.scopeManager.getScopes()[scopeName] || {};
+    const root = this.getScopeRoot(scopeName);
+    if (!root) return [];
+
+    const scripts = (scope.scripts || []).map((script) =>
+      typeof script === "string"
+        ? { name: script, command: script }
+        : { name: script.name || script.command, command: script.command }
+    );
+
+    const packageManager = detectPackageManager(
+      root.cwd,
+      root.workspaceFolder.uri.fsPath
+    );
+    for (const name of Object.keys(readPackageScripts(root.cwd))) {
+      scripts.push({
+        name: name,
+        command: `${packageManager} run ${name}`,
+        npm: true,
+      });
+    }
+    return scripts.filter((script) => script.command);
+  }
+
+  getEnv(scopeName) {
+    const scope = this.scopeManager.getScopes()[scopeName] || {};
+    const env = {};
+    for (const [key, value] of Object.entries(scope.env || {})) {
+      env[key] = String(value);
+    }
+    return env;
+  }
+
+  getTerminal(scopeName, create = true) {
+    const existing = this._terminals.get(scopeName);
+    if (existing && existing.exitStatus === undefined) return existing;
+    if (!create) return null;
+
+    const root = this.getScopeRoot(scopeName);
+    const terminal = vscode.window.createTerminal({
+      name: `Scope: ${scopeName}`,
+      cwd: root ? root.cwd : undefined,
+      env: this.getEnv(scopeName),
+      iconPath: new vscode.ThemeIcon("folder-active"),
+    });
+    this._terminals.set(scopeName, terminal);
+    return terminal;
+  }
+
+  async runInScope(scopeName) {
+    if (!scopeName) {
+      const scopeNames = Object.keys(this.scopeManager.getScopes());
+      if (scopeNames.length === 0) {
+        vscode.window.showWarningMessage(
+          "No scopes defined. Create a scope first."
+        );
+        return;
+      }
+      const activeScope = this.scopeManager.getActiveScope();
+      scopeName = scopeNames.includes(activeScope)
+        ? activeScope
+        : await vscode.window.showQuickPick(scopeNames, {
+            placeHolder: "Select a scope to run in",
+          });
+      if (!scopeName) return;
+    }
+
+    const root = this.getScopeRoot(scopeName);
+    const items = [
+      {
+        label: "$(terminal) Open Terminal",
+        description: root ? root.cwd : "",
+        command: null,
+      },
+      ...this.getScripts(scopeName).map((script) => ({
+        label: `$(${script.npm ? "package" : "play"}) ${script.name}`,
+        description: script.command === script.name ? "" : script.command,
+        command: script.command,
+      })),
+    ];
+
+    const selected = await vscode.window.showQuickPick(items, {
+      placeHolder: `Run in scope "${scopeName}"`,
+    });
+    if (!selected) return;
+
+    const terminal = this.getTerminal(scopeName);
+    terminal.show();
+    if (selected.command) terminal.sendText(selected.command);
+  }
+
+  // projectScopes.terminalOnActivate: "off", "focus" an open terminal or "create" one
+  onActiveScopeChanged(scopeName) {
+    if (!scopeName || !this.scopeManager.getScopes()[scopeName]) return;
+
+    const mode = vscode.workspace
+      .getConfiguration("projectScopes")
+      .get("terminalOnActivate", "off");
+    if (mode === "off") return;
+
+    const terminal = this.getTerminal(scopeName, mode === "create");
+    if (terminal) terminal.show(true);
+  }
+
+  createTask(scopeName, script) {
+    const root = this.getScopeRoot(scopeName);
+    if (!root) return null;
+
+    const task = new vscode.Task(
+      { type: TASK_TYPE, scope: scopeName, script: script.name },
+      root.workspaceFolder,
+      `${scopeName}: ${script.name}`,
+      "Project Scopes",
+      new vscode.ShellExecution(script.command, {
+        cwd: root.cwd,
+        env: this.getEnv(scopeName),
+      })
+    );
+    task.detail = script.command;
+    return task;
+  }
+
+  provideTasks() {
+    const tasks = [];
+    for (const scopeName of Object.keys(this.scopeManager.getScopes())) {
+      for (const script of this.getScripts(scopeName)) {
+        const task = this.createTask(scopeName, script);
+        if (task) tasks.push(task);
+      }
+    }
+    return tasks;
+  }
+
+  // Tasks configured in tasks.json name their scope and script
+  resolveTask(task) {
+    const { scope, script } = task.definition;
+    if (!scope || !script) return undefined;
+
+    const found = this.getScripts(scope).find(
+      (candidate) => candidate.name === script
+    );
+    if (!found) return undefined;
+
+    const resolved = this.createTask(scope, found);
+    // VS Code expects the original definition back
+    return new vscode.Task(
+      task.definition,
+      resolved.scope,
+      resolved.name,
+      resolved.source,
+      resolved.execution
+    );
+  }
+}
+
+module.exports = { ScopeTerminals, TASK_TYPE };
@@ -0,0 +1,30 @@
+const assert = require('assert');
+const { createApi } = require('../api');
+
+// Scope manager with one static scope and nothing active
+function createScopeManager(activeScope = null) {
+	return {
+		getActiveScope: () => activeScope,
+		hasScope: (scopeName) => scopeName === 'Backend',
+		resolveFiles: async (scopeName) => [`${scopeName}/index.js`],
+		isInScope: () => true,
+	};
+}
+
+suite('Extension API', () => {
+	test('no active scope resolves to no files', async () => {
+		const api = createApi(createScopeManager());
+		assert.deepStrictEqual(await api.resolveFiles(), []);
+		assert.strictEqual(api.isInScope({ fsPath: '/a.js' }), false);
+	});
+
+	test('defaults to the active scope', async () => {
+		const api = createApi(createScopeManager('Backend'));
+		assert.deepStrictEqual(await api.resolveFiles(), ['Backend/index.js']);
+	});
+
+	test('unknown scopes are rejected', async () => {
+		const api = createApi(createScopeManager());
+		await assert.rejects(api.resolveFiles('Missing'), /Scope "Missing" not found/);
+	});
+});
@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { EditorSessions } = require('../editorSessions');
+
+// Just the parts of the extension context and scope manager sessions use
+function createSessions(stored) {
+	const state = new Map([['projectScopes.editorSessions', stored]]);
+	const context = {
+		subscriptions: [],
+		workspaceState: {
+			get: (key, fallback) => (state.has(key) ? state.get(key) : fallback),
+			update: async (key, value) => state.set(key, value),
+		},
+	};
+	const scopeManager = {
+		onDidChangeActiveScope: () => ({ dispose() {} }),
+		onDidRenameScope: () => ({ dispose() {} }),
+	};
+	return {
+		sessions: new EditorSessions(scopeManager, context),
+		stored: () => state.get('projectScopes.editorSessions'),
+	};
+}
+
+suite('EditorSessions', () => {
+	const session = { activeViewColumn: 1, groups: [] };
+
+	test('a renamed scope keeps its session', async () => {
+		const { sessions, stored } = createSessions({ Backend: session, '': session });
+		await sessions.renameSession('Backend', 'Server');
+		assert.deepStrictEqual(Object.keys(stored()).sort(), ['', 'Server']);
+		assert.deepStrictEqual(stored().Server, session);
+	});
+
+	test('a deleted scope drops its session', async () => {
+		const { sessions, stored } = createSessions({ Backend: session, Web: session });
+		await sessions.renameSession('Backend', null);
+		assert.deepStrictEqual(Object.keys(stored()), ['Web']);
+	});
+});
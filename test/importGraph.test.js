@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { parseImports } = require('../importGraph');
+
+suite('parseImports', () => {
+	test('finds import, export, require and dynamic import', () => {
+		const source = [
+			'import a from "./a";',
+			"import { b, c as d } from './b';",
+			'import type { T } from "./types";',
+			'import "./side-effect";',
+			'export * from "./all";',
+			'export { e } from "./e";',
+			'const f = require("./f");',
+			'const g = await import("./g");',
+		].join('\n');
+		assert.deepStrictEqual(parseImports(source).sort(), [
+			'./a',
+			'./all',
+			'./b',
+			'./e',
+			'./f',
+			'./g',
+			'./side-effect',
+			'./types',
+		]);
+	});
+
+	test('ignores imports inside comments', () => {
+		const source = [
+			'// import x from "./line";',
+			'/* import y from "./block"; */',
+			'/**',
+			' * require("./doc")',
+			' */',
+			'import z from "./z";',
+		].join('\n');
+		assert.deepStrictEqual(parseImports(source), ['./z']);
+	});
+
+	test('comment markers inside strings do not start comments', () => {
+		const source =
+			'const g = "packages/*"; import a from "./a"; import b from "./b"; /* note */ import c from "./c"';
+		assert.deepStrictEqual(parseImports(source).sort(), ['./a', './b', './c']);
+	});
+
+	test('comment markers inside templates and regular expressions', () => {
+		const source = [
+			'const url = `http://example.com/${path}/*`;',
+			'import a from "./a";',
+			'const re = /[/*]+/g;',
+			'import b from "./b";',
+			"const s = 'a//b';",
+			'import c from "./c"; // trailing */',
+			'const ratio = total / count; import d from "./d";',
+		].join('\n');
+		assert.deepStrictEqual(parseImports(source).sort(), [
+			'./a',
+			'./b',
+			'./c',
+			'./d',
+		]);
+	});
+});
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const { parseStatus } = require('../scopeChanges');
+
+// git status --porcelain=v1 -z output for the records
+function porcelain(...records) {
+	return records.join('\0') + '\0';
+}
+
+suite('parseStatus', () => {
+	test('staged, unstaged and untracked files', () => {
+		assert.deepStrictEqual(
+			parseStatus(porcelain('M  src/staged.js', ' M src/edited.js', '?? new file.js')),
+			[
+				{ path: 'src/staged.js', originalPath: null, status: 'M', group: 'staged' },
+				{ path: 'src/edited.js', status: 'M', group: 'changes' },
+				{ path: 'new file.js', status: '?', group: 'changes' },
+			]
+		);
+	});
+
+	test('a file changed again after staging shows up in both groups', () => {
+		assert.deepStrictEqual(parseStatus(porcelain('AM src/a.js')), [
+			{ path: 'src/a.js', originalPath: null, status: 'A', group: 'staged' },
+			{ path: 'src/a.js', status: 'M', group: 'changes' },
+		]);
+	});
+
+	test('renames carry their source path', () => {
+		assert.deepStrictEqual(
+			parseStatus(porcelain('R  src/new.js', 'src/old.js', ' D gone.js')),
+			[
+				{ path: 'src/new.js', originalPath: 'src/old.js', status: 'R', group: 'staged' },
+				{ path: 'gone.js', status: 'D', group: 'changes' },
+			]
+		);
+	});
+
+	test('conflicts go to the merge group', () => {
+		assert.deepStrictEqual(parseStatus(porcelain('UU a.js', 'AA b.js', 'DU c.js')), [
+			{ path: 'a.js', status: 'U', group: 'merge' },
+			{ path: 'b.js', status: 'U', group: 'merge' },
+			{ path: 'c.js', status: 'U', group: 'merge' },
+		]);
+	});
+
+	test('ignored files and empty output', () => {
+		assert.deepStrictEqual(parseStatus(porcelain('!! build/out.js')), []);
+		assert.deepStrictEqual(parseStatus(''), []);
+	});
+});
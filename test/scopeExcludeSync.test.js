@@ -0,0 +1,33 @@
+const assert = require('assert');
+const { mergeUserEdits } = require('../scopeExcludeSync');
+
+suite('mergeUserEdits', () => {
+	const original = { '**/.git': true, '**/dist': true };
+	const written = { ...original, lib: true, 'docs/[[]old[]]': true };
+
+	test('the sync writing its own value is not an edit', () => {
+		assert.strictEqual(mergeUserEdits(original, written, { ...written }), null);
+	});
+
+	test('patterns added or changed by hand are kept', () => {
+		assert.deepStrictEqual(
+			mergeUserEdits(original, written, { ...written, '**/dist': false, tmp: true }),
+			{ '**/.git': true, '**/dist': false, tmp: true }
+		);
+	});
+
+	test('patterns removed by hand are dropped', () => {
+		const current = { ...written };
+		delete current['**/.git'];
+		assert.deepStrictEqual(mergeUserEdits(original, written, current), {
+			'**/dist': true,
+		});
+	});
+
+	test('an unset setting stays unset unless patterns were added', () => {
+		assert.strictEqual(mergeUserEdits(undefined, { lib: true }, {}), undefined);
+		assert.deepStrictEqual(mergeUserEdits(undefined, { lib: true }, { lib: true, tmp: true }), {
+			tmp: true,
+		});
+	});
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const path = require('path');
+const vscode = require('vscode');
+const { ScopeFileSystemProvider } = require('../scopeFileSystemProvider');
+const { ScopeMatcher } = require('../scopeMatcher');
+
+// Just the parts of the scope manager the provider's watchers use
+function createProvider(scope) {
+	const root = path.resolve('/workspace');
+	const workspaceFolder = { name: 'workspace', uri: vscode.Uri.file(root) };
+	const scopeManager = {
+		getActiveScope: () => (scope ? 'Scope' : null),
+		getActiveMatcher: () => (scope ? new ScopeMatcher(scope) : null),
+		resolvePath: (fsPath) => {
+			const relativePath = path.relative(root, fsPath);
+			if (relativePath.startsWith('..')) return null;
+			return { workspaceFolder, relativePath: relativePath.replace(/\\/g, '/') };
+		},
+		onScopeChanged: () => ({ dispose() {} }),
+	};
+	return { provider: new ScopeFileSystemProvider(scopeManager), root };
+}
+
+function describe(patterns) {
+	return patterns.map((pattern) => `${pattern.baseUri.fsPath}|${pattern.pattern}`);
+}
+
+suite('ScopeFileSystemProvider watchers', () => {
+	test('only the scope folders below the watched folder are watched', () => {
+		const { provider, root } = createProvider({ folders: ['src/app', 'docs'] });
+		assert.deepStrictEqual(describe(provider.getWatchPatterns(root, true)), [
+			`${root}|docs/**`,
+			`${root}|src/app/**`,
+		]);
+		assert.deepStrictEqual(
+			describe(provider.getWatchPatterns(path.join(root, 'src'), true)),
+			[`${root}|src/app/**`]
+		);
+		assert.deepStrictEqual(provider.getWatchPatterns(path.join(root, 'lib'), true), []);
+	});
+
+	test('folders inside the scope are watched as a whole', () => {
+		const { provider, root } = createProvider({ folders: ['src'] });
+		const folder = path.join(root, 'src', 'app');
+		assert.deepStrictEqual(describe(provider.getWatchPatterns(folder, true)), [
+			`${folder}|**/*`,
+		]);
+	});
+
+	test('without an active scope everything is watched', () => {
+		const { provider, root } = createProvider(null);
+		assert.deepStrictEqual(describe(provider.getWatchPatterns(root, true)), [`${root}|**/*`]);
+		assert.deepStrictEqual(describe(provider.getWatchPatterns(root, false)), [`${root}|*`]);
+	});
+});
@@ -0,0 +1,136 @@
+const assert = require('assert');
+const {
+	fromJetBrainsPattern,
+	toJetBrainsPattern,
+	parseJetBrainsPattern,
+	readJetBrainsScopes,
+} = require('../scopeInterop');
+const { ScopeMatcher } = require('../scopeMatcher');
+
+function fromJetBrains(pattern, workspaceFolderNames = ['app']) {
+	return fromJetBrainsPattern(pattern, workspaceFolderNames);
+}
+
+function toJetBrains(scope, others = {}) {
+	const problems = [];
+	const pattern = toJetBrainsPattern('Scope', { Scope: scope, ...others }, problems, [
+		'app',
+		'lib',
+	]);
+	return { pattern, problems };
+}
+
+suite('JetBrains scope patterns', () => {
+	test('parses operators by precedence', () => {
+		const tree = parseJetBrainsPattern('file:a//*||file:b//*&&!file:*.md');
+		assert.strictEqual(tree.type, 'or');
+		assert.strictEqual(tree.parts[1].type, 'and');
+		assert.strictEqual(tree.parts[1].parts[1].type, 'not');
+		assert.throws(() => parseJetBrainsPattern('(file:a//*'), /Missing "\)"/);
+	});
+
+	test('reads scopes from project files', () => {
+		const xml =
+			'<component name="DependencyValidationManager">' +
+			'<scope name="Main &amp; Tests" pattern="file:src//*&amp;&amp;!file:*.md" />' +
+			'<scope name="Referenced" />' +
+			'</component>';
+		assert.deepStrictEqual(readJetBrainsScopes(xml), [
+			{ name: 'Main & Tests', pattern: 'file:src//*&&!file:*.md' },
+		]);
+	});
+
+	test('folders and globs', () => {
+		assert.deepStrictEqual(fromJetBrains('file:src/main//*||file:src//*.ts'), {
+			definition: { folders: ['src/main'], include: ['src/**/*.ts'], exclude: [] },
+			problems: [],
+		});
+	});
+
+	test('file names without a folder match anywhere', () => {
+		const { definition, problems } = fromJetBrains(
+			'file:src/main//*&&!file:*Test.java'
+		);
+		assert.deepStrictEqual(definition, {
+			folders: ['src/main'],
+			include: [],
+			exclude: ['**/*Test.java'],
+		});
+		assert.deepStrictEqual(problems, []);
+
+		const matcher = new ScopeMatcher(definition);
+		assert.ok(matcher.matches('src/main/java/Foo.java'));
+		assert.ok(!matcher.matches('src/main/java/FooTest.java'));
+	});
+
+	test('a folder and a file name pattern intersect', () => {
+		assert.deepStrictEqual(fromJetBrains('file:src//*&&file:*.java'), {
+			definition: { folders: [], include: ['src/**/*.java'], exclude: [] },
+			problems: [],
+		});
+		assert.deepStrictEqual(
+			fromJetBrains('(file:a//*||file:b//*)&&file:*.ts').definition.include,
+			['a/**/*.ts', 'b/**/*.ts']
+		);
+	});
+
+	test('other intersections are reported', () => {
+		const { definition, problems } = fromJetBrains('file:a//*&&file:b//*');
+		assert.deepStrictEqual(definition.folders, ['a']);
+		assert.strictEqual(problems.length, 1);
+		assert.match(problems[0], /Intersections/);
+	});
+
+	test('untranslatable terms are reported', () => {
+		const { definition, problems } = fromJetBrains('src:com.acme..*');
+		assert.strictEqual(definition, null);
+		assert.match(problems[0], /src: patterns/);
+	});
+
+	test('modules become workspace folder roots in multi-root workspaces', () => {
+		const { definition } = fromJetBrains('file[app]:src//*', ['app', 'lib']);
+		assert.deepStrictEqual(definition.folders, ['app:src']);
+	});
+
+	test('exports folders, globs and excludes', () => {
+		assert.deepStrictEqual(
+			toJetBrains({
+				folders: ['src/main'],
+				include: ['src/**/*.ts'],
+				exclude: ['**/*Test.java'],
+			}),
+			{
+				pattern: '(file:src/main//*||file:src//*.ts)&&!file:*Test.java',
+				problems: [],
+			}
+		);
+		assert.deepStrictEqual(toJetBrains({ folders: ['app:src'] }).pattern, 'file[app]:src//*');
+	});
+
+	test('exports composed scopes inline', () => {
+		const { pattern } = toJetBrains(
+			{ folders: ['src'], minus: ['Tests'] },
+			{ Tests: { include: ['**/*.test.js'] } }
+		);
+		assert.strictEqual(pattern, 'file:src//*&&!file:*.test.js');
+	});
+
+	test('round trips', () => {
+		for (const scope of [
+			{ folders: ['src/main'], include: [], exclude: ['**/*Test.java'] },
+			{ folders: [], include: ['src/**/*.java', '**/*.md'], exclude: [] },
+			{ folders: ['app:web', 'docs'], include: [], exclude: ['docs/drafts/**'] },
+		]) {
+			const { pattern, problems } = toJetBrains(scope);
+			assert.deepStrictEqual(problems, []);
+			assert.deepStrictEqual(fromJetBrains(pattern, ['app', 'lib']).definition, scope);
+		}
+		for (const pattern of [
+			'file:src/main//*&&!file:*Test.java',
+			'(file:src//*.java||file:*.md)',
+		]) {
+			const { definition } = fromJetBrains(pattern);
+			assert.strictEqual(toJetBrains(definition).pattern, pattern);
+		}
+	});
+});
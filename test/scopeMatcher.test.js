@@ -0,0 +1,214 @@
+const assert = require('assert');
+const {
+	ScopeMatcher,
+	UnionMatcher,
+	IntersectionMatcher,
+	DifferenceMatcher,
+	FileSetMatcher,
+	escapeGlob,
+	expandBraces,
+	parsePatternList,
+	parseScopeEntry,
+} = require('../scopeMatcher');
+
+suite('ScopeMatcher', () => {
+	test('folders include everything below them', () => {
+		const matcher = new ScopeMatcher({ folders: ['src/app'] });
+		assert.ok(matcher.matches('src/app/main.ts'));
+		assert.ok(matcher.matches('src/app/deep/nested/file.ts'));
+		assert.ok(!matcher.matches('src/application/main.ts'));
+		assert.ok(!matcher.matches('src/main.ts'));
+		assert.deepStrictEqual(matcher.roots(), ['src/app']);
+	});
+
+	test('globs support **, *, ? and character classes', () => {
+		const matcher = new ScopeMatcher({
+			include: ['src/**/*.ts', 'docs/?.md', 'lib/[ab]*.js', 'bin/[!x]*'],
+		});
+		assert.ok(matcher.matches('src/main.ts'));
+		assert.ok(matcher.matches('src/a/b/c.ts'));
+		assert.ok(!matcher.matches('src/a/b/c.js'));
+		assert.ok(matcher.matches('docs/a.md'));
+		assert.ok(!matcher.matches('docs/ab.md'));
+		assert.ok(matcher.matches('lib/alpha.js'));
+		assert.ok(!matcher.matches('lib/gamma.js'));
+		assert.ok(matcher.matches('bin/run'));
+		assert.ok(!matcher.matches('bin/xrun'));
+	});
+
+	test('excludes hide matching files and whole directories', () => {
+		const matcher = new ScopeMatcher({
+			folders: ['src'],
+			exclude: ['**/*.test.ts', 'src/generated'],
+		});
+		assert.ok(matcher.matches('src/main.ts'));
+		assert.ok(!matcher.matches('src/main.test.ts'));
+		assert.ok(!matcher.matches('src/generated/types.ts'));
+		assert.ok(!matcher.mayContain('src/generated'));
+		assert.ok(matcher.mayContain('src'));
+	});
+
+	test('braces expand to alternatives', () => {
+		assert.deepStrictEqual(expandBraces('src/{a,b}/*.{js,ts}'), [
+			'src/a/*.js',
+			'src/a/*.ts',
+			'src/b/*.js',
+			'src/b/*.ts',
+		]);
+		const matcher = new ScopeMatcher({ include: ['{api,web}/**'] });
+		assert.ok(matcher.matches('api/index.js'));
+		assert.ok(matcher.matches('web/index.js'));
+		assert.ok(!matcher.matches('cli/index.js'));
+	});
+
+	test('folder names with braces and glob characters are literal', () => {
+		assert.deepStrictEqual(expandBraces(escapeGlob('{a,b}')), ['[{]a,b[}]']);
+
+		const matcher = new ScopeMatcher({ folders: ['pkg/{a,b}', 'what?[1]'] });
+		assert.ok(matcher.matches('pkg/{a,b}/index.js'));
+		assert.ok(!matcher.matches('pkg/a/index.js'));
+		assert.ok(!matcher.matches('pkg/b/index.js'));
+		assert.ok(matcher.matches('what?[1]/file'));
+		assert.ok(!matcher.matches('whatx1/file'));
+	});
+
+	test('coversDirectory only for folders wholly in scope', () => {
+		const matcher = new ScopeMatcher({
+			folders: ['src'],
+			include: ['docs/*.md'],
+		});
+		assert.ok(matcher.coversDirectory('src'));
+		assert.ok(matcher.coversDirectory('src/deep'));
+		assert.ok(!matcher.coversDirectory('docs'));
+		assert.ok(!matcher.coversDirectory(''));
+	});
+
+	test('specificity is the length of the longest matching base', () => {
+		const matcher = new ScopeMatcher({ folders: ['services', 'services/api'] });
+		assert.strictEqual(matcher.specificity('services/api/x.js'), 2);
+		assert.strictEqual(matcher.specificity('services/web/x.js'), 1);
+		assert.strictEqual(matcher.specificity('other/x.js'), -1);
+	});
+
+	test('entries of other workspace folders are left out', () => {
+		const scope = {
+			folders: ['api:src', 'web:app', 'shared'],
+			exclude: ['api:src/legacy'],
+		};
+		const rootNames = ['api', 'web'];
+		const api = new ScopeMatcher(scope, 'api', rootNames);
+		assert.ok(api.matches('src/index.js'));
+		assert.ok(!api.matches('src/legacy/old.js'));
+		assert.ok(!api.matches('app/index.js'));
+		assert.ok(api.matches('shared/util.js'));
+
+		const web = new ScopeMatcher(scope, 'web', rootNames);
+		assert.ok(web.matches('app/index.js'));
+		assert.ok(!web.matches('src/index.js'));
+		assert.ok(web.matches('shared/util.js'));
+	});
+});
+
+suite('parseScopeEntry', () => {
+	test('splits off a known workspace folder name', () => {
+		assert.deepStrictEqual(parseScopeEntry('api:src/routes', ['api', 'web']), {
+			root: 'api',
+			path: 'src/routes',
+		});
+	});
+
+	test('keeps colons of folder names that are not roots', () => {
+		assert.deepStrictEqual(parseScopeEntry('a:b/c', ['api']), {
+			root: null,
+			path: 'a:b/c',
+		});
+		assert.deepStrictEqual(parseScopeEntry('api:src'), {
+			root: null,
+			path: 'api:src',
+		});
+	});
+
+	test('prefers the longest matching root', () => {
+		assert.deepStrictEqual(parseScopeEntry('my:app:src', ['my', 'my:app']), {
+			root: 'my:app',
+			path: 'src',
+		});
+	});
+
+	test('folders with a colon are matched literally', () => {
+		const matcher = new ScopeMatcher({ folders: ['notes:2024'] }, 'repo', [
+			'repo',
+		]);
+		assert.ok(matcher.matches('notes:2024/jan.md'));
+	});
+});
+
+suite('parsePatternList', () => {
+	test('splits on commas and newlines but not inside braces', () => {
+		assert.deepStrictEqual(parsePatternList('a/**, *.{js,ts}\nb'), [
+			'a/**',
+			'*.{js,ts}',
+			'b',
+		]);
+	});
+
+	test('escaped braces do not open a group', () => {
+		assert.deepStrictEqual(parsePatternList('src/[{]x, lib/**'), ['src/[{]x', 'lib/**']);
+		assert.deepStrictEqual(parsePatternList(`${escapeGlob('{a')}/**, b/**`), [
+			'[{]a/**',
+			'b/**',
+		]);
+	});
+});
+
+suite('Composite matchers', () => {
+	const src = new ScopeMatcher({ folders: ['src'] });
+	const tests = new ScopeMatcher({ include: ['**/*.test.js'] });
+	const api = new ScopeMatcher({ folders: ['src/api'] });
+
+	test('union matches either part', () => {
+		const union = new UnionMatcher([api, new ScopeMatcher({ folders: ['docs'] })]);
+		assert.ok(union.matches('src/api/a.js'));
+		assert.ok(union.matches('docs/a.md'));
+		assert.ok(!union.matches('src/web/a.js'));
+		assert.deepStrictEqual(union.roots().sort(), ['docs', 'src/api']);
+	});
+
+	test('intersection matches both parts and keeps the deeper root', () => {
+		const intersection = new IntersectionMatcher([src, tests]);
+		assert.ok(intersection.matches('src/a.test.js'));
+		assert.ok(!intersection.matches('src/a.js'));
+		assert.ok(!intersection.matches('lib/a.test.js'));
+		assert.deepStrictEqual(
+			new IntersectionMatcher([src, api]).roots(),
+			['src/api']
+		);
+	});
+
+	test('difference removes the subtracted scope', () => {
+		const difference = new DifferenceMatcher(src, api);
+		assert.ok(difference.matches('src/web/a.js'));
+		assert.ok(!difference.matches('src/api/a.js'));
+		assert.ok(!difference.mayContain('src/api'));
+		assert.strictEqual(difference.specificity('src/web/a.js'), 1);
+		assert.strictEqual(difference.specificity('src/api/a.js'), -1);
+	});
+
+	test('union specificity is the best of its parts', () => {
+		const union = new UnionMatcher([src, api]);
+		assert.strictEqual(union.specificity('src/api/a.js'), 2);
+		assert.strictEqual(union.specificity('lib/a.js'), -1);
+	});
+});
+
+suite('FileSetMatcher', () => {
+	test('matches listed files and their directories', () => {
+		const matcher = new FileSetMatcher(['src/a.js', './lib/b/c.js']);
+		assert.ok(matcher.matches('src/a.js'));
+		assert.ok(matcher.matches('lib/b/c.js'));
+		assert.ok(!matcher.matches('src/b.js'));
+		assert.ok(matcher.mayContain('lib/b'));
+		assert.ok(!matcher.coversDirectory('src'));
+		assert.deepStrictEqual(matcher.roots().sort(), ['lib', 'src']);
+	});
+});
@@ -0,0 +1,51 @@
+const assert = require('assert');
+const { renameEntry } = require('../scopeRepair');
+
+suite('renameEntry', () => {
+	const api = { name: 'api' };
+	const rootNames = ['api', 'web'];
+
+	test('folders follow a rename of themselves or a parent', () => {
+		assert.strictEqual(renameEntry('src/old', api, 'src/old', 'src/new', false), 'src/new');
+		assert.strictEqual(
+			renameEntry('src/old/deep', api, 'src/old', 'src/new', false),
+			'src/new/deep'
+		);
+		assert.strictEqual(renameEntry('./src/old/', api, 'src/old', 'lib', false), 'lib');
+	});
+
+	test('unrelated entries are left alone', () => {
+		assert.strictEqual(renameEntry('src/older', api, 'src/old', 'src/new', false), null);
+		assert.strictEqual(renameEntry('src', api, 'src/old', 'src/new', false), null);
+	});
+
+	test('globs follow the rename of their literal part', () => {
+		assert.strictEqual(
+			renameEntry('src/old/**/*.ts', api, 'src/old', 'src/new', true),
+			'src/new/**/*.ts'
+		);
+		assert.strictEqual(
+			renameEntry('pkg/[[]v1[]]/**', api, 'pkg/[v1]', 'pkg/v2', true),
+			'pkg/v2/**'
+		);
+		assert.strictEqual(renameEntry('**/old/*.ts', api, 'old', 'new', true), null);
+	});
+
+	test('entries of other workspace folders are left alone', () => {
+		assert.strictEqual(
+			renameEntry('api:src/old', api, 'src/old', 'src/new', false, rootNames),
+			'api:src/new'
+		);
+		assert.strictEqual(
+			renameEntry('web:src/old', api, 'src/old', 'src/new', false, rootNames),
+			null
+		);
+	});
+
+	test('folder names with a colon are paths, not roots', () => {
+		assert.strictEqual(
+			renameEntry('notes:2024', api, 'notes:2024', 'notes-2024', false, rootNames),
+			'notes-2024'
+		);
+	});
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const {
+	createSearchRegex,
+	findMatches,
+	replacementFor,
+} = require('../scopeSearch');
+
+// Every line with its matches replaced, the way Replace in Scope edits files
+function replaceAll(text, query, replacement, options) {
+	const regex = createSearchRegex(query, options);
+	const lines = text.split('\n');
+	for (const match of findMatches(text, regex).reverse()) {
+		const line = lines[match.line];
+		lines[match.line] =
+			line.slice(0, match.start) +
+			replacementFor(match, regex, replacement, options) +
+			line.slice(match.end);
+	}
+	return lines.join('\n');
+}
+
+suite('Search in Scope', () => {
+	test('plain queries are literal and case-insensitive by default', () => {
+		const matches = findMatches('a.b A.B axb', createSearchRegex('a.b'));
+		assert.deepStrictEqual(
+			matches.map((match) => match.text),
+			['a.b', 'A.B']
+		);
+	});
+
+	test('whole word and match case', () => {
+		const regex = createSearchRegex('id', { wholeWord: true, matchCase: true });
+		assert.deepStrictEqual(
+			findMatches('id ID valid id2 (id)', regex).map((match) => match.start),
+			[0, 17]
+		);
+	});
+
+	test('plain replacements are inserted as written', () => {
+		assert.strictEqual(
+			replaceAll('price: $1', '$1', '$2', {}),
+			'price: $2'
+		);
+	});
+
+	test('regex replacements expand groups', () => {
+		const options = { regex: true, matchCase: true };
+		assert.strictEqual(
+			replaceAll('foo(1, 2)', '(\\w+)\\((\\d), (\\d)\\)', '$1($3, $2)', options),
+			'foo(2, 1)'
+		);
+		assert.strictEqual(
+			replaceAll('v1.2', '(?<major>\\d)\\.(?<minor>\\d)', '$<minor>.$<major>', options),
+			'v2.1'
+		);
+		assert.strictEqual(replaceAll('ab', 'b', '[$&]', options), 'a[b]');
+	});
+
+	test('regex replacements see the text around the match', () => {
+		const options = { regex: true, matchCase: true };
+		assert.strictEqual(replaceAll('foobar bar', '(?<=foo)bar', 'BAZ', options), 'fooBAZ bar');
+		assert.strictEqual(replaceAll('bar foobar', 'bar(?! )', 'BAZ', options), 'bar fooBAZ');
+		assert.strictEqual(replaceAll('x x\nx', '^x', 'y', options), 'y x\ny');
+		assert.strictEqual(replaceAll('x x', 'x$', 'y', options), 'x y');
+		assert.strictEqual(replaceAll('cat concat', '\\bcat', 'dog', options), 'dog concat');
+	});
+});
@@ -0,0 +1,101 @@
+const assert = require('assert');
+const {
+	mergeLayers,
+	snapshotScopes,
+	updateLayers,
+} = require('../scopeStore');
+
+// What ScopeStore.load() hands to the scope manager, plus its snapshot
+function load(layers) {
+	const { scopes, sources } = mergeLayers(layers);
+	return {
+		scopes: { ...scopes },
+		sources: { ...sources },
+		snapshot: snapshotScopes(scopes, sources),
+	};
+}
+
+suite('Scope store layers', () => {
+	const layers = {
+		shared: {
+			Backend: { folders: ['server'] },
+			Docs: { folders: ['docs'] },
+		},
+		settings: {
+			Backend: { folders: ['server', 'shared'] },
+			Web: { folders: ['web'] },
+		},
+		personal: {
+			Web: { folders: ['web/src'] },
+		},
+	};
+
+	test('later layers win on name clashes', () => {
+		const { scopes, sources } = mergeLayers(layers);
+		assert.deepStrictEqual(scopes.Backend, { folders: ['server', 'shared'] });
+		assert.strictEqual(sources.Backend, 'settings');
+		assert.deepStrictEqual(scopes.Web, { folders: ['web/src'] });
+		assert.strictEqual(sources.Web, 'personal');
+		assert.strictEqual(sources.Docs, 'shared');
+	});
+
+	test('saving unchanged scopes keeps shadowed scopes', () => {
+		const { scopes, sources, snapshot } = load(layers);
+		assert.deepStrictEqual(
+			updateLayers(layers, snapshot, scopes, sources),
+			layers
+		);
+	});
+
+	test('editing a scope only writes its own layer', () => {
+		const { scopes, sources, snapshot } = load(layers);
+		scopes.Backend = { folders: ['server', 'shared', 'proto'] };
+		scopes.Web = { folders: ['web/app'] };
+		const updated = updateLayers(layers, snapshot, scopes, sources);
+		assert.deepStrictEqual(updated.shared, layers.shared);
+		assert.deepStrictEqual(updated.settings.Backend, {
+			folders: ['server', 'shared', 'proto'],
+		});
+		assert.deepStrictEqual(updated.settings.Web, { folders: ['web'] });
+		assert.deepStrictEqual(updated.personal.Web, { folders: ['web/app'] });
+	});
+
+	test('deleting a scope uncovers the one it shadowed', () => {
+		const { scopes, sources, snapshot } = load(layers);
+		delete scopes.Web;
+		delete sources.Web;
+		const updated = updateLayers(layers, snapshot, scopes, sources);
+		assert.deepStrictEqual(updated.personal, {});
+		assert.deepStrictEqual(updated.settings.Web, { folders: ['web'] });
+		assert.deepStrictEqual(mergeLayers(updated).scopes.Web, {
+			folders: ['web'],
+		});
+	});
+
+	test('renaming and moving scopes leave their old place', () => {
+		const { scopes, sources, snapshot } = load(layers);
+		scopes.Documentation = scopes.Docs;
+		sources.Documentation = sources.Docs;
+		delete scopes.Docs;
+		delete sources.Docs;
+		sources.Web = 'shared';
+		const updated = updateLayers(layers, snapshot, scopes, sources);
+		assert.deepStrictEqual(Object.keys(updated.shared).sort(), [
+			'Backend',
+			'Documentation',
+			'Web',
+		]);
+		assert.deepStrictEqual(updated.shared.Web, { folders: ['web/src'] });
+		assert.deepStrictEqual(updated.personal, {});
+		assert.deepStrictEqual(updated.settings.Web, { folders: ['web'] });
+	});
+
+	test('new scopes go to their chosen layer', () => {
+		const { scopes, sources, snapshot } = load(layers);
+		scopes.Mobile = { folders: ['mobile'] };
+		sources.Mobile = 'personal';
+		const updated = updateLayers(layers, snapshot, scopes, sources);
+		assert.deepStrictEqual(updated.personal.Mobile, { folders: ['mobile'] });
+		assert.deepStrictEqual(updated.shared, layers.shared);
+	});
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findWorkspacePackages } = require('../workspacePackages');
+
+function writeJson(rootPath, relativePath, content) {
+	const filePath = path.join(rootPath, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, JSON.stringify(content));
+}
+
+suite('findWorkspacePackages', () => {
+	let rootPath;
+
+	setup(() => {
+		rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'scopes-monorepo-'));
+		writeJson(rootPath, 'package.json', {
+			workspaces: ['packages/*', 'examples/*'],
+		});
+		writeJson(rootPath, 'packages/core/package.json', { name: '@acme/core' });
+		writeJson(rootPath, 'packages/ui/package.json', {
+			name: '@acme/ui',
+			dependencies: { '@acme/core': '*', react: '*' },
+		});
+		writeJson(rootPath, 'packages/app/package.json', {
+			name: '@acme/app',
+			dependencies: { '@acme/ui': '*' },
+		});
+		writeJson(rootPath, 'examples/basic/package.json', { name: 'example' });
+		writeJson(rootPath, 'examples/advanced/package.json', {
+			name: 'example',
+		});
+	});
+
+	teardown(() => {
+		fs.rmSync(rootPath, { recursive: true, force: true });
+	});
+
+	test('finds every package, also when names repeat', async () => {
+		const packages = await findWorkspacePackages(rootPath);
+		assert.deepStrictEqual(
+			packages.map((pkg) => [pkg.name, pkg.dir, pkg.duplicate]),
+			[
+				['@acme/app', 'packages/app', false],
+				['@acme/core', 'packages/core', false],
+				['@acme/ui', 'packages/ui', false],
+				['example', 'examples/advanced', true],
+				['example', 'examples/basic', true],
+			]
+		);
+	});
+
+	test('follows local dependencies transitively', async () => {
+		const packages = await findWorkspacePackages(rootPath);
+		const app = packages.find((pkg) => pkg.name === '@acme/app');
+		assert.deepStrictEqual(app.localDependencies, [
+			{ name: '@acme/core', dir: 'packages/core' },
+			{ name: '@acme/ui', dir: 'packages/ui' },
+		]);
+		const core = packages.find((pkg) => pkg.name === '@acme/core');
+		assert.deepStrictEqual(core.localDependencies, []);
+	});
+});
@@ -0,0 +1,220 @@
+const path = require("path");
+const fs = require("fs");
+const { ScopeMatcher } = require("./scopeMatcher");
+
+const SKIPPED_DIRECTORIES = new Set(["node_modules", ".git", "dist", "build"]);
+const MAX_DEPTH = 8;
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Just enough YAML for pnpm-workspace.yaml: the list under "packages:"
+async function readPnpmWorkspacePatterns(filePath) {
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, "utf8");
+  } catch {
+    return [];
+  }
+
+  const patterns = [];
+  let inPackages = false;
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages) continue;
+    if (/^\S/.test(line)) break;
+
+    const match = /^\s*-\s*["']?([^"'#]+?)["']?\s*(#.*)?$/.exec(line);
+    if (match) patterns.push(match[1]);
+  }
+  return patterns;
+}
+
+/**
+ * Workspace globs declared by the package managers and monorepo tools in use
+ * Each source is { manifest, patterns, marker } where marker is the file that
+ * identifies a package directory.
+ */
+async function readWorkspaceSources(rootPath) {
+  const sources = [];
+
+  const packageJson = await readJson(path.join(rootPath, "package.json"));
+  if (packageJson && packageJson.workspaces) {
+    const patterns = Array.isArray(packageJson.workspaces)
+      ? packageJson.workspaces
+      : packageJson.workspaces.packages || [];
+    sources.push({
+      manifest: "package.json",
+      patterns,
+      marker: "package.json",
+    });
+  }
+
+  const pnpmPatterns = await readPnpmWorkspacePatterns(
+    path.join(rootPath, "pnpm-workspace.yaml")
+  );
+  if (pnpmPatterns.length > 0) {
+    sources.push({
+      manifest: "pnpm-workspace.yaml",
+      patterns: pnpmPatterns,
+      marker: "package.json",
+    });
+  }
+
+  const lernaJson = await readJson(path.join(rootPath, "lerna.json"));
+  if (lernaJson) {
+    sources.push({
+      manifest: "lerna.json",
+      patterns: lernaJson.packages || ["packages/*"],
+      marker: "package.json",
+    });
+  }
+
+  // Nx projects are wherever a project.json lives
+  if (fs.existsSync(path.join(rootPath, "nx.json"))) {
+    sources.push({
+      manifest: "nx.json",
+      patterns: ["**"],
+      marker: "project.json",
+    });
+  }
+
+  return sources;
+}
+
+async function findMatchingDirectories(rootPath, patterns, marker) {
+  const include = patterns.filter((pattern) => !pattern.startsWith("!"));
+  const exclude = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .map((pattern) => pattern.slice(1));
+  const matcher = new ScopeMatcher({ include, exclude });
+  const found = [];
+
+  const walk = async (dirPath, relativeDir, depth) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || SKIPPED_DIRECTORIES.has(entry.name)) {
+        continue;
+      }
+      if (entry.name.startsWith(".")) continue;
+
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      const fullPath = path.join(dirPath, entry.name);
+
+      if (
+        matcher.matches(relativePath) &&
+        fs.existsSync(path.join(fullPath, marker))
+      ) {
+        found.push(relativePath);
+      }
+      if (depth < MAX_DEPTH && matcher.mayContain(relativePath)) {
+        await walk(fullPath, relativePath, depth + 1);
+      }
+    }
+  };
+
+  await walk(rootPath, "", 0);
+  return found;
+}
+
+/**
+ * All packages of a monorepo rooted at rootPath
+ * Returns [{ name, dir, manifest, localDependencies, duplicate }] with dir relative
+ * to the root. localDependencies are [{ name, dir }]; duplicate is set when another
+ * package has the same name, as private fixtures and examples often do.
+ */
+async function findWorkspacePackages(rootPath) {
+  // Keyed by manifest path: names are not unique
+  const packages = new Map();
+
+  for (const source of await readWorkspaceSources(rootPath)) {
+    const dirs = await findMatchingDirectories(
+      rootPath,
+      source.patterns,
+      source.marker
+    );
+
+    for (const dir of dirs) {
+      const packageJson = await readJson(
+        path.join(rootPath, dir, "package.json")
+      );
+      const projectJson = await readJson(
+        path.join(rootPath, dir, "project.json")
+      );
+      // The same directory may be listed by several tools
+      const manifestPath = `${dir}/${
+        packageJson ? "package.json" : "project.json"
+      }`;
+      if (packages.has(manifestPath)) continue;
+
+      const name =
+        (packageJson && packageJson.name) ||
+        (projectJson && projectJson.name) ||
+        path.basename(dir);
+
+      packages.set(manifestPath, {
+        name: name,
+        dir: dir,
+        manifest: source.manifest,
+        dependencyNames: [
+          ...Object.keys((packageJson && packageJson.dependencies) || {}),
+          ...((projectJson && projectJson.implicitDependencies) || []),
+        ],
+      });
+    }
+  }
+
+  const byName = new Map();
+  for (const pkg of packages.values()) {
+    byName.set(pkg.name, [...(byName.get(pkg.name) || []), pkg]);
+  }
+
+  // Keep only dependencies on sibling packages, followed transitively.
+  // A name several packages share stands for all of them.
+  for (const pkg of packages.values()) {
+    const seen = new Set([pkg]);
+    const queue = pkg.dependencyNames.flatMap((name) => byName.get(name) || []);
+    while (queue.length > 0) {
+      const dependency = queue.shift();
+      if (seen.has(dependency)) continue;
+      seen.add(dependency);
+      queue.push(
+        ...dependency.dependencyNames.flatMap((name) => byName.get(name) || [])
+      );
+    }
+    seen.delete(pkg);
+    pkg.localDependencies = [...seen]
+      .map(({ name, dir }) => ({ name, dir }))
+      .sort(
+        (a, b) => a.name.localeCompare(b.name) || a.dir.localeCompare(b.dir)
+      );
+  }
+
+  return [...packages.values()]
+    .map(({ name, dir, manifest, localDependencies }) => ({
+      name,
+      dir,
+      manifest,
+      localDependencies,
+      duplicate: byName.get(name).length > 1,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name) || a.dir.localeCompare(b.dir));
+}
+
+module.exports = { findWorkspacePackages };